@@ -1,6 +1,9 @@
 /**
  * @module git-casefile/impl
  */
+export { default as CasefileCache } from './lib/casefileCache.js';
 export { default as CommandRunner } from './lib/commandRunner.js';
-export { default as DiffInteraction } from './lib/diffInteraction.js';
+export { default as DiffInteraction, DIFF_ALGORITHMS } from './lib/diffInteraction.js';
 export { default as GitInteraction } from './lib/gitInteraction.js';
+export { default as GitObjectReader } from './lib/gitObjectReader.js';
+export { default as Janitor } from './lib/janitor.js';
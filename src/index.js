@@ -2,10 +2,26 @@
  * @module git-casefile
  */
 import BookmarkFacilitator from './lib/bookmarkFacilitator.js';
-import { CasefileGroup, DeletedCasefileRef } from './lib/casefile.js';
+import { CasefileGroup, DeletedCasefileRef, LocalCasefileRef } from './lib/casefile.js';
+import CasefileCache from './lib/casefileCache.js';
+import { casefileHasAuthor, casefileHasTag, searchCasefileContents } from './lib/casefileQuery.js';
+import { casefileMetadata } from './lib/casefileSchema.js';
 import CommandRunner from './lib/commandRunner.js';
-import GitInteraction from './lib/gitInteraction.js';
+import GitInteraction, { localCasefilesRef } from './lib/gitInteraction.js';
 import GitRemote from './lib/gitRemote.js';
+import { strrpart } from './lib/stringUtils.js';
+
+export { diffCasefiles, renderCasefileDiff } from './lib/casefileDiff.js';
+export { mergeBookmarkForests, mergeCasefileMetadata } from './lib/casefileMerge.js';
+export { searchCasefileContents } from './lib/casefileQuery.js';
+export {
+  CASEFILE_FORMAT_VERSION,
+  CASEFILE_METADATA_PROPERTIES,
+  CasefileSchemaError,
+  casefileMetadata,
+  migrateCasefile,
+  validateCasefile,
+} from './lib/casefileSchema.js';
 
 /**
  * @summary Class for managing casefiles
@@ -35,6 +51,18 @@ export class CasefileKeeper {
    * @param {object} [kwargs.toolOptions]
    *    Options used to construct a {@link ToolkitRunnerFunc} for `git` if
    *    neither *kwargs.gitOps* nor *kwargs.runGitCommand* are given
+   * @param {number} [kwargs.shareRetryLimit]
+   *    Number of times to retry sharing or deleting casefiles when a
+   *    concurrent update on the remote rejects the push; used to construct
+   *    a {@link GitInteraction} object if *kwargs.gitOps* is not given
+   * @param {string} [kwargs.casefileCacheDirectory]
+   *    Directory in which to persist casefile content between sessions (by
+   *    blob hash); content is only cached in memory if not given; used to
+   *    construct a {@link GitInteraction} object if *kwargs.gitOps* is not given
+   * @param {Janitor} [kwargs.janitor]
+   *    When given, Git objects are read through persistent processes which
+   *    are shut down when the janitor is cleaned up; used to construct a
+   *    {@link GitInteraction} object if *kwargs.gitOps* is not given
    */
   constructor(kwargs = {}) {
     this.gitOps = kwargs.gitOps || new GitInteraction({
@@ -42,6 +70,11 @@ export class CasefileKeeper {
         ...kwargs.toolOptions,
         usesSubcommands: true,
       }),
+      shareRetryLimit: kwargs.shareRetryLimit,
+      casefileCache: new CasefileCache({
+        directory: kwargs.casefileCacheDirectory,
+      }),
+      janitor: kwargs.janitor,
     });
     this.bookmarks = new BookmarkFacilitator({
       ...kwargs,
@@ -80,14 +113,147 @@ export class CasefileKeeper {
     ));
   }
   
+  /**
+   * @summary Search the content of all known shared casefiles
+   * @param {string} query - Whitespace-separated search terms
+   * @returns {Promise.<Array.<CasefileSearchHit>>} Hits, most relevant first
+   *
+   * @description
+   * Group names, file paths, mark text and notes are searched; see
+   * {@link searchCasefileContents} for matching and ranking.  All casefile
+   * content is read with a single Git process.
+   */
+  async searchCasefiles(query) {
+    const casefileList = await this.gitOps.getListOfCasefiles();
+    const instances = casefileList.flatMap(cf => cf.instances);
+    if (instances.length === 0) {
+      return [];
+    }
+    const casefiles = await this.gitOps.getCasefileBatch(instances);
+    return searchCasefileContents(casefiles.filter(Boolean), query);
+  }
+  
+  /**
+   * @summary Get CasefileGroup objects for casefiles in the local store
+   * @returns {Promise.<Array.<CasefileGroup>>}
+   *
+   * @description
+   * The `instances` of each group are {@link LocalCasefileRef} objects.
+   */
+  async getLocalCasefiles() {
+    const casefiles = await this.gitOps.getListOfCasefiles({
+      ref: localCasefilesRef,
+    });
+    return casefiles.map(cf => new CasefileGroup(
+      this.gitOps,
+      cf.name,
+      cf.instances,
+      LocalCasefileRef,
+    ));
+  }
+  
+  /**
+   * @summary Save a casefile to the local store without sharing it
+   * @param {Casefile} casefile
+   * @returns {Promise.<{message: string, commit: ?string}>}
+   *
+   * @description
+   * The local store lives in the repository (under
+   * `refs/collaboration/local-casefiles`), so saved casefiles persist across
+   * editor sessions without being pushed to any remote.
+   */
+  async saveLocalCasefile(casefile) {
+    return this.gitOps.saveLocalCasefile(casefile.path, casefile.bookmarks, {
+      metadata: casefileMetadata(casefile),
+    });
+  }
+  
+  /**
+   * @summary Load a casefile from the local store
+   * @param {string} path - Group-slash-instance path of the casefile
+   * @returns {Promise.<(Casefile | object)>}
+   */
+  async loadLocalCasefile(path) {
+    const [ groupName ] = strrpart(path, '/', 2);
+    return new LocalCasefileRef(this.gitOps, groupName, path).load();
+  }
+  
+  /**
+   * @summary Delete casefiles from the local store
+   * @param {...(string | Casefile)} casefiles
+   *    Casefiles — or full paths to casefiles — to delete
+   * @returns {Promise.<?string>}
+   */
+  async deleteLocalCasefiles(...casefiles) {
+    return this.gitOps.deleteLocalCasefilePaths(casefiles.map(
+      casefile => (
+        typeof casefile === 'string'
+        ? casefile
+        : casefile.path
+      )
+    ));
+  }
+  
+  /**
+   * @summary Select loaded casefiles having a given tag
+   * @param {Array.<Casefile>} casefiles - Loaded casefiles to filter
+   * @param {string} tag
+   * @returns {Array.<Casefile>}
+   *    Those of *casefiles* tagged with *tag*, either on the casefile itself
+   *    or on any of its bookmarks
+   */
+  filterCasefilesByTag(casefiles, tag) {
+    return casefiles.filter(casefile => casefileHasTag(casefile, tag));
+  }
+  
+  /**
+   * @summary Select loaded casefiles created by a given author
+   * @param {Array.<Casefile>} casefiles - Loaded casefiles to filter
+   * @param {string} author
+   * @returns {Array.<Casefile>}
+   *    Those of *casefiles* whose `createdBy` — or the `createdBy` of any of
+   *    whose bookmarks — is *author*
+   */
+  filterCasefilesByAuthor(casefiles, author) {
+    return casefiles.filter(casefile => casefileHasAuthor(casefile, author));
+  }
+  
   /**
    * @summary Get references to deleted casefiles (possibly filtered)
    *
-   * @param {string} [partial]
+   * @param {(string|object)} [partialOrOptions]
+   *    A substring of the casefile group name, or an options object
+   * @param {string} [partialOrOptions.partial]
+   *    A substring of the casefile group name
+   * @param {(Date|string)} [partialOrOptions.since]
+   *    Only list deletions committed at or after this time
+   * @param {(Date|string)} [partialOrOptions.until]
+   *    Only list deletions committed at or before this time
+   * @param {string} [partialOrOptions.author]
+   *    Only list deletions authored by someone matching this pattern (as for
+   *    `git log --author`)
+   * @param {string} [partialOrOptions.group]
+   *    Only list deletions from exactly this casefile group
+   * @param {boolean} [partialOrOptions.latestOnly=false]
+   *    List only the most recent deletion of each path
+   * @param {number} [partialOrOptions.offset=0]
+   *    Number of matching deletions to skip
+   * @param {number} [partialOrOptions.limit]
+   *    Maximum number of deletions to list
    * @returns {Promise.<Array.<DeletedCasefileRef>>}
+   *    Matching deletions, most recent first
+   *
+   * @description
+   * See {@link GitInteraction#getDeletedCasefileRefs} for how the options
+   * combine.
    */
-  async getDeletedCasefileRefs(partial) {
-    const refs = await this.gitOps.getDeletedCasefileRefs(partial);
+  async getDeletedCasefileRefs(partialOrOptions) {
+    const { partial, ...filters } = (
+      typeof partialOrOptions === 'object' && partialOrOptions !== null
+        ? partialOrOptions
+        : { partial: partialOrOptions }
+    );
+    const refs = await this.gitOps.getDeletedCasefileRefs(partial, filters);
     return refs.map(ref => new DeletedCasefileRef(this.gitOps, ref));
   }
 }
@@ -1,7 +1,7 @@
 import chai, { expect } from 'chai';
 import * as double from 'testdouble';
 import { CasefileKeeper } from './index.js';
-import { CasefileRef } from './lib/casefile.js';
+import { CasefileRef, LocalCasefileRef } from './lib/casefile.js';
 import DiffInteraction from './lib/diffInteraction.js';
 import GitInteraction from './lib/gitInteraction.js';
 import GitRemote from './lib/gitRemote.js';
@@ -98,16 +98,159 @@ describe('CasefileKeeper', () => {
     });
   });
   
+  describe('.prototype.searchCasefiles()', () => {
+    it(`searches the content of every shared casefile instance`, async function() {
+      const subject = constructSubject();
+      const paths = [
+        'foo/f28e0a85-baa8-505f-88ea-e3336640ab33',
+        'bar/e1bbf230-274a-5df5-b387-6024eb730685',
+      ];
+      const instances = [
+        { path: paths[0], hash: '05ceffd002e09e8cdc8db79bd37c52d66eb4e612' },
+        { path: paths[1], hash: '2fb8b967b5b10d97b3af6a7b41f06e8c74ff31ff' },
+      ];
+      double.when(tools.gitOps.getListOfCasefiles()).thenResolve([
+        {name: 'foo', instances: [ instances[0] ]},
+        {name: 'bar', instances: [ instances[1] ]},
+      ]);
+      const bookmark = { file: 'lib/retry.js', line: 4, markText: 'retryPolicy' };
+      double.when(tools.gitOps.getCasefileBatch(instances)).thenResolve([
+        { path: paths[0], bookmarks: [ bookmark ] },
+        null,
+      ]);
+      const hits = await subject.searchCasefiles('retrypolicy');
+      expect(hits).to.have.lengthOf(1);
+      expect(hits[0]).to.deep.include({ path: paths[0], bookmarkPath: [0], bookmark });
+    });
+  });
+  
+  describe('.prototype.getLocalCasefiles()', () => {
+    it(`lists groups of LocalCasefileRefs from the local casefiles ref`, async function() {
+      const subject = constructSubject();
+      double.when(tools.gitOps.getListOfCasefiles({ ref: 'refs/collaboration/local-casefiles' }))
+        .thenResolve([
+          {name: 'foo', instances: [
+            { path: 'foo/0b6b4c1f-54c1-5b8e-8a57-0d4a4b8a1f6e' },
+          ]},
+        ]);
+      const casefiles = await subject.getLocalCasefiles();
+      expect(casefiles).to.have.lengthOf(1);
+      expect(casefiles[0]).to.have.property('name', 'foo');
+      expect(casefiles[0].instances[0]).is.instanceof(LocalCasefileRef);
+    });
+  });
+  
+  describe('.prototype.saveLocalCasefile()', () => {
+    it(`calls 'saveLocalCasefile' on its 'gitOps'`, async function() {
+      const subject = constructSubject();
+      const casefile = {
+        path: 'foo/0b6b4c1f-54c1-5b8e-8a57-0d4a4b8a1f6e',
+        notes: "Work in progress",
+        bookmarks: [],
+      };
+      const expectedResult = Symbol('result');
+      double.when(tools.gitOps.saveLocalCasefile(
+        casefile.path,
+        casefile.bookmarks,
+        { metadata: { notes: "Work in progress" } }
+      ))
+        .thenResolve(expectedResult);
+      expect(await subject.saveLocalCasefile(casefile)).to.equal(expectedResult);
+    });
+  });
+  
+  describe('.prototype.filterCasefilesByTag()', () => {
+    it(`selects casefiles tagged on the casefile or on any bookmark`, function() {
+      const subject = constructSubject();
+      const bookmark = (props) => ({ file: 'README.md', line: 1, markText: 'x', ...props });
+      const casefiles = [
+        { path: 'a/1', tags: ['perf'], bookmarks: [] },
+        { path: 'b/2', bookmarks: [
+          bookmark({ children: [ bookmark({ tags: ['perf', 'db'] }) ] }),
+        ] },
+        { path: 'c/3', tags: ['db'], bookmarks: [ bookmark() ] },
+      ];
+      expect(subject.filterCasefilesByTag(casefiles, 'perf')).to.deep.equal([
+        casefiles[0], casefiles[1],
+      ]);
+    });
+  });
+  
+  describe('.prototype.filterCasefilesByAuthor()', () => {
+    it(`selects casefiles created by the author or containing their bookmarks`, function() {
+      const subject = constructSubject();
+      const bookmark = (props) => ({ file: 'README.md', line: 1, markText: 'x', ...props });
+      const casefiles = [
+        { path: 'a/1', createdBy: 'alex@example.com', bookmarks: [] },
+        { path: 'b/2', createdBy: 'sam@example.com', bookmarks: [
+          bookmark({ createdBy: 'alex@example.com' }),
+        ] },
+        { path: 'c/3', createdBy: 'sam@example.com', bookmarks: [ bookmark() ] },
+      ];
+      expect(subject.filterCasefilesByAuthor(casefiles, 'alex@example.com')).to.deep.equal([
+        casefiles[0], casefiles[1],
+      ]);
+    });
+  });
+  
+  describe('.prototype.loadLocalCasefile()', () => {
+    it(`reads the casefile from the local casefiles ref`, async function() {
+      const subject = constructSubject();
+      const path = 'foo/0b6b4c1f-54c1-5b8e-8a57-0d4a4b8a1f6e';
+      const expectedResult = Symbol('result');
+      double.when(tools.gitOps.getCasefile(path, { commit: 'refs/collaboration/local-casefiles' }))
+        .thenResolve(expectedResult);
+      expect(await subject.loadLocalCasefile(path)).to.equal(expectedResult);
+    });
+  });
+  
+  describe('.prototype.deleteLocalCasefiles()', () => {
+    it(`accepts paths and Casefile-like objects`, async function() {
+      const subject = constructSubject();
+      const paths = [
+        'foo/0b6b4c1f-54c1-5b8e-8a57-0d4a4b8a1f6e',
+        'bar/9a3d7c55-1a6e-5d3b-b1a3-64e1f0d5c2b7',
+      ];
+      await subject.deleteLocalCasefiles(paths[0], { path: paths[1] });
+      double.verify(tools.gitOps.deleteLocalCasefilePaths(paths));
+    });
+  });
+  
   describe('.prototype.getDeletedCasefileRefs()', () => {
     it(`can list all deleted casefiles`, async function() {
       const subject = constructSubject();
       const deletedCasefilesData = [
         {commit: '61c14a416991f6b3ae20c1d6f33a5314e4a97857', committed: new Date(), path: 'foo/a6e42e96-d41d-55aa-90c1-28ce4dd96d8e'},
       ];
-      double.when(tools.gitOps.getDeletedCasefileRefs(undefined)).thenResolve(
+      double.when(tools.gitOps.getDeletedCasefileRefs(undefined, {})).thenResolve(
         deletedCasefilesData
       );
       await subject.getDeletedCasefileRefs();
     });
+    
+    it(`passes a partial name given as a string`, async function() {
+      const subject = constructSubject();
+      double.when(tools.gitOps.getDeletedCasefileRefs('foo', {})).thenResolve([
+        {commit: '61c14a416991f6b3ae20c1d6f33a5314e4a97857', committed: new Date(), path: 'foo/a6e42e96-d41d-55aa-90c1-28ce4dd96d8e'},
+      ]);
+      const result = await subject.getDeletedCasefileRefs('foo');
+      expect(result).to.have.lengthOf(1);
+      expect(result[0]).to.have.property('path', 'foo/a6e42e96-d41d-55aa-90c1-28ce4dd96d8e');
+    });
+    
+    it(`passes filters given in an options object`, async function() {
+      const subject = constructSubject();
+      const since = new Date('2022-01-01T00:00:00Z');
+      double.when(tools.gitOps.getDeletedCasefileRefs('fo', {
+        since, group: 'foo', latestOnly: true, limit: 10, offset: 20,
+      })).thenResolve([
+        {commit: '61c14a416991f6b3ae20c1d6f33a5314e4a97857', committed: new Date(), path: 'foo/a6e42e96-d41d-55aa-90c1-28ce4dd96d8e'},
+      ]);
+      const result = await subject.getDeletedCasefileRefs({
+        partial: 'fo', since, group: 'foo', latestOnly: true, limit: 10, offset: 20,
+      });
+      expect(result).to.have.lengthOf(1);
+      expect(result[0]).to.have.property('deletionCommit', '61c14a416991f6b3ae20c1d6f33a5314e4a97857');
+    });
   });
 });
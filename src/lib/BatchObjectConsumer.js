@@ -0,0 +1,80 @@
+import { Writable } from 'stream';
+
+/**
+ * @private
+ * @summary Parse the output of `git cat-file --batch` or `--batch-check`
+ *
+ * @description
+ * Emits an `'object'` event with `{name, hash, type, size, content}` for each
+ * object reported and a `'missing'` event with `{name}` for each object name
+ * Git could not resolve.  *name* is the object name as requested, taken from
+ * *names* (in request order), since `--batch` output only carries the hash.
+ *
+ * When constructed with `{ withContent: false }`, the output is expected to
+ * be from `--batch-check` and `content` is not present on the emitted
+ * objects.
+ */
+export default class BatchObjectConsumer extends Writable {
+  constructor(names = [], { withContent = true, ...options } = {}) {
+    super({...options, decodeStrings: true});
+    this._names = [...names];
+    this._withContent = withContent;
+    this._buffer = Buffer.alloc(0);
+    this._pending = null;
+  }
+  
+  _write(chunk, encoding, next) {
+    this._buffer = Buffer.concat([this._buffer, chunk]);
+    try {
+      while (this._consumeRecord());
+    } catch (e) {
+      return next(e);
+    }
+    next();
+  }
+  
+  _final(next) {
+    if (this._pending || this._buffer.length !== 0) {
+      return next(new Error("Incomplete object in 'git cat-file' output"));
+    }
+    next();
+  }
+  
+  _consumeRecord() {
+    if (!this._pending) {
+      const headerEnd = this._buffer.indexOf(0x0a);
+      if (headerEnd < 0) {
+        return false;
+      }
+      const header = this._buffer.toString('utf8', 0, headerEnd);
+      this._buffer = this._buffer.subarray(headerEnd + 1);
+      const name = this._names.shift();
+      const missingMatch = / (missing|ambiguous)$/.exec(header);
+      if (missingMatch) {
+        this.emit('missing', { name, reason: missingMatch[1] });
+        return true;
+      }
+      const fields = header.split(' ');
+      if (fields.length !== 3 || !/^\d+$/.test(fields[2])) {
+        throw new Error(`Unexpected 'git cat-file' header: ${header}`);
+      }
+      const [ hash, type ] = fields, size = Number(fields[2]);
+      if (!this._withContent) {
+        this.emit('object', { name, hash, type, size });
+        return true;
+      }
+      this._pending = { name, hash, type, size };
+    }
+    // Content is followed by a newline
+    const { size } = this._pending;
+    if (this._buffer.length < size + 1) {
+      return false;
+    }
+    const content = this._buffer.subarray(0, size);
+    this._buffer = this._buffer.subarray(size + 1);
+    const object = { ...this._pending, content };
+    this._pending = null;
+    this.emit('object', object);
+    return true;
+  }
+}
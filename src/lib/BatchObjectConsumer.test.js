@@ -0,0 +1,58 @@
+import BatchObjectConsumer from './BatchObjectConsumer.js';
+import chai, { expect } from 'chai';
+
+describe('BatchObjectConsumer', () => {
+  const hashes = [
+    '9abc1c50f9f304a627c2d5d9a4f7bf5b354983de',
+    'eccfd42944159c3db35a1ff3eaf40f5d5759896e',
+  ];
+  
+  it(`emits each object with its requested name and content`, () => {
+    const instance = new BatchObjectConsumer(['HEAD:a', 'HEAD:b']);
+    const objects = [];
+    instance.on('object', ({ content, ...object }) => objects.push({ ...object, content: content.toString() }));
+    instance.write(`${hashes[0]} blob 5\nhello\n${hashes[1]} blob 3\nfoo\n`);
+    expect(objects).to.deep.equal([
+      { name: 'HEAD:a', hash: hashes[0], type: 'blob', size: 5, content: 'hello' },
+      { name: 'HEAD:b', hash: hashes[1], type: 'blob', size: 3, content: 'foo' },
+    ]);
+  });
+  
+  it(`reassembles content split across chunks`, () => {
+    const instance = new BatchObjectConsumer(['HEAD:a']);
+    const contents = [];
+    instance.on('object', ({ content }) => contents.push(content.toString()));
+    const output = Buffer.from(`${hashes[0]} blob 12\nline 1\nbär\n\n`);
+    instance.write(output.subarray(0, 20));
+    instance.write(output.subarray(20, 58));
+    expect(contents).to.deep.equal([]);
+    instance.write(output.subarray(58));
+    expect(contents).to.deep.equal(['line 1\nbär\n']);
+  });
+  
+  it(`emits 'missing' for unresolvable names`, () => {
+    const instance = new BatchObjectConsumer(['HEAD:gone', 'HEAD:a']);
+    const events = [];
+    instance.on('missing', ({ name }) => events.push(['missing', name]));
+    instance.on('object', ({ name }) => events.push(['object', name]));
+    instance.write(`HEAD:gone missing\n${hashes[0]} blob 0\n\n`);
+    expect(events).to.deep.equal([['missing', 'HEAD:gone'], ['object', 'HEAD:a']]);
+  });
+  
+  it(`parses '--batch-check' output when constructed without content`, () => {
+    const instance = new BatchObjectConsumer(['HEAD:a'], { withContent: false });
+    const objects = [];
+    instance.on('object', object => objects.push(object));
+    instance.write(`${hashes[0]} blob 5\n`);
+    expect(objects).to.deep.equal([
+      { name: 'HEAD:a', hash: hashes[0], type: 'blob', size: 5 },
+    ]);
+  });
+  
+  it(`fails on an unexpected header`, async () => {
+    const instance = new BatchObjectConsumer(['HEAD:a']);
+    const error = new Promise(resolve => instance.on('error', resolve));
+    instance.write(`fatal: not a git repository\n`);
+    expect(await error).to.be.an('error').with.property('message').that.matches(/Unexpected/);
+  });
+});
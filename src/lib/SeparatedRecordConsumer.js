@@ -41,8 +41,10 @@ export default class SeparatedRecordConsumer extends Writable {
     if (this._stringDecoder) {
       this._carryover = this._carryover + this._stringDecoder.end();
     }
-    if (this._carryover) {
-      this.emit('record', this._carryover);
+    if (this._carryover && this._keepEmitting) {
+      this.emit('record', this._carryover, () => {
+        this._keepEmitting = false;
+      });
       this._carryover = '';
     }
     next();
@@ -57,6 +57,18 @@ describe('SeparatedRecordConsumer', () => {
     expect(output.slice(-1)).to.eql(records.slice(-1).map(r => r.slice(0, -1) + '\uFFFD'));
   });
   
+  it(`passes an end callback with a final unterminated record`, async function() {
+    const instance = new SeparatedRecordConsumer('\n').setRecordEncoding('utf8');
+    const output = [];
+    instance.on('record', (record, endStream) => {
+      output.push(record);
+      endStream();
+    });
+    instance.write(Buffer.from('foo', instance.recordEncoding));
+    await promiseToEnd(instance);
+    expect(output).to.eql(['foo']);
+  });
+  
   it(`allows record encoding changes`, async function() {
     const instance = new SeparatedRecordConsumer('\n');
     const records = ['foo', 'bär', 'baȥ'];
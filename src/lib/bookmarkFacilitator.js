@@ -2,9 +2,26 @@ import CommandRunner from './commandRunner.js';
 import DiffInteraction from './diffInteraction.js';
 import { NoEditor } from './editor.js';
 import GitInteraction from './gitInteraction.js';
+import { counterpartLine } from './lineAlignment.js';
+import { ENDL_PATTERN } from './stringUtils.js';
+import { DEFAULT_FUZZY_MATCHING, findMarkText } from './textMatching.js';
 
 const UNTRACKED_WINDOW_SIZE = 15;
 
+/**
+ * @private
+ * @summary Confidence in a location found exactly where each method predicts
+ *
+ * @description
+ * A location found away from the predicted line has its confidence reduced
+ * proportionally to its distance from the prediction.
+ */
+const METHOD_CONFIDENCE = {
+  blame: 1,
+  diff: 0.9,
+  untracked: 0.5,
+};
+
 class MarkNotFound extends Error {
   constructor(props) {
     super();
@@ -19,16 +36,36 @@ class MarkNotFound extends Error {
  *    Path within the project to the file
  * @property {number} line
  *    Line number (1-based) in file when bookmark was constructed
- * @property {string} text
- *    Text marked by bookmark
+ * @property {string} markText
+ *    Text marked by bookmark; for a bookmark spanning several lines, the
+ *    first line of this text locates the start of the range and the last
+ *    line locates its end
+ * @property {number} [col]
+ *    Column number (1-based) at which the marked text starts
+ * @property {number} [endLine]
+ *    Line number (1-based) on which a range bookmark ends
+ * @property {number} [endCol]
+ *    Column number (1-based) just after the end of a range bookmark
  * @property {Array.<Bookmark>} [children]
  *    Child bookmarks
+ * @property {string} [title]
+ *    Short title for the bookmark
+ * @property {string} [notes]
+ *    Prose notes about the bookmarked location
+ * @property {Array.<string>} [tags]
+ *    Tags for categorizing the bookmark
+ * @property {string} [createdAt]
+ *    Date (ISO 8601) on which the bookmark was created
+ * @property {string} [createdBy]
+ *    Identity (e.g. name or email) of the bookmark's creator
  * @property {object} [peg]
  *    Persistent location identity within Git repository
  * @property {string} peg.commit
  *    Commit in which bookmarked line exists
  * @property {number} peg.line
  *    Line number within *peg.commit* version of *file*
+ * @property {{commit: string, line: number}} [peg.end]
+ *    Persistent location identity of *endLine*, for a range bookmark
  */
 
 /**
@@ -42,6 +79,9 @@ class MarkNotFound extends Error {
  *    Used to execute `git` commands
  * @property {DiffInteraction} diffOps
  *    Used to execute `diff`
+ * @property {?FuzzyMatchingOptions} fuzzyMatching
+ *    Thresholds for accepting inexact matches of mark text, or `null` if
+ *    only exact matches are accepted
  */
 class BookmarkFacilitator {
   /**
@@ -61,11 +101,29 @@ class BookmarkFacilitator {
    * @param {CommandRunnerFunc} [kwargs.runDiffCommand]
    *    Alternate command runner for executing `diff` program used to construct
    *    a {@link DiffInteraction} object if *kwargs.diffOps* is not given
+   * @param {string} [kwargs.diffEngine]
+   *    `'diff'` to compute diffs with the `diff` program or `'builtin'` to
+   *    compute them in-process; used to construct a {@link DiffInteraction}
+   *    object if *kwargs.diffOps* is not given.  Defaults to `'builtin'` if
+   *    *kwargs.diffAlgorithm* is given and is not `'minimal'`, otherwise to
+   *    `'diff'`
+   * @param {string} [kwargs.diffAlgorithm]
+   *    Diff algorithm (one of {@link DIFF_ALGORITHMS}) used to construct a
+   *    {@link DiffInteraction} object if *kwargs.diffOps* is not given; the
+   *    algorithm determines the hunks within which bookmark locations are
+   *    interpolated.  The `'builtin'` engine supports every algorithm, but
+   *    the `'diff'` engine only `'minimal'`: giving `'patience'` or
+   *    `'histogram'` with `diffEngine: 'diff'` throws a
+   *    {@link DiffInteractionError} (`err.code === 'UnsupportedAlgorithm'`)
    * @param {object} [kwargs.toolOptions={}]
    *    Tool options passed to {@link CommandRunner}, used if functions for
    *    invoking `git` or `diff` are needed
    * @param {Logger} [kwargs.logger=console]
    *    A `console`-like object used for logging warnings and errors
+   * @param {(boolean|FuzzyMatchingOptions)} [kwargs.fuzzyMatching=false]
+   *    Whether to accept inexact matches of mark text when searching near
+   *    the expected location of a bookmark; an object gives thresholds for
+   *    accepting a match
    *
    * @description
    * A BookmarkFacilitator needs a {@link GitInteraction} and a
@@ -79,10 +137,15 @@ class BookmarkFacilitator {
    * Similarly, construction of a {@link DiffInteraction} requires a
    * `runDiffCommand` which, if not provided in *kwargs.runDiffCommand*,
    * is constructed based on *kwargs.toolOptions* (though passing
-   * `usesSubcommands` as `false`).
+   * `usesSubcommands` as `false`), unless *kwargs.diffEngine* is
+   * `'builtin'`, in which case no `diff` program is used.
    */
-  constructor({ editor, gitOps, runGitCommand, diffOps, runDiffCommand, toolOptions = {}, logger = console } = {}) {
+  constructor({ editor, gitOps, runGitCommand, diffOps, runDiffCommand, diffEngine, diffAlgorithm, toolOptions = {}, logger = console, fuzzyMatching = false } = {}) {
     this.logger = logger;
+    this.fuzzyMatching = fuzzyMatching ? {
+      ...DEFAULT_FUZZY_MATCHING,
+      ...(typeof fuzzyMatching === 'object' ? fuzzyMatching : {}),
+    } : null;
     this.editor = editor || new NoEditor({...toolOptions});
     this.gitOps = gitOps || new GitInteraction({
       runGitCommand: runGitCommand || CommandRunner('git', {
@@ -90,90 +153,451 @@ class BookmarkFacilitator {
         usesSubcommands: true,
       }),
     });
-    this.diffOps = diffOps || new DiffInteraction({
+    if (diffEngine === undefined) {
+      diffEngine = diffAlgorithm && diffAlgorithm !== 'minimal' ? 'builtin' : 'diff';
+    }
+    this.diffOps = diffOps || new DiffInteraction(diffEngine === 'builtin' ? {
+      engine: diffEngine,
+      algorithm: diffAlgorithm,
+    } : {
       runDiffCommand: runDiffCommand || CommandRunner('diff', {
         ...toolOptions,
         usesSubcommands: false,
       }),
+      engine: diffEngine,
+      algorithm: diffAlgorithm,
     });
   }
   
+  /**
+   * @typedef {Object} BookmarkLocation
+   *
+   * @property {string} file
+   *    Path within the project to the file
+   * @property {number} line
+   *    Line number (1-based) at which the mark text was found
+   * @property {number} col
+   *    Column number (1-based) at which the mark text was found
+   * @property {number} [endLine]
+   *    For a range bookmark, the line (1-based) on which the range now ends
+   * @property {number} [endCol]
+   *    For a range bookmark, the column (1-based) just after the range's end
+   * @property {number} similarity
+   *    Similarity (between 0 and 1) of the text found to the mark text; less
+   *    than 1 only for inexact matches accepted through *fuzzyMatching*
+   * @property {string} method
+   *    How the location was determined: `'blame'` when tracked exactly from
+   *    the bookmark's peg by `git blame`, `'diff'` when found by searching the
+   *    range a diff from the peg commit maps the peg line to, or `'untracked'`
+   *    when found by searching near the bookmark's recorded line
+   * @property {number} confidence
+   *    Confidence (between 0 and 1) that this is the bookmarked location;
+   *    lower for less precise methods, for locations further from where
+   *    the method predicted the mark, and for inexact matches
+   * @property {Array.<{method: string, line: number, fuzzy: ?boolean}>} candidates
+   *    Lines examined for the mark text, in order, ending with *line*;
+   *    `fuzzy` is set for lines examined for inexact matches
+   */
+  
   /**
    * @summary Find the location of a bookmark in the current file content
    *
    * @param {Bookmark} bookmark
    *    Bookmark whose current location to determine
-   * @returns {Promise.<{file: string, line: number, col: number}>}
+   * @returns {Promise.<BookmarkLocation>}
+   *
+   * @description
+   * If the bookmark has a peg and cannot be found in its file (or the file
+   * no longer exists), files Git detects as renames or copies of the
+   * bookmarked file since the peg commit are searched; the resulting
+   * location's `file` is then the path to which the bookmark moved.
    */
-  async currentLocation({file: filePath, line, markText: text, peg: gitPeg}) {
-    const editBuffer = await this.editor.open(filePath);
-    
-    const rowHasText = (i) => {
-      const lineText = editBuffer.lineText(i);
-      return lineText && lineText.includes(text);
+  async currentLocation(bookmark) {
+    const { file: filePath, peg: gitPeg } = bookmark;
+    try {
+      const editBuffer = await this.editor.open(filePath);
+      return await this.locateInBuffer(bookmark, editBuffer, {
+        blameMatch: gitPeg ? this.retrieveBlameMatchLine(filePath, gitPeg) : null,
+        endBlameMatch: () => this.retrieveBlameMatchLine(filePath, gitPeg.end),
+      });
+    } catch (e) {
+      const location = await this.locateInDerivedFiles(bookmark);
+      if (location) {
+        return location;
+      }
+      throw e;
+    }
+  }
+  
+  /**
+   * @typedef {Object} BookmarkLocateResult
+   *
+   * @property {BookmarkLocation} [location]
+   *    Current location of the bookmark, if found; its `file` differs from
+   *    the bookmark's if the bookmark was tracked to a renamed file
+   * @property {string} [notFound]
+   *    Reason the bookmark could not be located: `'TextNotFound'` if the
+   *    mark text was not found where the bookmark was expected to be, or
+   *    `'FileUnavailable'` if the bookmarked file could not be opened
+   * @property {Error} [error]
+   *    Error preventing the bookmarked file from being opened
+   */
+  
+  /**
+   * @summary Find the current locations of all bookmarks in a casefile
+   *
+   * @param {Casefile|Array.<Bookmark>} casefile
+   *    Casefile (or bookmark forest) whose bookmarks to locate
+   * @returns {Promise.<Map.<Bookmark, BookmarkLocateResult>>}
+   *    Result for every bookmark in the forest, including children
+   *
+   * @description
+   * This finds the same locations as calling
+   * [currentLocation]{@link BookmarkFacilitator#currentLocation} for each
+   * bookmark, but groups the bookmarks by file so each file is opened
+   * once, `git blame` runs once per file, and the diff from each peg commit
+   * to the current content is computed once per file and commit.
+   */
+  async locateAll(casefile) {
+    const byFile = new Map();
+    const collect = (bookmarks = []) => {
+      for (const bookmark of bookmarks) {
+        if (!byFile.has(bookmark.file)) {
+          byFile.set(bookmark.file, []);
+        }
+        byFile.get(bookmark.file).push(bookmark);
+        collect(bookmark.children);
+      }
     };
+    collect(Array.isArray(casefile) ? casefile : casefile.bookmarks);
     
-    return new Promise((resolve, reject) => {
-      const findAndReportTextInRow = (i) => {
-        if (rowHasText(i)) {
-          return resolve({
-            file: filePath,
-            line: i,
-            col: editBuffer.lineText(i).indexOf(text) + 1,
-          }) || true;
+    const results = new Map();
+    await Promise.all(Array.from(byFile, async ([filePath, bookmarks]) => {
+      let editBuffer;
+      try {
+        editBuffer = await this.editor.open(filePath);
+      } catch (error) {
+        for (const bookmark of bookmarks) {
+          const location = await this.locateInDerivedFiles(bookmark);
+          results.set(bookmark, location ? { location } : { notFound: 'FileUnavailable', error });
         }
-      };
+        return;
+      }
       
-      const reportMarkLocationWithoutTracking = () => {
-        if (!findAndReportTextInRow(line)) {
-          for (let i = 1; i <= UNTRACKED_WINDOW_SIZE; ++i) {
-            if (findAndReportTextInRow(line + i) || findAndReportTextInRow(line - i)) {
-              return;
-            }
+      // Pegs (including the ends of ranges) to locate with a single blame
+      const blamePegs = [];
+      for (const { peg } of bookmarks) {
+        for (const blamePeg of [peg, peg && peg.end]) {
+          if (blamePeg && blamePeg.commit && !blamePegs.includes(blamePeg)) {
+            blamePegs.push(blamePeg);
           }
         }
+      }
+      const blameMatches = blamePegs.length === 0 ? [] : (
+        this.editor.liveContent(filePath)
+        .then(content => this.gitOps.findCurrentLinePositions(
+          filePath,
+          blamePegs,
+          content
+        ))
+        .catch((e) => {
+          this.logger.error(e);
+          return [];
+        })
+      );
+      const blameMatchFor = (blamePeg) => {
+        const blameIndex = blamePegs.indexOf(blamePeg);
+        return blameIndex < 0 ? null : Promise.resolve(blameMatches)
+          .then(matches => matches[blameIndex]);
       };
       
-      if (gitPeg) {
-        return this.retrieveBlameMatchLine(filePath, gitPeg)
-          .then(({ line }) => {
-            let val;
-            val = findAndReportTextInRow(line);
-            if (!val) {
-              this.logger.warn(`blame was wrong, text %o not in line %d`, text, line);
-              throw new MarkNotFound({ file: filePath, line, markText: text });
-            }
-          })
-          .catch((e) => {
-            if (!(e instanceof MarkNotFound) && !(e && e.code === 'LineNotFound')) {
-              this.logger.error(e);
-            }
-            return this.computeCurrentLineRange(filePath, gitPeg)
-            .then(({ start, prime, end }) => {
-              if (findAndReportTextInRow(prime)) return;
-              const iLimit = Math.max(prime - start, end - prime);
-              for (let i = 1; i <= iLimit; ++i) {
-                if (start <= prime - i && findAndReportTextInRow(prime - i)) return;
-                if (prime + i < end && findAndReportTextInRow(prime + i)) return;
-              }
-              throw new MarkNotFound({ file: filePath, start, end });
-            })
-          })
-          .catch((e) => {
-            if (!(e instanceof MarkNotFound)) {
-              this.logger.error(e);
-            }
-            reportMarkLocationWithoutTracking(e);
-          })
-          .finally(() => {
-            reject(new MarkNotFound({ file: filePath, line, markText: text }));
-          })
-          ;
+      const hunkCache = new Map();
+      for (const bookmark of bookmarks) {
+        try {
+          results.set(bookmark, {
+            location: await this.locateInBuffer(bookmark, editBuffer, {
+              blameMatch: blameMatchFor(bookmark.peg),
+              endBlameMatch: () => blameMatchFor(bookmark.peg.end),
+              hunkCache,
+            }),
+          });
+        } catch (e) {
+          /* istanbul ignore if */
+          if (!(e instanceof MarkNotFound)) throw e;
+          const location = await this.locateInDerivedFiles(bookmark);
+          results.set(bookmark, location ? { location } : { notFound: 'TextNotFound' });
+        }
+      }
+    }));
+    return results;
+  }
+  
+  /**
+   * @typedef {Object} PegCommitHealth
+   *
+   * @property {string} commit
+   *    Commit named by the peg (or by the peg's `end`)
+   * @property {boolean} local
+   *    Whether the commit exists in the local repository
+   * @property {?boolean} remote
+   *    Whether the commit is in the history of a branch of the remote the
+   *    health check was asked about; `null` if no remote was given or the
+   *    commit does not exist locally
+   */
+  
+  /**
+   * @typedef {Object} BookmarkHealth
+   *
+   * @property {Bookmark} bookmark
+   *    The bookmark checked
+   * @property {string} path
+   *    Location of the bookmark within the casefile, e.g.
+   *    `bookmarks[2].children[0]`
+   * @property {boolean} fileAtHead
+   *    Whether the bookmark's file exists in the `HEAD` commit
+   * @property {Array.<PegCommitHealth>} pegCommits
+   *    Health of each distinct commit named by the bookmark's peg
+   * @property {?BookmarkLocation} location
+   *    Current location of the bookmark, or `null` if it could not be located
+   * @property {string} [notFound]
+   *    When not located, `'TextNotFound'` or `'FileUnavailable'` (as for
+   *    {@link BookmarkLocateResult})
+   * @property {?{file: ?string, lines: number, columns: ?number}} movement
+   *    How far the bookmark moved from its recorded position: *file* is the
+   *    path it moved to (`null` if still in the same file), *lines* the
+   *    change in line number, and *columns* the change in column (`null` if
+   *    the bookmark records no column); `null` if not located
+   * @property {Array.<string>} problems
+   *    Codes of the problems found: `'FileMissingAtHead'`,
+   *    `'PegCommitMissing'`, `'PegCommitUnknownToRemote'` and/or
+   *    `'MarkNotFound'`; empty for a healthy bookmark
+   */
+  
+  /**
+   * @typedef {Object} CasefileHealthReport
+   *
+   * @property {?string} remote
+   *    Remote against which peg commits were checked
+   * @property {boolean} healthy
+   *    Whether no problems were found with any bookmark
+   * @property {Array.<BookmarkHealth>} bookmarks
+   *    Health of every bookmark in the casefile, children following their
+   *    parent
+   */
+  
+  /**
+   * @summary Check the health of every bookmark in a casefile
+   *
+   * @param {Casefile|Array.<Bookmark>} casefile
+   *    Casefile (or bookmark forest) whose bookmarks to check
+   * @param {object} [kwargs]
+   * @param {string} [kwargs.remote]
+   *    Name of a remote on which the peg commits must be available (so others
+   *    can locate the bookmarks through them); not checked if not given
+   * @returns {Promise.<CasefileHealthReport>}
+   *
+   * @description
+   * Each bookmark is located with
+   * [currentLocation]{@link BookmarkFacilitator#currentLocation}; peg
+   * commits are checked with {@link GitInteraction#revParse} and, when
+   * *kwargs.remote* is given,
+   * {@link GitInteraction#selectCommitsUnknownToRemote}.  Knowledge of the
+   * remote comes from its remote-tracking branches, so fetch from it first
+   * for an up-to-date answer.
+   */
+  async checkHealth(casefile, { remote } = {}) {
+    const entries = [];
+    const collect = (bookmarks = [], path) => {
+      bookmarks.forEach((bookmark, i) => {
+        entries.push({ bookmark, path: `${path}[${i}]` });
+        collect(bookmark.children, `${path}[${i}].children`);
+      });
+    };
+    collect(Array.isArray(casefile) ? casefile : casefile.bookmarks, 'bookmarks');
+    
+    const succeeds = async (promise) => {
+      try {
+        await promise;
+        return true;
+      } catch (e) {
+        return false;
+      }
+    };
+    const memoize = (fn) => {
+      const results = new Map();
+      return (key) => {
+        if (!results.has(key)) {
+          results.set(key, fn(key));
+        }
+        return results.get(key);
+      };
+    };
+    const fileAtHead = memoize(file => succeeds(this.gitOps.revParse(`HEAD:${file}`)));
+    const commitExists = memoize(commit => succeeds(this.gitOps.revParse(`${commit}^{commit}`)));
+    const pegCommitsOf = ({ peg }) => Array.from(new Set(
+      [peg, peg && peg.end].filter(p => p && p.commit).map(p => p.commit)
+    ));
+    
+    const localCommits = new Map();
+    for (const { bookmark } of entries) {
+      for (const commit of pegCommitsOf(bookmark)) {
+        localCommits.set(commit, await commitExists(commit));
+      }
+    }
+    let unknownToRemote = null;
+    if (remote) {
+      unknownToRemote = new Set(await this.gitOps.selectCommitsUnknownToRemote(
+        remote,
+        Array.from(localCommits).filter(([ , local ]) => local).map(([ commit ]) => commit)
+      ));
+    }
+    
+    const results = [];
+    for (const { bookmark, path } of entries) {
+      const health = {
+        bookmark,
+        path,
+        fileAtHead: await fileAtHead(bookmark.file),
+        pegCommits: pegCommitsOf(bookmark).map(commit => {
+          const local = localCommits.get(commit);
+          return {
+            commit,
+            local,
+            remote: (unknownToRemote && local) ? !unknownToRemote.has(commit) : null,
+          };
+        }),
+        location: null,
+        movement: null,
+        problems: [],
+      };
+      try {
+        const location = health.location = await this.currentLocation(bookmark);
+        health.movement = {
+          file: location.file !== bookmark.file ? location.file : null,
+          lines: location.line - bookmark.line,
+          columns: bookmark.col == null ? null : location.col - bookmark.col,
+        };
+      } catch (e) {
+        health.notFound = (e instanceof MarkNotFound) ? 'TextNotFound' : 'FileUnavailable';
       }
       
-      reportMarkLocationWithoutTracking();
-      reject(new MarkNotFound({ file: filePath, line, markText: text }));
-    });
+      if (!health.fileAtHead) {
+        health.problems.push('FileMissingAtHead');
+      }
+      if (health.pegCommits.some(({ local }) => !local)) {
+        health.problems.push('PegCommitMissing');
+      }
+      if (health.pegCommits.some(({ remote }) => remote === false)) {
+        health.problems.push('PegCommitUnknownToRemote');
+      }
+      if (!health.location) {
+        health.problems.push('MarkNotFound');
+      }
+      results.push(health);
+    }
+    return {
+      remote: remote || null,
+      healthy: results.every(({ problems }) => problems.length === 0),
+      bookmarks: results,
+    };
+  }
+  
+  /**
+   * @typedef {Object} BookmarkPegRefresh
+   *
+   * @property {string} path
+   *    Location of the bookmark within the casefile, e.g.
+   *    `bookmarks[2].children[0]`
+   * @property {Bookmark} bookmark
+   *    The bookmark as it was
+   * @property {Bookmark} updated
+   *    The bookmark as it is in the updated casefile (without `children`)
+   * @property {string} status
+   *    `'refreshed'` if the bookmark's position or peg changed,
+   *    `'unchanged'` if neither did, or `'notFound'` if the bookmark could
+   *    not be located (in which case it is left as it was)
+   * @property {Array.<string>} changed
+   *    Names of the bookmark properties that changed (e.g. `'line'` or
+   *    `'peg'`)
+   * @property {string} [notFound]
+   *    When not located, the reason (as for {@link BookmarkLocateResult})
+   */
+  
+  /**
+   * @summary Re-peg every bookmark in a casefile at its current location
+   *
+   * @param {Casefile|Array.<Bookmark>} casefile
+   *    Casefile (or bookmark forest) whose bookmarks to refresh
+   * @returns {Promise.<{casefile: (Casefile|Array.<Bookmark>), changes: Array.<BookmarkPegRefresh>}>}
+   *    The updated casefile (of the same form as *casefile*, which is not
+   *    modified) and a changelog entry for every bookmark, children following
+   *    their parent
+   *
+   * @description
+   * Each bookmark is located as by
+   * [locateAll]{@link BookmarkFacilitator#locateAll}, then its position is
+   * updated to the location found and its peg recomputed there with
+   * [computeLinePeg]{@link BookmarkFacilitator#computeLinePeg}, so later
+   * lookups can track the bookmark from a recent commit.  When no commit
+   * can be found for the new position, the bookmark keeps its old peg.
+   */
+  async refreshPegs(casefile) {
+    const bookmarks = Array.isArray(casefile) ? casefile : casefile.bookmarks;
+    const locations = await this.locateAll(bookmarks || []);
+    const changes = [];
+    
+    const refresh = async (bookmarks = [], path) => {
+      const result = [];
+      for (const [ i, bookmark ] of bookmarks.entries()) {
+        const { children, ...original } = bookmark;
+        const bookmarkPath = `${path}[${i}]`;
+        const change = { path: bookmarkPath, bookmark };
+        changes.push(change);
+        
+        const { location, notFound } = locations.get(bookmark) || { notFound: 'TextNotFound' };
+        let updated = original;
+        if (location) {
+          updated = { ...original, file: location.file, line: location.line };
+          if (original.col !== undefined) {
+            updated.col = location.col;
+          }
+          if (location.endLine !== undefined) {
+            updated.endLine = location.endLine;
+            updated.endCol = location.endCol;
+          }
+          const peg = await this.computeLinePeg(location.file, location.line, {
+            endLine: location.endLine,
+          });
+          if (peg.commit) {
+            updated.peg = peg;
+          }
+        }
+        Object.assign(change, {
+          updated,
+          status: location ? 'refreshed' : 'notFound',
+          changed: Object.keys({ ...original, ...updated }).filter(
+            key => JSON.stringify(original[key]) !== JSON.stringify(updated[key])
+          ),
+        });
+        if (!location) {
+          change.notFound = notFound;
+        } else if (change.changed.length === 0) {
+          change.status = 'unchanged';
+        }
+        
+        result.push(children === undefined ? updated : {
+          ...updated,
+          children: await refresh(children, `${bookmarkPath}.children`),
+        });
+      }
+      return result;
+    };
+    
+    const refreshed = await refresh(bookmarks, 'bookmarks');
+    return {
+      casefile: Array.isArray(casefile) ? refreshed : { ...casefile, bookmarks: refreshed },
+      changes,
+    };
   }
   
   /**
@@ -186,9 +610,21 @@ class BookmarkFacilitator {
    * @param {object} [kwargs]
    * @param {string} [kwargs.commit]
    *    Start point for the search
-   * @returns {Promise.<{ line: number, commit: ?string }>}
+   * @param {number} [kwargs.endLine]
+   *    Line (1-based) of file on which a range bookmark ends
+   * @returns {Promise.<{ line: number, commit: ?string, end: ?{ line: number, commit: ?string } }>}
+   *    The peg; `end` is set to the peg of *kwargs.endLine* when it is given
+   *    and differs from *currentLine*
    */
-  async computeLinePeg(filePath, currentLine, {commit=null}={}) {
+  async computeLinePeg(filePath, currentLine, {commit=null, endLine}={}) {
+    if (endLine != null && endLine !== currentLine) {
+      const [ startPeg, end ] = await Promise.all([
+        this.computeLinePeg(filePath, currentLine, { commit }),
+        this.computeLinePeg(filePath, endLine, { commit }),
+      ]);
+      return { ...startPeg, end };
+    }
+    
     // Try to get result via 'git blame'
     try {
       return await this.gitOps.lineIntroduction(
@@ -225,10 +661,9 @@ class BookmarkFacilitator {
         if (currentLine < hunk.currentStart) {
           return { line: currentLine - currentOffset };
         } else if (hunk.currentStart <= currentLine && currentLine < hunk.currentEnd) {
+          const [ baseText, currentText ] = await this.getContentTexts(baseContent, currentContent);
           return {
-            line: Math.floor(
-              (currentLine - hunk.currentStart) / (hunk.currentEnd - hunk.currentStart) * (hunk.baseEnd - hunk.baseStart)
-            ) + hunk.baseStart,
+            line: counterpartLine(hunk, currentLine, { baseText, currentText, fromCurrent: true }),
             commit,
           };
         }
@@ -240,20 +675,247 @@ class BookmarkFacilitator {
     }
   }
   
+  /**
+   * @private
+   * @summary Locate a bookmark within an opened edit buffer
+   * @param {Bookmark} bookmark
+   * @param {object} editBuffer
+   * @param {object} kwargs
+   * @param {?Promise.<?{line: number}>} kwargs.blameMatch
+   *    Line blame tracked from the bookmark's peg, if the bookmark has a peg
+   * @param {function} [kwargs.endBlameMatch]
+   *    Called (only for a range bookmark whose peg has an `end`) to get a
+   *    Promise of the line blame tracked from `peg.end`
+   * @param {Map} [kwargs.hunkCache]
+   *    Cache of diff hunks for {@link BookmarkFacilitator#computeCurrentLineRange}
+   * @param {string} [kwargs.basePath]
+   *    Path of the bookmarked file at the peg commit, if it has since moved
+   * @returns {Promise.<BookmarkLocation>}
+   */
+  async locateInBuffer(bookmark, editBuffer, kwargs) {
+    const location = await this.locateStartInBuffer(bookmark, editBuffer, kwargs);
+    if (bookmark.endLine == null) {
+      return location;
+    }
+    return this.locateEndInBuffer(bookmark, editBuffer, location, kwargs);
+  }
+  
+  /**
+   * @private
+   * @summary Extend the location of a range bookmark's start to its end
+   * @returns {Promise.<BookmarkLocation>}
+   */
+  async locateEndInBuffer(bookmark, editBuffer, location, { endBlameMatch, hunkCache, basePath }) {
+    const { line, endLine, endCol, markText, peg: gitPeg } = bookmark;
+    const minEnd = location.line;
+    const isPlausibleEnd = (i) => i != null && i >= minEnd;
+    
+    // Estimate where the end line went, keeping the range's span if the end
+    // cannot be tracked from its own peg
+    let estimate = null;
+    if (gitPeg && gitPeg.end && gitPeg.end.commit) {
+      try {
+        const match = await endBlameMatch();
+        estimate = match ? match.line : null;
+      } catch (e) {
+        if (!(e && e.code === 'LineNotFound')) {
+          this.logger.error(e);
+        }
+      }
+      if (!isPlausibleEnd(estimate)) {
+        const { prime } = await this.computeCurrentLineRange(
+          location.file, gitPeg.end, { hunkCache, basePath }
+        );
+        estimate = prime;
+      }
+    }
+    if (!isPlausibleEnd(estimate)) {
+      estimate = location.line + (endLine - line);
+    }
+    
+    // Where the mark text spans lines, its last line marks the end
+    const markLines = (markText || '').split(ENDL_PATTERN);
+    if (markLines.length > 1) {
+      const endText = markLines[markLines.length - 1];
+      const findEndText = (i, fuzzy) => {
+        const match = isPlausibleEnd(i) && findMarkText(
+          editBuffer.lineText(i), endText, fuzzy && this.fuzzyMatching
+        );
+        return match && { ...location, endLine: i, endCol: match.col + endText.length };
+      };
+      for (const fuzzy of this.fuzzyMatching ? [false, true] : [false]) {
+        for (let i = 0; i <= UNTRACKED_WINDOW_SIZE; ++i) {
+          const result = findEndText(estimate + i, fuzzy) || findEndText(estimate - i, fuzzy);
+          if (result) {
+            return result;
+          }
+        }
+      }
+    }
+    
+    return { ...location, endLine: estimate, endCol };
+  }
+  
+  /**
+   * @private
+   * @summary Locate the start of a bookmark within an opened edit buffer
+   * @returns {Promise.<BookmarkLocation>}
+   */
+  locateStartInBuffer({file: filePath, line, markText, peg: gitPeg}, editBuffer, { blameMatch, hunkCache, basePath }) {
+    if (typeof markText !== 'string') {
+      return Promise.reject(new MarkNotFound({ file: filePath, line, markText }));
+    }
+    const fuzzyMatching = this.fuzzyMatching;
+    const text = markText.split(ENDL_PATTERN)[0];
+    
+    return new Promise((resolve, reject) => {
+      const candidates = [];
+      const findAndReportTextInRow = (i, method, distance = 0, distanceLimit = 0, fuzzy = false) => {
+        if (isLineInBuffer(editBuffer, i)) {
+          candidates.push(fuzzy ? { method, line: i, fuzzy } : { method, line: i });
+        }
+        const match = findMarkText(editBuffer.lineText(i), text, fuzzy && fuzzyMatching);
+        if (match) {
+          return resolve({
+            file: filePath,
+            line: i,
+            col: match.col,
+            similarity: match.similarity,
+            method,
+            confidence: match.similarity * METHOD_CONFIDENCE[method] * (1 - distance / (distanceLimit + 1)),
+            candidates,
+          }) || true;
+        }
+      };
+      
+      // Search exactly first, then (if enabled) fuzzily
+      const searchPasses = fuzzyMatching ? [false, true] : [false];
+      
+      const reportMarkLocationWithoutTracking = () => {
+        for (const fuzzy of searchPasses) {
+          const report = (i) => findAndReportTextInRow(
+            line + i, 'untracked', Math.abs(i), UNTRACKED_WINDOW_SIZE, fuzzy
+          );
+          if (report(0)) return;
+          for (let i = 1; i <= UNTRACKED_WINDOW_SIZE; ++i) {
+            if (report(i) || report(-i)) {
+              return;
+            }
+          }
+        }
+      };
+      
+      if (gitPeg) {
+        return Promise.resolve(blameMatch)
+          .then((match) => {
+            if (!match) {
+              throw new MarkNotFound({ file: filePath, markText: text });
+            }
+            const { line } = match;
+            let val;
+            val = findAndReportTextInRow(line, 'blame');
+            if (!val) {
+              this.logger.warn(`blame was wrong, text %o not in line %d`, text, line);
+              throw new MarkNotFound({ file: filePath, line, markText: text });
+            }
+          })
+          .catch((e) => {
+            if (!(e instanceof MarkNotFound) && !(e && e.code === 'LineNotFound')) {
+              this.logger.error(e);
+            }
+            return this.computeCurrentLineRange(filePath, gitPeg, { hunkCache, basePath })
+            .then(({ start, prime, end }) => {
+              const iLimit = Math.max(prime - start, end - prime);
+              for (const fuzzy of searchPasses) {
+                const report = (i) => findAndReportTextInRow(
+                  prime + i, 'diff', Math.abs(i), iLimit, fuzzy
+                );
+                if (report(0)) return;
+                for (let i = 1; i <= iLimit; ++i) {
+                  if (start <= prime - i && report(-i)) return;
+                  if (prime + i < end && report(i)) return;
+                }
+              }
+              throw new MarkNotFound({ file: filePath, start, end });
+            })
+          })
+          .catch((e) => {
+            if (!(e instanceof MarkNotFound)) {
+              this.logger.error(e);
+            }
+            reportMarkLocationWithoutTracking(e);
+          })
+          .finally(() => {
+            reject(new MarkNotFound({ file: filePath, line, markText: text }));
+          })
+          ;
+      }
+      
+      reportMarkLocationWithoutTracking();
+      reject(new MarkNotFound({ file: filePath, line, markText: text }));
+    });
+  }
+  
+  /**
+   * @private
+   * @summary Locate a pegged bookmark in files renamed or copied from its file
+   * @param {Bookmark} bookmark
+   * @returns {Promise.<?BookmarkLocation>}
+   */
+  async locateInDerivedFiles(bookmark) {
+    const { file: filePath, peg: gitPeg } = bookmark;
+    if (!(gitPeg && gitPeg.commit)) {
+      return null;
+    }
+    let derivedPaths;
+    try {
+      derivedPaths = await this.gitOps.findPathsDerivedFrom(filePath, gitPeg.commit);
+    } catch (e) {
+      this.logger.error(e);
+      return null;
+    }
+    for (const { file, sourceFile } of derivedPaths || []) {
+      try {
+        const editBuffer = await this.editor.open(file);
+        return await this.locateInBuffer({ ...bookmark, file }, editBuffer, {
+          blameMatch: this.retrieveBlameMatchLine(file, gitPeg, { sourceFile }),
+          endBlameMatch: () => this.retrieveBlameMatchLine(file, gitPeg.end, { sourceFile }),
+          basePath: filePath,
+        });
+      } catch (e) {
+        if (!(e instanceof MarkNotFound)) {
+          this.logger.error(e);
+        }
+      }
+    }
+    return null;
+  }
+  
   /**
    * @private
    * @returns {Promise.<{line: number}>}
    */
-  async retrieveBlameMatchLine(filePath, {commit, line}) {
+  async retrieveBlameMatchLine(filePath, {commit, line}, blameOpts) {
     const content = await this.editor.liveContent(filePath);
+    if (blameOpts) {
+      return this.gitOps.findCurrentLinePosition(filePath, {commit, line}, content, blameOpts);
+    }
     return this.gitOps.findCurrentLinePosition(filePath, {commit, line}, content);
   }
   
   /**
    * @private
+   * @param {string} filePath
+   * @param {{line: number, commit: string}} peg
+   * @param {object} [kwargs]
+   * @param {Map} [kwargs.hunkCache]
+   *    Cache of diff hunks by peg commit, valid only for the current content
+   *    of *filePath*
+   * @param {string} [kwargs.basePath=filePath]
+   *    Path of the file at *peg.commit*
    * @returns {Promise.<{ start: number, prime: number, end: number }>}
    */
-  async computeCurrentLineRange(filePath, {line, commit}) {
+  async computeCurrentLineRange(filePath, {line, commit}, { hunkCache, basePath = filePath } = {}) {
     line = Number(line);
     /* istanbul ignore if (method only called when git peg is pressent) */
     if (!commit) {
@@ -261,11 +923,14 @@ class BookmarkFacilitator {
     }
     
     try {
-      const liveContent = await this.editor.liveContent(filePath);
-      const hunks = await this.diffOps.getHunks(
-        { immediate: await this.gitOps.getBlobContent(filePath, { commit }) },
-        liveContent == null ? { path: filePath } : { immediate: liveContent }
-      );
+      let promiseOfDiff = hunkCache && hunkCache.get(commit);
+      if (!promiseOfDiff) {
+        promiseOfDiff = this.getHunksSinceCommit(filePath, commit, basePath);
+        if (hunkCache) {
+          hunkCache.set(commit, promiseOfDiff);
+        }
+      }
+      const { hunks, getTexts } = await promiseOfDiff;
       
       let currentOffset = 0;
       for (const hunk of hunks) {
@@ -276,11 +941,10 @@ class BookmarkFacilitator {
             end: line + currentOffset + 1,
           };
         } else if (hunk.baseStart <= line && line < hunk.baseEnd) {
+          const [ baseText, currentText ] = await getTexts();
           return {
             start: hunk.currentStart,
-            prime: hunk.currentStart + Math.floor(
-              (line - hunk.baseStart) / (hunk.baseEnd - hunk.baseStart) * (hunk.currentEnd - hunk.currentStart)
-            ),
+            prime: counterpartLine(hunk, line, { baseText, currentText }),
             end: hunk.currentEnd,
           };
         } else if (hunk.baseStart == line) {
@@ -306,6 +970,54 @@ class BookmarkFacilitator {
       };
     }
   }
+  
+  /**
+   * @private
+   * @returns {Promise.<{ hunks: Array.<Change>, getTexts: function }>}
+   *    The hunks and a function returning (once, however often called) a
+   *    Promise of the base and current texts, for aligning lines within
+   *    hunks
+   */
+  async getHunksSinceCommit(filePath, commit, basePath = filePath) {
+    const liveContent = await this.editor.liveContent(filePath);
+    const baseContent = { immediate: await this.gitOps.getBlobContent(basePath, { commit }) };
+    const currentContent = liveContent == null ? { path: filePath } : { immediate: liveContent };
+    const hunks = await this.diffOps.getHunks(baseContent, currentContent);
+    let promiseOfTexts;
+    return {
+      hunks,
+      getTexts: () => promiseOfTexts || (
+        promiseOfTexts = this.getContentTexts(baseContent, currentContent)
+      ),
+    };
+  }
+  
+  /**
+   * @private
+   * @param {...TextContent} contents
+   * @returns {Promise.<Array.<(string|undefined)>>}
+   *    Text of each of *contents*, `undefined` where it cannot be read
+   */
+  async getContentTexts(...contents) {
+    return Promise.all(contents.map(async (content) => {
+      try {
+        return await this.diffOps.getText(content);
+      } catch (e) {
+        return undefined;
+      }
+    }));
+  }
+}
+
+function isLineInBuffer(editBuffer, line) {
+  if (line < 1) {
+    return false;
+  }
+  return (
+    editBuffer.lineCount != null
+    ? line <= editBuffer.lineCount
+    : editBuffer.lineText(line) !== undefined
+  );
 }
 
 export default BookmarkFacilitator;
@@ -11,6 +11,8 @@ import GitInteraction from './gitInteraction.js';
 
 import { FAIL_ON_LOG } from '../../test/helpers.js';
 
+chai.use(chaiAsPromised);
+
 class InjectedError extends CodedError({}) {};
 
 class EditBufferGenerator {
@@ -36,7 +38,7 @@ const file = 'recipe.md';
 // https://www.foodista.com/recipe/KZFXTKNG/penne-pasta-peas-and-bacon
 const fileContent = dedent`
   # Ingredients
-
+  
   * 1 Tbsp olive oil
   * ½ diced very small yellow onion
   * 1 cup frozen peas
@@ -50,7 +52,7 @@ describe('BookmarkFacilitator', () => {
     count debug dir dirxml error group groupCollapsed groupEnd info log
     table time timeEnd timeLog trace warn profile profileEnd timeStamp
   `.trim().split(/\s+/));
-
+  
   beforeEach(function () {
     this.editBufferGenerator = new EditBufferGenerator(fileContent);
     const logger = new Proxy(console, {
@@ -73,6 +75,42 @@ describe('BookmarkFacilitator', () => {
     });
   });
   
+  describe('construction', () => {
+    it(`can compute diffs in-process instead of with 'diff'`, function () {
+      const subject = new BookmarkFacilitator({
+        gitOps: this.gitOps,
+        diffEngine: 'builtin',
+      });
+      expect(subject.diffOps).to.be.instanceOf(DiffInteraction)
+        .and.have.property('engine', 'builtin');
+    });
+    
+    it(`passes the diff algorithm to the DiffInteraction`, function () {
+      const subject = new BookmarkFacilitator({
+        gitOps: this.gitOps,
+        diffEngine: 'builtin',
+        diffAlgorithm: 'histogram',
+      });
+      expect(subject.diffOps).to.have.property('algorithm', 'histogram');
+    });
+    
+    it(`computes diffs in-process for algorithms the 'diff' program lacks`, function () {
+      const subject = new BookmarkFacilitator({
+        gitOps: this.gitOps,
+        diffAlgorithm: 'patience',
+      });
+      expect(subject.diffOps).to.include({ engine: 'builtin', algorithm: 'patience' });
+    });
+    
+    it(`uses the 'diff' program by default for the minimal algorithm`, function () {
+      const subject = new BookmarkFacilitator({
+        gitOps: this.gitOps,
+        diffAlgorithm: 'minimal',
+      });
+      expect(subject.diffOps).to.include({ engine: 'diff', algorithm: 'minimal' });
+    });
+  });
+  
   describe('.prototype.currentLocation()', () => {
     it(`can compute current location of a full bookmark present in an unchanged section`, async function() {
       const bookmark = {
@@ -90,7 +128,9 @@ describe('BookmarkFacilitator', () => {
       double.when(this.gitOps.findCurrentLinePosition(file, bookmark.peg, undefined))
         .thenResolve({ line: 7 });
       const result = await this.subject.currentLocation(bookmark);
-      expect(result).to.eql({ file, line: 7, col: 11 });
+      expect(result).to.deep.include({ file, line: 7, col: 11, method: 'blame' });
+      expect(result).to.include({ confidence: 1 });
+      expect(result.candidates).to.eql([ { method: 'blame', line: 7 } ]);
     });
     
     it(`can locate the bookmark before the first changed section`, async function() {
@@ -115,7 +155,7 @@ describe('BookmarkFacilitator', () => {
           { baseStart: 8, baseEnd: 9, currentStart: 8, currentEnd: 8 }
         ]);
       const result = await this.subject.currentLocation(bookmark);
-      expect(result).to.eql({ file, line: 7, col: 11 });
+      expect(result).to.deep.include({ file, line: 7, col: 11, method: 'diff' });
     });
     
     it(`can locate the bookmark after a changed section`, async function() {
@@ -140,7 +180,7 @@ describe('BookmarkFacilitator', () => {
           { baseStart: 2, baseEnd: 3, currentStart: 2, currentEnd: 5 }
         ]);
       const result = await this.subject.currentLocation(bookmark);
-      expect(result).to.eql({ file, line: 7, col: 11 });
+      expect(result).to.deep.include({ file, line: 7, col: 11, method: 'diff' });
     });
     
     it(`can locate the bookmark text in a changed section (later line)`, async function() {
@@ -165,7 +205,9 @@ describe('BookmarkFacilitator', () => {
           { baseStart: 4, baseEnd: 7, currentStart: 4, currentEnd: 8 }
         ]);
       const result = await this.subject.currentLocation(bookmark);
-      expect(result).to.eql({ file, line: 7, col: 11 });
+      expect(result).to.deep.include({ file, line: 7, col: 11, method: 'diff' });
+      expect(result.confidence).to.be.closeTo(0.45, 1e-9);
+      expect(result.candidates.map(c => c.line)).to.eql([ 5, 4, 6, 7 ]);
     });
     
     it(`can locate the bookmark text in a changed section (prime line)`, async function() {
@@ -190,7 +232,41 @@ describe('BookmarkFacilitator', () => {
           { baseStart: 4, baseEnd: 8, currentStart: 4, currentEnd: 8 }
         ]);
       const result = await this.subject.currentLocation(bookmark);
-      expect(result).to.eql({ file, line: 7, col: 11 });
+      expect(result).to.deep.include({ file, line: 7, col: 11, method: 'diff' });
+    });
+    
+    it(`aligns the pegged line with its counterpart in a changed section`, async function() {
+      const bookmark = {
+        file,
+        line: 4,
+        markText: 'penne',
+        peg: {
+          commit: 'aa297bc2960f492fe3ce8f52011d25ff4348fdec',
+          line: 4,
+        },
+      };
+      const baseText = [
+        ...fileContent.slice(0, 3),
+        '* 1 pound penne pasta',
+        '* ¼ cup cream',
+      ].join('\n');
+      const currentText = fileContent.join('\n');
+      double.when(this.editor.open(file)).thenResolve(
+        this.editBufferGenerator.createBuffer()
+      );
+      double.when(this.gitOps.findCurrentLinePosition(file, bookmark.peg, undefined))
+        .thenReject(new InjectedError({ code: 'LineNotFound' }));
+      double.when(this.gitOps.getBlobContent(file, { commit: bookmark.peg.commit }))
+        .thenResolve(baseText);
+      double.when(this.diffOps.getHunks({ immediate: baseText }, { path: file }))
+        .thenResolve([
+          { baseStart: 4, baseEnd: 6, currentStart: 4, currentEnd: 9 }
+        ]);
+      double.when(this.diffOps.getText({ immediate: baseText })).thenResolve(baseText);
+      double.when(this.diffOps.getText({ path: file })).thenResolve(currentText);
+      const result = await this.subject.currentLocation(bookmark);
+      expect(result).to.deep.include({ file, line: 7, col: 11, method: 'diff' });
+      expect(result.confidence).to.be.closeTo(0.9, 1e-9);
     });
     
     it(`can locate the bookmark text in a changed section (earlier line)`, async function() {
@@ -215,7 +291,7 @@ describe('BookmarkFacilitator', () => {
           { baseStart: 4, baseEnd: 9, currentStart: 4, currentEnd: 8 }
         ]);
       const result = await this.subject.currentLocation(bookmark);
-      expect(result).to.eql({ file, line: 5, col: 16 });
+      expect(result).to.deep.include({ file, line: 5, col: 16, method: 'diff' });
     });
     
     it(`can locate the bookmark in an inserted section`, async function() {
@@ -240,7 +316,7 @@ describe('BookmarkFacilitator', () => {
           { baseStart: 7, baseEnd: 7, currentStart: 7, currentEnd: 9 }
         ]);
       const result = await this.subject.currentLocation(bookmark);
-      expect(result).to.eql({ file, line: 7, col: 11 });
+      expect(result).to.deep.include({ file, line: 7, col: 11, method: 'diff' });
     });
     
     it(`can locate the bookmark text near the original line`, async function() {
@@ -265,7 +341,12 @@ describe('BookmarkFacilitator', () => {
           { baseStart: 4, baseEnd: 7, currentStart: 4, currentEnd: 4 }
         ]);
       const result = await this.subject.currentLocation(bookmark);
-      expect(result).to.eql({ file, line: 7, col: 11 });
+      expect(result).to.deep.include({ file, line: 7, col: 11, method: 'untracked' });
+      expect(result).to.include({ confidence: 0.5 });
+      expect(result.candidates).to.eql([
+        { method: 'diff', line: 4 },
+        { method: 'untracked', line: 7 },
+      ]);
     });
     
     it(`can locate the bookmark text near the original line without git linkage`, async function() {
@@ -278,7 +359,8 @@ describe('BookmarkFacilitator', () => {
         this.editBufferGenerator.createBuffer()
       );
       const result = await this.subject.currentLocation(bookmark);
-      expect(result).to.eql({ file, line: 7, col: 11 });
+      expect(result).to.deep.include({ file, line: 7, col: 11, method: 'untracked' });
+      expect(result.confidence).to.be.closeTo(0.5 * 15 / 16, 1e-9);
     });
     
     it(`falls back from faulty blame result`, async function() {
@@ -306,11 +388,433 @@ describe('BookmarkFacilitator', () => {
           { baseStart: 2, baseEnd: 3, currentStart: 2, currentEnd: 5 }
         ]);
       const result = await this.subject.currentLocation(bookmark);
-      expect(result).to.eql({ file, line: 7, col: 11 });
+      expect(result).to.deep.include({ file, line: 7, col: 11, method: 'diff' });
       expect(this.subject.logger.warn.mock.calls).to.be.an('array').with.lengthOf(1);
     });
   });
   
+  describe('.prototype.currentLocation() for a range bookmark', () => {
+    const commit = 'aa297bc2960f492fe3ce8f52011d25ff4348fdec';
+    const endCommit = '4d1c3acd73ba84e6278d9185f9a98007681dcb88';
+    
+    beforeEach(function () {
+      double.when(this.editor.open(file)).thenResolve(
+        this.editBufferGenerator.createBuffer()
+      );
+    });
+    
+    it(`tracks the end of the range through its own peg`, async function() {
+      const bookmark = {
+        file,
+        line: 3,
+        endLine: 5,
+        endCol: 20,
+        markText: 'olive oil',
+        peg: { commit, line: 3, end: { commit: endCommit, line: 4 } },
+      };
+      double.when(this.gitOps.findCurrentLinePosition(file, { commit, line: 3 }, undefined))
+        .thenResolve({ line: 3 });
+      double.when(this.gitOps.findCurrentLinePosition(file, bookmark.peg.end, undefined))
+        .thenResolve({ line: 6 });
+      const result = await this.subject.currentLocation(bookmark);
+      expect(result).to.deep.include({ file, line: 3, col: 10, endLine: 6, endCol: 20, method: 'blame' });
+    });
+    
+    it(`keeps the span of the range when its end cannot be tracked`, async function() {
+      const bookmark = {
+        file,
+        line: 2,
+        endLine: 4,
+        endCol: 5,
+        markText: 'olive oil',
+      };
+      const result = await this.subject.currentLocation(bookmark);
+      expect(result).to.deep.include({ file, line: 3, endLine: 5, endCol: 5 });
+    });
+    
+    it(`locates the end by the last line of multi-line mark text`, async function() {
+      const bookmark = {
+        file,
+        line: 4,
+        endLine: 4,
+        endCol: 10,
+        markText: 'frozen peas\n* 6 thick',
+      };
+      const result = await this.subject.currentLocation(bookmark);
+      expect(result).to.deep.include({ file, line: 5, col: 9, endLine: 6, endCol: 10 });
+    });
+  });
+  
+  describe('.prototype.currentLocation() across renames', () => {
+    const oldFile = 'old-recipe.md';
+    const bookmark = {
+      file: oldFile,
+      line: 7,
+      markText: 'penne',
+      peg: {
+        commit: 'aa297bc2960f492fe3ce8f52011d25ff4348fdec',
+        line: 5,
+      },
+    };
+    
+    it(`follows the bookmarked file to its new path`, async function() {
+      double.when(this.editor.open(oldFile))
+        .thenReject(new InjectedError({ code: 'ENOENT' }));
+      double.when(this.gitOps.findPathsDerivedFrom(oldFile, bookmark.peg.commit))
+        .thenResolve([ { file, sourceFile: oldFile, status: 'renamed' } ]);
+      double.when(this.editor.open(file)).thenResolve(
+        this.editBufferGenerator.createBuffer()
+      );
+      double.when(this.gitOps.findCurrentLinePosition(file, bookmark.peg, undefined, { sourceFile: oldFile }))
+        .thenResolve({ line: 7 });
+      const result = await this.subject.currentLocation(bookmark);
+      expect(result).to.deep.include({ file, line: 7, col: 11, method: 'blame' });
+    });
+    
+    it(`diffs against the old path when blame cannot track the line`, async function() {
+      double.when(this.editor.open(oldFile))
+        .thenReject(new InjectedError({ code: 'ENOENT' }));
+      double.when(this.gitOps.findPathsDerivedFrom(oldFile, bookmark.peg.commit))
+        .thenResolve([ { file, sourceFile: oldFile, status: 'renamed' } ]);
+      double.when(this.editor.open(file)).thenResolve(
+        this.editBufferGenerator.createBuffer()
+      );
+      double.when(this.gitOps.findCurrentLinePosition(file, bookmark.peg, undefined, { sourceFile: oldFile }))
+        .thenReject(new InjectedError({ code: 'LineNotFound' }));
+      double.when(this.gitOps.getBlobContent(oldFile, { commit: bookmark.peg.commit }))
+        .thenResolve(null);
+      double.when(this.diffOps.getHunks({ immediate: null }, { path: file }))
+        .thenResolve([
+          { baseStart: 2, baseEnd: 3, currentStart: 2, currentEnd: 5 }
+        ]);
+      const result = await this.subject.currentLocation(bookmark);
+      expect(result).to.deep.include({ file, line: 7, col: 11, method: 'diff' });
+    });
+    
+    it(`rejects with the original error if no derived file has the mark`, async function() {
+      const error = new InjectedError({ code: 'ENOENT' });
+      double.when(this.editor.open(oldFile)).thenReject(error);
+      double.when(this.gitOps.findPathsDerivedFrom(oldFile, bookmark.peg.commit))
+        .thenResolve([]);
+      await expect(this.subject.currentLocation(bookmark)).to.be.rejectedWith(error);
+    });
+  });
+  
+  describe('.prototype.currentLocation() with fuzzyMatching', () => {
+    beforeEach(function () {
+      this.subject.fuzzyMatching = { minTokenSimilarity: 0.7, minEditSimilarity: 0.8 };
+    });
+    
+    it(`accepts similar text in a changed section`, async function() {
+      const bookmark = {
+        file,
+        line: 7,
+        markText: 'pound of penne pasta',
+        peg: {
+          commit: 'aa297bc2960f492fe3ce8f52011d25ff4348fdec',
+          line: 7,
+        },
+      };
+      double.when(this.editor.open(file)).thenResolve(
+        this.editBufferGenerator.createBuffer()
+      );
+      double.when(this.gitOps.findCurrentLinePosition(file, bookmark.peg, undefined))
+        .thenReject(new InjectedError({ code: 'LineNotFound' }));
+      double.when(this.gitOps.getBlobContent(file, { commit: bookmark.peg.commit }))
+        .thenResolve(null);
+      double.when(this.diffOps.getHunks({ immediate: null }, { path: file }))
+        .thenResolve([
+          { baseStart: 6, baseEnd: 8, currentStart: 6, currentEnd: 8 }
+        ]);
+      const result = await this.subject.currentLocation(bookmark);
+      expect(result).to.deep.include({ file, line: 7, col: 5, method: 'diff' });
+      expect(result.similarity).to.be.closeTo(6 / 7, 1e-9);
+      expect(result.confidence).to.be.closeTo(6 / 7 * 0.9, 1e-9);
+      expect(result.candidates).to.eql([
+        { method: 'diff', line: 7 },
+        { method: 'diff', line: 6 },
+        { method: 'diff', line: 7, fuzzy: true },
+      ]);
+    });
+    
+    it(`prefers an exact match anywhere in the window to a nearer fuzzy match`, async function() {
+      const bookmark = {
+        file,
+        line: 5,
+        markText: 'slices bacon',
+      };
+      double.when(this.editor.open(file)).thenResolve(
+        this.editBufferGenerator.createBuffer()
+      );
+      const result = await this.subject.currentLocation(bookmark);
+      expect(result).to.deep.include({ file, line: 6, similarity: 1, method: 'untracked' });
+    });
+    
+    it(`accepts reformatted text near the original line without git linkage`, async function() {
+      const bookmark = {
+        file,
+        line: 4,
+        markText: '1   cup frozen  peas',
+      };
+      double.when(this.editor.open(file)).thenResolve(
+        this.editBufferGenerator.createBuffer()
+      );
+      const result = await this.subject.currentLocation(bookmark);
+      expect(result).to.deep.include({ file, line: 5, col: 3, similarity: 1, method: 'untracked' });
+      expect(result.candidates.filter(c => c.fuzzy).map(c => c.line)).to.eql([ 4, 5 ]);
+    });
+    
+    it(`lists only candidate lines inside the buffer`, async function() {
+      const bookmark = {
+        file,
+        line: 2,
+        markText: 'frozen peas',
+      };
+      double.when(this.editor.open(file)).thenResolve(
+        this.editBufferGenerator.createBuffer()
+      );
+      const result = await this.subject.currentLocation(bookmark);
+      expect(result).to.deep.include({ file, line: 5, method: 'untracked' });
+      expect(result.candidates.map(c => c.line)).to.eql([ 2, 3, 1, 4, 5 ]);
+    });
+  });
+  
+  describe('.prototype.locateAll()', () => {
+    const commit = 'aa297bc2960f492fe3ce8f52011d25ff4348fdec';
+    
+    it(`locates all bookmarks in a file with a single blame`, async function() {
+      const child = { file, line: 5, markText: 'peas', peg: { commit, line: 4 } };
+      const parent = {
+        file, line: 7, markText: 'penne', peg: { commit, line: 6 },
+        children: [ child ],
+      };
+      double.when(this.editor.open(file)).thenResolve(
+        this.editBufferGenerator.createBuffer()
+      );
+      double.when(this.editor.liveContent(file)).thenResolve(undefined);
+      double.when(this.gitOps.findCurrentLinePositions(file, [ parent.peg, child.peg ], undefined))
+        .thenResolve([ { line: 7 }, { line: 5 } ]);
+      const result = await this.subject.locateAll({ bookmarks: [ parent ] });
+      expect(result).to.be.an.instanceof(Map);
+      expect(result.get(parent).location).to.deep.include({ file, line: 7, col: 11, method: 'blame' });
+      expect(result.get(child).location).to.deep.include({ file, line: 5, col: 16, method: 'blame' });
+      expect(double.explain(this.editor.open).callCount).to.equal(1);
+      double.verify(this.gitOps.findCurrentLinePosition(), { times: 0, ignoreExtraArgs: true });
+    });
+    
+    it(`computes the diff from a peg commit once for all bookmarks blame misses`, async function() {
+      const bookmarks = [
+        { file, line: 7, markText: 'penne', peg: { commit, line: 7 } },
+        { file, line: 5, markText: 'peas', peg: { commit, line: 5 } },
+      ];
+      double.when(this.editor.open(file)).thenResolve(
+        this.editBufferGenerator.createBuffer()
+      );
+      double.when(this.editor.liveContent(file)).thenResolve(undefined);
+      double.when(this.gitOps.findCurrentLinePositions(file, bookmarks.map(bm => bm.peg), undefined))
+        .thenResolve([ null, null ]);
+      double.when(this.gitOps.getBlobContent(file, { commit }))
+        .thenResolve(null);
+      double.when(this.diffOps.getHunks({ immediate: null }, { path: file }))
+        .thenResolve([
+          { baseStart: 8, baseEnd: 9, currentStart: 8, currentEnd: 8 }
+        ]);
+      const result = await this.subject.locateAll(bookmarks);
+      expect(result.get(bookmarks[0]).location).to.deep.include({ file, line: 7, col: 11, method: 'diff' });
+      expect(result.get(bookmarks[1]).location).to.deep.include({ file, line: 5, col: 16, method: 'diff' });
+      expect(double.explain(this.diffOps.getHunks).callCount).to.equal(1);
+    });
+    
+    it(`reports a bookmark without mark text as not found without failing the others`, async function() {
+      const bookmarks = [
+        { file, line: 7, peg: { commit, line: 6 } },
+        { file, line: 5, markText: 'peas', peg: { commit, line: 4 } },
+      ];
+      double.when(this.editor.open(file)).thenResolve(
+        this.editBufferGenerator.createBuffer()
+      );
+      double.when(this.editor.liveContent(file)).thenResolve(undefined);
+      double.when(this.gitOps.findCurrentLinePositions(file, bookmarks.map(bm => bm.peg), undefined))
+        .thenResolve([ { line: 7 }, { line: 5 } ]);
+      const result = await this.subject.locateAll(bookmarks);
+      expect(result.get(bookmarks[0])).to.deep.equal({ notFound: 'TextNotFound' });
+      expect(result.get(bookmarks[1]).location).to.deep.include({ file, line: 5, method: 'blame' });
+    });
+    
+    it(`includes the ends of range bookmarks in the single blame`, async function() {
+      const bookmark = {
+        file, line: 3, endLine: 5, markText: 'olive oil',
+        peg: { commit, line: 3, end: { commit, line: 5 } },
+      };
+      double.when(this.editor.open(file)).thenResolve(
+        this.editBufferGenerator.createBuffer()
+      );
+      double.when(this.editor.liveContent(file)).thenResolve(undefined);
+      double.when(this.gitOps.findCurrentLinePositions(file, [ bookmark.peg, bookmark.peg.end ], undefined))
+        .thenResolve([ { line: 3 }, { line: 7 } ]);
+      const result = await this.subject.locateAll([ bookmark ]);
+      expect(result.get(bookmark).location).to.deep.include({ line: 3, endLine: 7 });
+    });
+    
+    it(`reports bookmarks whose text cannot be found`, async function() {
+      const bookmark = { file, line: 2, markText: 'anchovies' };
+      double.when(this.editor.open(file)).thenResolve(
+        this.editBufferGenerator.createBuffer()
+      );
+      const result = await this.subject.locateAll([ bookmark ]);
+      expect(result.get(bookmark)).to.eql({ notFound: 'TextNotFound' });
+    });
+    
+    it(`reports bookmarks in files that cannot be opened`, async function() {
+      const bookmark = { file: 'missing.md', line: 2, markText: 'anything' };
+      const error = new InjectedError({ code: 'FileNotFound' });
+      double.when(this.editor.open('missing.md')).thenReject(error);
+      const result = await this.subject.locateAll([ bookmark ]);
+      expect(result.get(bookmark)).to.eql({ notFound: 'FileUnavailable', error });
+    });
+  });
+  
+  describe('.prototype.checkHealth()', () => {
+    const pegCommit = 'aa297bc2960f492fe3ce8f52011d25ff4348fdec';
+    const lostCommit = '4d1c3acd73ba84e6278d9185f9a98007681dcb88';
+    const casefile = {
+      bookmarks: [
+        {
+          file,
+          line: 5,
+          col: 9,
+          markText: 'penne',
+          peg: { commit: pegCommit, line: 5 },
+          children: [
+            {
+              file: 'gone.md',
+              line: 3,
+              markText: 'bacon',
+              peg: { commit: lostCommit, line: 3 },
+            },
+          ],
+        },
+      ],
+    };
+    
+    beforeEach(function () {
+      double.when(this.gitOps.revParse(`HEAD:${file}`)).thenResolve('e69de29bb2d1d6434b8b29ae775ad8c2e48c5391');
+      double.when(this.gitOps.revParse('HEAD:gone.md')).thenReject(new InjectedError({ code: 'InvalidCommittish' }));
+      double.when(this.gitOps.revParse(`${pegCommit}^{commit}`)).thenResolve(pegCommit);
+      double.when(this.gitOps.revParse(`${lostCommit}^{commit}`)).thenReject(new InjectedError({ code: 'InvalidCommittish' }));
+      double.when(this.editor.open(file)).thenResolve(
+        this.editBufferGenerator.createBuffer()
+      );
+      double.when(this.editor.open('gone.md')).thenReject(new InjectedError({ code: 'ENOENT' }));
+      double.when(this.gitOps.findCurrentLinePosition(file, casefile.bookmarks[0].peg, undefined))
+        .thenResolve({ line: 7 });
+    });
+    
+    it(`reports the state of each bookmark`, async function () {
+      const report = await this.subject.checkHealth(casefile);
+      expect(report).to.include({ remote: null, healthy: false });
+      expect(report.bookmarks).to.have.lengthOf(2);
+      
+      const [ parent, child ] = report.bookmarks;
+      expect(parent).to.deep.include({
+        path: 'bookmarks[0]',
+        fileAtHead: true,
+        pegCommits: [ { commit: pegCommit, local: true, remote: null } ],
+        movement: { file: null, lines: 2, columns: 2 },
+        problems: [],
+      });
+      expect(parent.bookmark).to.equal(casefile.bookmarks[0]);
+      expect(parent.location).to.include({ file, line: 7, col: 11 });
+      
+      expect(child).to.deep.include({
+        path: 'bookmarks[0].children[0]',
+        fileAtHead: false,
+        pegCommits: [ { commit: lostCommit, local: false, remote: null } ],
+        location: null,
+        notFound: 'FileUnavailable',
+        movement: null,
+        problems: [ 'FileMissingAtHead', 'PegCommitMissing', 'MarkNotFound' ],
+      });
+    });
+    
+    it(`checks local peg commits against a remote`, async function () {
+      double.when(this.gitOps.selectCommitsUnknownToRemote('origin', [ pegCommit ]))
+        .thenResolve([ pegCommit ]);
+      const { children, ...bookmark } = casefile.bookmarks[0];
+      const report = await this.subject.checkHealth([ bookmark ], { remote: 'origin' });
+      expect(report).to.include({ remote: 'origin', healthy: false });
+      expect(report.bookmarks[0]).to.deep.include({
+        pegCommits: [ { commit: pegCommit, local: true, remote: false } ],
+        problems: [ 'PegCommitUnknownToRemote' ],
+      });
+    });
+  });
+  
+  describe('.prototype.refreshPegs()', () => {
+    const oldCommit = 'aa297bc2960f492fe3ce8f52011d25ff4348fdec';
+    const newCommit = '4d1c3acd73ba84e6278d9185f9a98007681dcb88';
+    
+    beforeEach(function () {
+      double.when(this.editor.open(file)).thenResolve(
+        this.editBufferGenerator.createBuffer()
+      );
+      double.when(this.editor.liveContent(file)).thenResolve(undefined);
+    });
+    
+    it(`re-pegs moved bookmarks at their current location`, async function () {
+      const moved = {
+        file, line: 5, markText: 'penne', peg: { commit: oldCommit, line: 5 },
+      };
+      const steady = {
+        file, line: 5, col: 5, markText: 'peas', peg: { commit: newCommit, line: 5 },
+      };
+      const casefile = { title: 'Pasta', bookmarks: [ { ...moved, children: [ steady ] } ] };
+      double.when(this.gitOps.findCurrentLinePositions(file, [ moved.peg, steady.peg ], undefined))
+        .thenResolve([ { line: 7 }, { line: 5 } ]);
+      double.when(this.gitOps.lineIntroduction(file, 7, { commit: null, liveContent: undefined }))
+        .thenResolve({ commit: newCommit, line: 6 });
+      double.when(this.gitOps.lineIntroduction(file, 5, { commit: null, liveContent: undefined }))
+        .thenResolve({ commit: newCommit, line: 5 });
+      
+      const result = await this.subject.refreshPegs(casefile);
+      expect(result.casefile).to.eql({
+        title: 'Pasta',
+        bookmarks: [
+          {
+            ...moved, line: 7, peg: { commit: newCommit, line: 6 },
+            children: [ { ...steady, col: 16 } ],
+          },
+        ],
+      });
+      expect(casefile.bookmarks[0].line).to.equal(5);
+      expect(result.changes.map(({ bookmark, updated, ...change }) => change)).to.eql([
+        { path: 'bookmarks[0]', status: 'refreshed', changed: [ 'line', 'peg' ] },
+        { path: 'bookmarks[0].children[0]', status: 'refreshed', changed: [ 'col' ] },
+      ]);
+      expect(result.changes[0].bookmark).to.equal(casefile.bookmarks[0]);
+    });
+    
+    it(`leaves bookmarks it cannot locate or re-peg as they were`, async function () {
+      const bookmarks = [
+        { file, line: 7, markText: 'penne' },
+        { file, line: 2, markText: 'linguine' },
+      ];
+      double.when(this.gitOps.lineIntroduction(file, 7, { commit: null, liveContent: undefined }))
+        .thenReject(new InjectedError({ code: 'NoCommitFound' }));
+      double.when(this.gitOps.revParse('HEAD'))
+        .thenReject(new InjectedError({ code: 'SpawningFailure' }));
+      double.when(this.gitOps.getBlobContent(file, { commit: null }))
+        .thenReject(new InjectedError({ code: 'SpawningFailure' }));
+      
+      const result = await this.subject.refreshPegs(bookmarks);
+      expect(result.casefile).to.eql(bookmarks);
+      expect(result.changes.map(({ bookmark, updated, ...change }) => change)).to.eql([
+        { path: 'bookmarks[0]', status: 'unchanged', changed: [] },
+        { path: 'bookmarks[1]', status: 'notFound', changed: [], notFound: 'TextNotFound' },
+      ]);
+    });
+  });
+  
   describe('.prototype.computeLinePeg()', () => {
     const currentLine = 7;
     const commit = '4d1c3acd73ba84e6278d9185f9a98007681dcb88';
@@ -339,6 +843,42 @@ describe('BookmarkFacilitator', () => {
       expect(result).to.eql({ commit, line: currentLine });
     });
     
+    it(`aligns an uncommitted line with its counterpart in the base`, async function() {
+      const baseText = [
+        ...fileContent.slice(0, 3),
+        '* 1 pound penne pasta',
+        '* ¼ cup cream',
+      ].join('\n');
+      const currentText = fileContent.join('\n');
+      double.when(this.gitOps.lineIntroduction(file, currentLine, { commit: null, liveContent: currentText }))
+        .thenReject(new InjectedError({ code: 'NoCommitFound' }));
+      double.when(this.gitOps.revParse('HEAD'))
+        .thenResolve(commit);
+      double.when(this.editor.liveContent(file))
+        .thenResolve(currentText);
+      double.when(this.gitOps.getBlobContent(file, { commit: null }))
+        .thenResolve(baseText);
+      double.when(this.diffOps.getHunks({ immediate: baseText }, { immediate: currentText }))
+        .thenResolve([
+          { baseStart: 4, baseEnd: 6, currentStart: 4, currentEnd: 9 },
+        ]);
+      double.when(this.diffOps.getText(), { ignoreExtraArgs: true })
+        .thenDo(({ immediate }) => Promise.resolve(immediate));
+      const result = await this.subject.computeLinePeg(file, currentLine);
+      expect(result).to.eql({ commit, line: 4 });
+    });
+    
+    it(`pegs both ends of a range`, async function() {
+      const endLine = 9;
+      const endCommit = 'aa297bc2960f492fe3ce8f52011d25ff4348fdec';
+      double.when(this.gitOps.lineIntroduction(file, currentLine, { commit: null, liveContent: undefined }))
+        .thenResolve({ commit, line: currentLine });
+      double.when(this.gitOps.lineIntroduction(file, endLine, { commit: null, liveContent: undefined }))
+        .thenResolve({ commit: endCommit, line: 8 });
+      const result = await this.subject.computeLinePeg(file, currentLine, { endLine });
+      expect(result).to.eql({ commit, line: currentLine, end: { commit: endCommit, line: 8 } });
+    });
+    
     it(`returns the line without a commit if git fails`, async function() {
       double.when(this.gitOps.lineIntroduction(file, currentLine, { commit: null, liveContent: undefined }))
         .thenReject(new InjectedError({ code: 'SpawningFailure' }));
@@ -1,8 +1,23 @@
+import { assertValidCasefile } from './casefileSchema.js';
+import { localCasefilesRef } from './gitInteraction.js';
+
 
 /**
  * @typedef {Object} Casefile
  *
  * @property {?string} path
+ * @property {number} [formatVersion]
+ *    Version of the format in which the casefile is stored
+ * @property {string} [title]
+ *    Human-readable title of the casefile
+ * @property {string} [notes]
+ *    Prose notes about the casefile
+ * @property {Array.<string>} [tags]
+ *    Tags for categorizing the casefile
+ * @property {string} [createdAt]
+ *    Date (ISO 8601) on which the casefile was created
+ * @property {string} [createdBy]
+ *    Identity (e.g. name or email) of the casefile's creator
  * @property {Array.<Bookmark>} bookmarks
  */
 
@@ -13,10 +28,10 @@
  * @property {Array.<CasefileRef>} instances
  */
 export class CasefileGroup {
-  constructor(gitOps, groupName, instances) {
+  constructor(gitOps, groupName, instances, InstanceRef = CasefileRef) {
     this.name = groupName;
     this.instances = instances.map(
-      ({ path }) => new CasefileRef(gitOps, groupName, path)
+      ({ path, hash }) => new InstanceRef(gitOps, groupName, path, hash)
     );
   }
 }
@@ -25,6 +40,9 @@ export class CasefileGroup {
  * @summary Reference to a shared/saved casefile
  *
  * @property {string} path
+ * @property {string} [hash]
+ *    Object hash of the casefile's blob when the casefile was listed; the
+ *    casefile may have changed since
  *
  * @description
  * Objects of this type reference a stored casefile which has been fetched
@@ -32,13 +50,19 @@ export class CasefileGroup {
  * [load]{@link CasefileRef#load}ed casefiles are:
  *
  *    * The stored casefile is valid JSON.
+ *    * The casefile has been upgraded to the current format, and its
+ *      `formatVersion` property is set accordingly.
  *    * The `path` property is set to the path of this instance.
+ *
+ * Passing `validate: true` to [load]{@link CasefileRef#load} additionally
+ * guarantees the casefile matches the casefile schema.
  */
 export class CasefileRef {
-  constructor(gitOps, groupName, path) {
+  constructor(gitOps, groupName, path, hash) {
     this.gitOps = gitOps;
     this.groupName = groupName;
     this.path = path;
+    this.hash = hash;
   }
   
   /**
@@ -53,10 +77,96 @@ export class CasefileRef {
   
   /**
    * @summary Load the casefile contents from the repository
+   * @param {object} [opts]
+   * @param {boolean} [opts.validate=false]
+   *    Whether to check the loaded casefile against the casefile schema
+   * @returns {Promise.<(Casefile | object)>}
+   * @throws {CasefileSchemaError} (`err.code === 'InvalidCasefile'`)
+   *    When *opts.validate* is truthy and the casefile is not valid
+   */
+  async load({ validate = false } = {}) {
+    const casefile = await this.gitOps.getCasefile(this.path);
+    return validate ? assertValidCasefile(casefile) : casefile;
+  }
+  
+  /**
+   * @summary Get the history of the referenced casefile
+   * @returns {Promise.<Array.<CasefileRevision>>}
+   *    Commits to the shared casefiles that changed this instance, most
+   *    recent first, following it back through renames
+   */
+  async getHistory() {
+    return this.gitOps.getCasefileHistory(this.path);
+  }
+  
+  /**
+   * @summary Load the casefile contents as of a given commit
+   * @param {(CasefileRevision | string)} revision
+   *    Revision (from [getHistory]{@link CasefileRef#getHistory}) or commit
+   *    of the shared casefiles from which to load
+   * @param {object} [opts]
+   * @param {boolean} [opts.validate=false]
+   *    Whether to check the loaded casefile against the casefile schema
+   * @returns {Promise.<(Casefile | object)>}
+   * @throws {CasefileSchemaError} (`err.code === 'InvalidCasefile'`)
+   *    When *opts.validate* is truthy and the casefile is not valid
+   *
+   * @description
+   * The casefile is read from the path this instance had in the commit,
+   * which differs from its current path if it has since been renamed; when
+   * given only a commit, the path is found from the instance's history.
+   *
+   * The commit must contain this instance; a commit from
+   * [getHistory]{@link CasefileRef#getHistory} that deleted the instance
+   * does not.
+   */
+  async loadAt(revision, { validate = false } = {}) {
+    if (typeof revision === 'string') {
+      const history = await this.getHistory();
+      revision = history.find(({ commit }) => commit === revision)
+        || { commit: revision, path: this.path };
+    }
+    let casefile = await this.gitOps.getCasefile(revision.path, { commit: revision.commit });
+    if (revision.path !== this.path) {
+      casefile = { ...casefile, path: this.path };
+    }
+    return validate ? assertValidCasefile(casefile) : casefile;
+  }
+}
+
+/**
+ * @summary Reference to a casefile in the local (unshared) casefile store
+ *
+ * @property {string} path
+ *
+ * @description
+ * Objects of this type reference a casefile saved with
+ * {@link CasefileKeeper#saveLocalCasefile}, which is kept only in the local
+ * repository and never pushed to a remote.
+ */
+export class LocalCasefileRef extends CasefileRef {
+  /**
+   * @summary Load the casefile contents from the local casefile store
+   * @param {object} [opts]
+   * @param {boolean} [opts.validate=false]
+   *    Whether to check the loaded casefile against the casefile schema
    * @returns {Promise.<(Casefile | object)>}
+   * @throws {CasefileSchemaError} (`err.code === 'InvalidCasefile'`)
+   *    When *opts.validate* is truthy and the casefile is not valid
+   */
+  async load({ validate = false } = {}) {
+    const casefile = await this.gitOps.getCasefile(this.path, {
+      commit: localCasefilesRef,
+    });
+    return validate ? assertValidCasefile(casefile) : casefile;
+  }
+  
+  /**
+   * @summary Remove the referenced casefile from the local casefile store
+   * @returns {Promise.<?string>}
    */
-  async load() {
-    return this.gitOps.getCasefile(this.path);
+  async delete() {
+    return this.gitOps.deleteLocalCasefilePaths([this.path]);
   }
 }
 
@@ -90,4 +200,20 @@ export class DeletedCasefileRef {
       beforeCommit: this.deletionCommit
     });
   }
+  
+  /**
+   * @summary Share the referenced casefile again
+   * @param {GitRemote} remote - Remote to which to restore the casefile
+   * @param {object} [opts]
+   * @param {string} [opts.path]
+   *    Group-slash-instance at which to restore the casefile; defaults to
+   *    the path from which it was deleted
+   * @param {string} [opts.message] - Commit message
+   * @param {CommitIdentity} [opts.author] - Author of the commit
+   * @param {CommitIdentity} [opts.committer] - Committer of the commit
+   * @returns {Promise.<{message: string, commit: string, path: string}>}
+   */
+  async restore(remote, opts = {}) {
+    return remote.restore(this, opts);
+  }
 }
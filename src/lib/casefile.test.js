@@ -1,7 +1,10 @@
 import chai, { expect } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
 import * as double from 'testdouble';
 import GitInteraction from './gitInteraction.js';
-import { CasefileGroup, CasefileRef, DeletedCasefileRef } from './casefile.js';
+import { CasefileGroup, CasefileRef, DeletedCasefileRef, LocalCasefileRef } from './casefile.js';
+
+chai.use(chaiAsPromised);
 
 beforeEach(() => {
   double.reset();
@@ -10,8 +13,8 @@ beforeEach(() => {
 describe('CasefileGroup', () => {
   const groupName = 'aCasefile';
   const instances = [
-    { path: 'f6298860-0065-54a0-86ce-5e910da5ce8f' },
-    { path: '638bdfdb-fb89-5e8b-9bfe-e40773c66439' },
+    { path: 'f6298860-0065-54a0-86ce-5e910da5ce8f', hash: '05ceffd002e09e8cdc8db79bd37c52d66eb4e612' },
+    { path: '638bdfdb-fb89-5e8b-9bfe-e40773c66439', hash: '2fb8b967b5b10d97b3af6a7b41f06e8c74ff31ff' },
   ];
   
   beforeEach(async function () {
@@ -32,15 +35,27 @@ describe('CasefileGroup', () => {
   it(`has an entry in "instances" for each instance used to construct it`, async function() {
     expect(this.subject.instances.map(casefileInstance => casefileInstance.path)).to.have.members(instances.map(i => i.path));
   });
+  
+  it(`passes the blob hash of each instance to its CasefileRef`, async function() {
+    expect(this.subject.instances.map(casefileInstance => casefileInstance.hash)).to.deep.equal(instances.map(i => i.hash));
+  });
+  
+  it(`can construct instances of a given CasefileRef class`, async function() {
+    const subject = new CasefileGroup(this.gitOps, groupName, instances, LocalCasefileRef);
+    subject.instances.forEach(casefileInstance => {
+      expect(casefileInstance).is.instanceOf(LocalCasefileRef);
+    });
+  });
 });
 
 describe('CasefileRef', () => {
   const groupName = 'aCasefile';
   const path = `${groupName}/ee5b6ad4-2df8-58da-8d39-d00961014555`;
+  const hash = '05ceffd002e09e8cdc8db79bd37c52d66eb4e612';
   
   beforeEach(async function () {
     this.gitOps = double.instance(GitInteraction);
-    this.subject = new CasefileRef(this.gitOps, groupName, path);
+    this.subject = new CasefileRef(this.gitOps, groupName, path, hash);
   });
   
   describe('properties', () => {
@@ -55,6 +70,10 @@ describe('CasefileRef', () => {
     it(`captures the path used to construct it`, async function() {
       expect(this.subject).has.property('path', path);
     });
+    
+    it(`captures the blob hash used to construct it`, async function() {
+      expect(this.subject).has.property('hash', hash);
+    });
   });
   
   describe('.prototype.getAuthors()', () => {
@@ -76,6 +95,100 @@ describe('CasefileRef', () => {
       const result = await this.subject.load();
       expect(result).to.equal(returnMarker);
     });
+    
+    it(`can validate the loaded casefile`, async function() {
+      double.when(this.gitOps.getCasefile(this.subject.path))
+        .thenResolve({ formatVersion: 1, bookmarks: [ { file: 'index.js' } ] });
+      await expect(this.subject.load({ validate: true }))
+        .to.be.rejected.and.eventually.include({ code: 'InvalidCasefile' });
+    });
+  });
+  
+  describe('.prototype.getHistory()', () => {
+    it(`calls 'getCasefileHistory' on its 'gitOps', passing its own path`, async function() {
+      const history = [ { commit: '146f8b866e8eca4d30068858324cec71c757a57f' } ];
+      double.when(this.gitOps.getCasefileHistory(path))
+        .thenResolve(history);
+      const result = await this.subject.getHistory();
+      expect(result).to.equal(history);
+    });
+  });
+  
+  describe('.prototype.loadAt()', () => {
+    const commit = '146f8b866e8eca4d30068858324cec71c757a57f';
+    
+    it(`calls 'getCasefile' on its 'gitOps', passing the revision's path and commit`, async function() {
+      const returnMarker = Symbol('RESULT');
+      double.when(this.gitOps.getCasefile(path, { commit }))
+        .thenResolve(returnMarker);
+      const result = await this.subject.loadAt({ commit, path });
+      expect(result).to.equal(returnMarker);
+    });
+    
+    it(`loads from the path the instance had before a rename`, async function() {
+      const oldPath = `oldName/ee5b6ad4-2df8-58da-8d39-d00961014555`;
+      double.when(this.gitOps.getCasefile(oldPath, { commit }))
+        .thenResolve({ formatVersion: 1, bookmarks: [], path: oldPath });
+      const result = await this.subject.loadAt({ commit, path: oldPath });
+      expect(result).to.deep.equal({ formatVersion: 1, bookmarks: [], path });
+    });
+    
+    it(`finds the path for a commit given alone from the instance's history`, async function() {
+      const oldPath = `oldName/ee5b6ad4-2df8-58da-8d39-d00961014555`;
+      double.when(this.gitOps.getCasefileHistory(path))
+        .thenResolve([
+          { commit: '9f2c1a7e4b3d5c6a8e0f1b2c3d4e5f6a7b8c9d0e', path },
+          { commit, path: oldPath },
+        ]);
+      double.when(this.gitOps.getCasefile(oldPath, { commit }))
+        .thenResolve({ formatVersion: 1, bookmarks: [], path: oldPath });
+      const result = await this.subject.loadAt(commit);
+      expect(result).to.deep.equal({ formatVersion: 1, bookmarks: [], path });
+    });
+    
+    it(`loads from its own path for a commit not in its history`, async function() {
+      const returnMarker = Symbol('RESULT');
+      double.when(this.gitOps.getCasefileHistory(path))
+        .thenResolve([]);
+      double.when(this.gitOps.getCasefile(path, { commit }))
+        .thenResolve(returnMarker);
+      const result = await this.subject.loadAt(commit);
+      expect(result).to.equal(returnMarker);
+    });
+    
+    it(`can validate the loaded casefile`, async function() {
+      double.when(this.gitOps.getCasefile(path, { commit }))
+        .thenResolve({ formatVersion: 1, bookmarks: [ { file: 'index.js' } ] });
+      await expect(this.subject.loadAt({ commit, path }, { validate: true }))
+        .to.be.rejected.and.eventually.include({ code: 'InvalidCasefile' });
+    });
+  });
+});
+
+describe('LocalCasefileRef', () => {
+  const groupName = 'aCasefile';
+  const path = `${groupName}/0e5c4d1b-8a3f-5c2e-9b1d-7f6e5a4b3c2d`;
+  
+  beforeEach(async function () {
+    this.gitOps = double.instance(GitInteraction);
+    this.subject = new LocalCasefileRef(this.gitOps, groupName, path);
+  });
+  
+  describe('.prototype.load()', () => {
+    it(`calls 'getCasefile' on its 'gitOps', reading from the local casefiles ref`, async function() {
+      const returnMarker = Symbol('RESULT');
+      double.when(this.gitOps.getCasefile(path, { commit: 'refs/collaboration/local-casefiles' }))
+        .thenResolve(returnMarker);
+      const result = await this.subject.load();
+      expect(result).to.equal(returnMarker);
+    });
+  });
+  
+  describe('.prototype.delete()', () => {
+    it(`calls 'deleteLocalCasefilePaths' on its 'gitOps', passing its own path`, async function() {
+      await this.subject.delete();
+      double.verify(this.gitOps.deleteLocalCasefilePaths([ path ]));
+    });
   });
 });
 
@@ -127,4 +240,20 @@ describe('DeletedCasefileRef', () => {
       expect(result).to.equal(returnMarker);
     });
   });
+  
+  describe('.prototype.restore()', () => {
+    it(`restores itself through the given remote`, async function() {
+      const remote = { restore: double.func() };
+      const returnMarker = Symbol('RESULT');
+      double.when(remote.restore(this.subject, {})).thenResolve(returnMarker);
+      expect(await this.subject.restore(remote)).to.equal(returnMarker);
+    });
+    
+    it(`passes a new path to the remote`, async function() {
+      const remote = { restore: double.func() };
+      const newPath = 'aCasefile/2c6f3a8e-0d5b-5e7a-9c41-6b8d2f0e1a37';
+      await this.subject.restore(remote, { path: newPath });
+      double.verify(remote.restore(this.subject, { path: newPath }));
+    });
+  });
 });
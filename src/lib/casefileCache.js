@@ -0,0 +1,109 @@
+import fsPromises from 'fs/promises';
+import { join as joinPath } from 'path';
+
+const objectHashPattern = /^(?:[0-9a-f]{40}|[0-9a-f]{64})$/;
+
+/**
+ * @summary Cache of casefile blob content keyed by Git object hash
+ * @memberof module:git-casefile/impl
+ *
+ * @description
+ * Git blobs are immutable and addressed by the hash of their content, so
+ * content cached under a blob's hash never becomes stale.  Content is kept
+ * in memory (up to *maxEntries* blobs, discarding the least recently used)
+ * and, when a *directory* is given, also written to one file per blob in
+ * that directory so it survives between processes.
+ *
+ * Failures reading or writing the on-disk cache are not reported: the
+ * caller simply reads the blob from Git again.
+ */
+export default class CasefileCache {
+  /**
+   * @summary Construct an instance
+   * @param {object} [kwargs]
+   * @param {string} [kwargs.directory]
+   *    Directory in which to persist cached content; not persisted if not given
+   * @param {number} [kwargs.maxEntries=1000]
+   *    Maximum number of blobs to hold in memory
+   */
+  constructor({ directory, maxEntries = 1000 } = {}) {
+    this.directory = directory;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+  
+  /**
+   * @summary Get cached content for a blob
+   * @param {string} hash - Object hash of the blob
+   * @returns {Promise.<(string | undefined)>}
+   *    The content of the blob, or `undefined` if it is not cached
+   */
+  async get(hash) {
+    if (this.entries.has(hash)) {
+      const content = this.entries.get(hash);
+      this.remember(hash, content);
+      return content;
+    }
+    if (!this.directory || !objectHashPattern.test(hash)) {
+      return undefined;
+    }
+    try {
+      const content = await fsPromises.readFile(this.pathFor(hash), 'utf8');
+      this.remember(hash, content);
+      return content;
+    } catch (e) {
+      return undefined;
+    }
+  }
+  
+  /**
+   * @summary Record the content of a blob
+   * @param {string} hash - Object hash of the blob
+   * @param {string} content - Content of the blob
+   * @returns {Promise.<undefined>}
+   */
+  async set(hash, content) {
+    const alreadyCached = this.entries.has(hash);
+    this.remember(hash, content);
+    if (alreadyCached || !this.directory || !objectHashPattern.test(hash)) {
+      return;
+    }
+    const finalPath = this.pathFor(hash);
+    const tempPath = `${finalPath}.${process.pid}.tmp`;
+    try {
+      await fsPromises.mkdir(this.directory, { recursive: true });
+      await fsPromises.writeFile(tempPath, content, 'utf8');
+      await fsPromises.rename(tempPath, finalPath);
+    } catch (e) {
+      await fsPromises.rm(tempPath, { force: true }).catch(() => {});
+    }
+  }
+  
+  /**
+   * @summary Discard all content held in memory
+   *
+   * @description
+   * Content persisted to *directory* is not removed.
+   */
+  clear() {
+    this.entries.clear();
+  }
+  
+  /**
+   * @private
+   */
+  remember(hash, content) {
+    this.entries.delete(hash);
+    this.entries.set(hash, content);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+  
+  /**
+   * @private
+   */
+  pathFor(hash) {
+    return joinPath(this.directory, `${hash}.json`);
+  }
+}
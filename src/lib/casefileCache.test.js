@@ -0,0 +1,56 @@
+import CasefileCache from './casefileCache.js';
+import { expect } from 'chai';
+import { mkdtemp, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join as joinPath } from 'path';
+
+describe('CasefileCache', () => {
+  const hashes = [
+    '05ceffd002e09e8cdc8db79bd37c52d66eb4e612',
+    '2fb8b967b5b10d97b3af6a7b41f06e8c74ff31ff',
+    '7bff9859be4b3033d554dc86f85c80be4a4dc954',
+  ];
+  
+  it(`returns content set for a hash`, async () => {
+    const subject = new CasefileCache();
+    await subject.set(hashes[0], '{"bookmarks":[]}');
+    expect(await subject.get(hashes[0])).to.equal('{"bookmarks":[]}');
+    expect(await subject.get(hashes[1])).to.be.undefined;
+  });
+  
+  it(`discards the least recently used content beyond 'maxEntries'`, async () => {
+    const subject = new CasefileCache({ maxEntries: 2 });
+    await subject.set(hashes[0], 'a');
+    await subject.set(hashes[1], 'b');
+    await subject.get(hashes[0]);
+    await subject.set(hashes[2], 'c');
+    expect(await subject.get(hashes[0])).to.equal('a');
+    expect(await subject.get(hashes[1])).to.be.undefined;
+    expect(await subject.get(hashes[2])).to.equal('c');
+  });
+  
+  describe('with a directory', () => {
+    beforeEach(async function() {
+      this.directory = await mkdtemp(joinPath(tmpdir(), 'casefile-cache-'));
+    });
+    
+    afterEach(async function() {
+      await rm(this.directory, { recursive: true, force: true });
+    });
+    
+    it(`persists content for other instances`, async function() {
+      await new CasefileCache({ directory: this.directory }).set(hashes[0], 'a');
+      expect(await readdir(this.directory)).to.deep.equal([`${hashes[0]}.json`]);
+      const subject = new CasefileCache({ directory: this.directory });
+      expect(await subject.get(hashes[0])).to.equal('a');
+    });
+    
+    it(`does not touch the disk for keys that are not object hashes`, async function() {
+      const subject = new CasefileCache({ directory: this.directory });
+      await subject.set('../escape', 'a');
+      expect(await readdir(this.directory)).to.deep.equal([]);
+      subject.clear();
+      expect(await subject.get('../escape')).to.be.undefined;
+    });
+  });
+});
@@ -0,0 +1,209 @@
+import { casefileMetadata, CASEFILE_METADATA_PROPERTIES } from './casefileSchema.js';
+import { deepEqual } from './casefileMerge.js';
+
+const POSITION_PROPERTIES = ['file', 'line', 'col', 'endLine', 'endCol', 'peg'];
+
+/**
+ * @typedef {Object} BookmarkDiffEntry
+ * @summary Difference in one bookmark between two versions of a casefile
+ *
+ * @property {string} kind
+ *    `'added'`, `'removed'` or `'modified'`
+ * @property {?string} beforePath
+ *    Location of the bookmark in the earlier version (e.g.
+ *    `bookmarks[2].children[0]`); `null` if added
+ * @property {?string} afterPath
+ *    Location of the bookmark in the later version; `null` if removed
+ * @property {?Bookmark} before
+ *    The bookmark (without `children`) in the earlier version
+ * @property {?Bookmark} after
+ *    The bookmark (without `children`) in the later version
+ * @property {Array.<string>} changes
+ *    For a modified bookmark, the kinds of change: `'moved'` (its file,
+ *    position or peg changed), `'retexted'` (its `markText` changed),
+ *    `'reparented'` (it now has a different parent bookmark) and/or
+ *    `'edited'` (any other property changed)
+ * @property {Array.<string>} properties
+ *    For a modified bookmark, names of the properties that changed
+ */
+
+/**
+ * @typedef {Object} CasefileDiff
+ * @summary Bookmark-level difference between two versions of a casefile
+ *
+ * @property {Array.<{property: string, before: *, after: *}>} metadata
+ *    Casefile-level properties (see {@link CASEFILE_METADATA_PROPERTIES})
+ *    that changed
+ * @property {Array.<BookmarkDiffEntry>} bookmarks
+ *    Bookmarks added, removed or modified: added and modified bookmarks in
+ *    the order of the later version, then removed bookmarks in the order of
+ *    the earlier version
+ */
+
+/**
+ * @summary Compare two versions of a casefile bookmark by bookmark
+ * @param {Casefile|Array.<Bookmark>} before - Earlier version
+ * @param {Casefile|Array.<Bookmark>} after - Later version
+ * @returns {CasefileDiff}
+ *
+ * @description
+ * Bookmarks are paired between the versions by their `file`, `peg` (or
+ * `line` for bookmarks without a peg) and `markText`, as in
+ * {@link mergeBookmarkForests}.  Bookmarks left unpaired are then paired
+ * by `file` and position alone (a re-texted bookmark), then by `file` and
+ * `markText` (a bookmark moved within its file), and finally by `markText`
+ * alone (a bookmark moved to another file).  Whatever remains unpaired was
+ * added or removed.
+ */
+export function diffCasefiles(before, after) {
+  const beforeEntries = flatten(before), afterEntries = flatten(after);
+  const pairs = new Map(), pairedAfter = new Set();
+  for (const key of PAIRING_KEYS) {
+    const candidates = new Map();
+    for (const entry of beforeEntries) {
+      if (!pairs.has(entry)) {
+        const k = key(entry.bookmark);
+        candidates.set(k, (candidates.get(k) || []).concat([entry]));
+      }
+    }
+    for (const entry of afterEntries) {
+      if (pairedAfter.has(entry)) {
+        continue;
+      }
+      const match = (candidates.get(key(entry.bookmark)) || []).shift();
+      if (match) {
+        pairs.set(match, entry);
+        pairedAfter.add(entry);
+      }
+    }
+  }
+  const beforeByAfter = new Map(Array.from(pairs, ([ b, a ]) => [a, b]));
+  
+  const bookmarks = [];
+  for (const entry of afterEntries) {
+    const previous = beforeByAfter.get(entry);
+    if (!previous) {
+      bookmarks.push(diffEntry('added', null, entry));
+      continue;
+    }
+    const properties = Array.from(new Set([
+      ...Object.keys(previous.bookmark),
+      ...Object.keys(entry.bookmark),
+    ])).filter(prop => !deepEqual(previous.bookmark[prop], entry.bookmark[prop]));
+    const changes = [];
+    if (properties.some(prop => POSITION_PROPERTIES.includes(prop))) {
+      changes.push('moved');
+    }
+    if (properties.includes('markText')) {
+      changes.push('retexted');
+    }
+    const previousParent = previous.parent && (pairs.get(previous.parent) || previous.parent);
+    if (previousParent !== entry.parent) {
+      changes.push('reparented');
+    }
+    if (properties.some(prop => prop !== 'markText' && !POSITION_PROPERTIES.includes(prop))) {
+      changes.push('edited');
+    }
+    if (changes.length !== 0) {
+      bookmarks.push({ ...diffEntry('modified', previous, entry), changes, properties });
+    }
+  }
+  for (const entry of beforeEntries) {
+    if (!pairs.has(entry)) {
+      bookmarks.push(diffEntry('removed', entry, null));
+    }
+  }
+  
+  const beforeMetadata = Array.isArray(before) ? {} : casefileMetadata(before);
+  const afterMetadata = Array.isArray(after) ? {} : casefileMetadata(after);
+  const metadata = CASEFILE_METADATA_PROPERTIES.filter(
+    prop => !deepEqual(beforeMetadata[prop], afterMetadata[prop])
+  ).map(prop => ({ property: prop, before: beforeMetadata[prop], after: afterMetadata[prop] }));
+  
+  return { metadata, bookmarks };
+}
+
+/**
+ * @summary Describe a {@link CasefileDiff} in human-readable text
+ * @param {CasefileDiff} diff
+ * @returns {string}
+ *    One line per changed casefile property and per added (`+`) or
+ *    removed (`-`) bookmark; a modified (`~`) bookmark also has an indented
+ *    line for each kind of change.  Empty if nothing changed.
+ */
+export function renderCasefileDiff(diff) {
+  const lines = [];
+  for (const { property, before, after } of diff.metadata) {
+    lines.push(`${property}: ${JSON.stringify(before)} -> ${JSON.stringify(after)}`);
+  }
+  for (const entry of diff.bookmarks) {
+    const { kind, before, after } = entry;
+    if (kind === 'added') {
+      lines.push(`+ ${entry.afterPath} ${describeBookmark(after)}`);
+    } else if (kind === 'removed') {
+      lines.push(`- ${entry.beforePath} ${describeBookmark(before)}`);
+    } else {
+      lines.push(`~ ${entry.afterPath} ${describeBookmark(after)}`);
+      if (entry.changes.includes('moved')) {
+        lines.push(`    moved: ${describePosition(before)} -> ${describePosition(after)}`);
+      }
+      if (entry.changes.includes('retexted')) {
+        lines.push(`    re-texted: ${JSON.stringify(before.markText)} -> ${JSON.stringify(after.markText)}`);
+      }
+      if (entry.changes.includes('reparented')) {
+        lines.push(`    re-parented: ${entry.beforePath} -> ${entry.afterPath}`);
+      }
+      if (entry.changes.includes('edited')) {
+        lines.push(`    edited: ${entry.properties.filter(
+          prop => prop !== 'markText' && !POSITION_PROPERTIES.includes(prop)
+        ).join(', ')}`);
+      }
+    }
+  }
+  return lines.map(line => `${line}\n`).join('');
+}
+
+const PAIRING_KEYS = [
+  ({ file, line, markText, peg }) => JSON.stringify([file, position(line, peg), markText]),
+  ({ file, line, peg }) => JSON.stringify([file, position(line, peg)]),
+  ({ file, markText }) => JSON.stringify([file, markText]),
+  ({ markText }) => JSON.stringify([markText]),
+];
+
+function position(line, peg) {
+  return peg ? [peg.commit, peg.line] : line;
+}
+
+function flatten(casefile) {
+  const entries = [];
+  const visit = (bookmarks = [], path, parent) => {
+    bookmarks.forEach((bookmark, i) => {
+      const { children, ...ownProps } = bookmark;
+      const entry = { bookmark: ownProps, path: `${path}[${i}]`, parent };
+      entries.push(entry);
+      visit(children, `${path}[${i}].children`, entry);
+    });
+  };
+  visit(Array.isArray(casefile) ? casefile : casefile.bookmarks, 'bookmarks', null);
+  return entries;
+}
+
+function diffEntry(kind, beforeEntry, afterEntry) {
+  return {
+    kind,
+    beforePath: beforeEntry ? beforeEntry.path : null,
+    afterPath: afterEntry ? afterEntry.path : null,
+    before: beforeEntry ? beforeEntry.bookmark : null,
+    after: afterEntry ? afterEntry.bookmark : null,
+    changes: [],
+    properties: [],
+  };
+}
+
+function describeBookmark(bookmark) {
+  return `${describePosition(bookmark)} ${JSON.stringify(bookmark.markText)}`;
+}
+
+function describePosition({ file, line, col }) {
+  return `${file}:${line}${col === undefined ? '' : `:${col}`}`;
+}
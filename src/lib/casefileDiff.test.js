@@ -0,0 +1,128 @@
+import { diffCasefiles, renderCasefileDiff } from './casefileDiff.js';
+import { expect } from 'chai';
+import { bookmarkFixture as bookmark, TEST_COMMIT as commit } from '../../test/helpers.js';
+
+describe('diffCasefiles()', () => {
+  const newCommit = '146f8b866e8eca4d30068858324cec71c757a57f';
+  
+  it(`finds nothing between identical casefiles`, () => {
+    const casefile = { title: 'Same', bookmarks: [ bookmark('foo', { children: [ bookmark('bar') ] }) ] };
+    expect(diffCasefiles(casefile, JSON.parse(JSON.stringify(casefile))))
+      .to.deep.equal({ metadata: [], bookmarks: [] });
+  });
+  
+  it(`reports added and removed bookmarks`, () => {
+    const result = diffCasefiles(
+      { bookmarks: [ bookmark('foo'), bookmark('bar', { file: 'lib.js' }) ] },
+      { bookmarks: [ bookmark('foo'), bookmark('baz', { file: 'other.js' }) ] },
+    );
+    expect(result.bookmarks).to.deep.equal([
+      {
+        kind: 'added', beforePath: null, afterPath: 'bookmarks[1]',
+        before: null, after: bookmark('baz', { file: 'other.js' }),
+        changes: [], properties: [],
+      },
+      {
+        kind: 'removed', beforePath: 'bookmarks[1]', afterPath: null,
+        before: bookmark('bar', { file: 'lib.js' }), after: null,
+        changes: [], properties: [],
+      },
+    ]);
+  });
+  
+  it(`reports a bookmark moved and re-pegged within its file`, () => {
+    const result = diffCasefiles(
+      [ bookmark('foo') ],
+      [ bookmark('foo', { line: 30, peg: { commit: newCommit, line: 30 } }) ],
+    );
+    expect(result.bookmarks).to.have.lengthOf(1);
+    expect(result.bookmarks[0]).to.include({ kind: 'modified', beforePath: 'bookmarks[0]' });
+    expect(result.bookmarks[0].changes).to.deep.equal([ 'moved' ]);
+    expect(result.bookmarks[0].properties).to.deep.equal([ 'line', 'peg' ]);
+  });
+  
+  it(`reports a bookmark whose mark text changed in place`, () => {
+    const result = diffCasefiles(
+      [ bookmark('foo') ],
+      [ bookmark('fooBar', { notes: "Renamed" }) ],
+    );
+    expect(result.bookmarks[0]).to.deep.include({
+      kind: 'modified',
+      changes: [ 'retexted', 'edited' ],
+      properties: [ 'markText', 'notes' ],
+    });
+  });
+  
+  it(`reports a bookmark moved to a different parent`, () => {
+    const result = diffCasefiles(
+      [ bookmark('foo', { children: [ bookmark('child') ] }), bookmark('bar') ],
+      [ bookmark('foo'), bookmark('bar', { children: [ bookmark('child') ] }) ],
+    );
+    expect(result.bookmarks).to.have.lengthOf(1);
+    expect(result.bookmarks[0]).to.deep.include({
+      kind: 'modified',
+      beforePath: 'bookmarks[0].children[0]',
+      afterPath: 'bookmarks[1].children[0]',
+      changes: [ 'reparented' ],
+      properties: [],
+    });
+  });
+  
+  it(`does not report children of a moved parent as re-parented`, () => {
+    const result = diffCasefiles(
+      [ bookmark('foo', { children: [ bookmark('child') ] }) ],
+      [ bookmark('foo', { line: 19, children: [ bookmark('child') ] }) ],
+    );
+    expect(result.bookmarks.map(({ afterPath, changes }) => ({ afterPath, changes }))).to.deep.equal([
+      { afterPath: 'bookmarks[0]', changes: [ 'moved' ] },
+    ]);
+  });
+  
+  it(`reports changed casefile metadata`, () => {
+    const result = diffCasefiles(
+      { title: 'Old', tags: [ 'a' ], bookmarks: [] },
+      { title: 'New', tags: [ 'a' ], bookmarks: [] },
+    );
+    expect(result.metadata).to.deep.equal([ { property: 'title', before: 'Old', after: 'New' } ]);
+  });
+});
+
+describe('renderCasefileDiff()', () => {
+  it(`describes each change on its own line`, () => {
+    const text = renderCasefileDiff(diffCasefiles(
+      {
+        title: 'Old',
+        bookmarks: [
+          { file: 'a.js', line: 3, markText: 'alpha', children: [ { file: 'a.js', line: 9, markText: 'kid' } ] },
+          { file: 'b.js', line: 5, markText: 'beta' },
+          { file: 'c.js', line: 1, markText: 'gamma' },
+        ],
+      },
+      {
+        title: 'New',
+        bookmarks: [
+          { file: 'a.js', line: 4, col: 2, markText: 'alpha' },
+          { file: 'b.js', line: 5, markText: 'betamax', notes: "Renamed", children: [ { file: 'a.js', line: 9, markText: 'kid' } ] },
+          { file: 'd.js', line: 8, markText: 'delta' },
+        ],
+      },
+    ));
+    expect(text).to.equal([
+      'title: "Old" -> "New"',
+      '~ bookmarks[0] a.js:4:2 "alpha"',
+      '    moved: a.js:3 -> a.js:4:2',
+      '~ bookmarks[1] b.js:5 "betamax"',
+      '    re-texted: "beta" -> "betamax"',
+      '    edited: notes',
+      '~ bookmarks[1].children[0] a.js:9 "kid"',
+      '    re-parented: bookmarks[0].children[0] -> bookmarks[1].children[0]',
+      '+ bookmarks[2] d.js:8 "delta"',
+      '- bookmarks[2] c.js:1 "gamma"',
+      '',
+    ].join('\n'));
+  });
+  
+  it(`renders nothing for identical casefiles`, () => {
+    expect(renderCasefileDiff({ metadata: [], bookmarks: [] })).to.equal('');
+  });
+});
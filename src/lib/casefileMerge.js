@@ -0,0 +1,201 @@
+/**
+ * @typedef {Object} BookmarkMergeConflict
+ * @summary Description of a change that could not be merged automatically
+ *
+ * @property {string} type
+ *    `'property'` when both sides changed the same property of a bookmark
+ *    differently, `'deletedByUs'` or `'deletedByThem'` when one side deleted
+ *    a bookmark the other side changed
+ * @property {Array.<number>} path
+ *    Indexes leading through the merged bookmark forest (and `children` at
+ *    each level) to the bookmark involved in the conflict; empty for a
+ *    conflict in the casefile's own properties
+ * @property {string} [property]
+ *    For `'property'` conflicts, the name of the conflicting property
+ * @property {*} base
+ *    Value (property value or bookmark) in the base version
+ * @property {*} ours
+ *    Value (property value or bookmark) in our version
+ * @property {*} theirs
+ *    Value (property value or bookmark) in their version
+ */
+
+/**
+ * @typedef {Object} BookmarkMergeResult
+ *
+ * @property {Array.<Bookmark>} bookmarks
+ *    The merged bookmark forest; where a conflict occurred, our value is
+ *    used, and a bookmark deleted on one side but changed on the other is
+ *    kept in its changed form
+ * @property {Array.<BookmarkMergeConflict>} conflicts
+ *    Conflicts encountered; empty if the merge was clean
+ */
+
+/**
+ * @summary Merge two versions of a bookmark forest derived from a common base
+ * @param {Array.<Bookmark>} base - Common ancestor version
+ * @param {Array.<Bookmark>} ours - Our version
+ * @param {Array.<Bookmark>} theirs - Their version
+ * @returns {BookmarkMergeResult}
+ *
+ * @description
+ * Bookmarks are matched between versions by their `file`, `peg` (or `line`
+ * for bookmarks without a peg), and `markText`; matched bookmarks have each
+ * of their properties merged independently, with `children` merged
+ * recursively as a forest.  Bookmarks added on either side are kept, as
+ * are bookmarks deleted on neither side.
+ *
+ * Sibling order follows our version, with bookmarks added only by them
+ * appended in their order.
+ */
+export function mergeBookmarkForests(base = [], ours = [], theirs = []) {
+  const conflicts = [];
+  const bookmarks = mergeLevel(base, ours, theirs, [], conflicts);
+  return { bookmarks, conflicts };
+}
+
+/**
+ * @typedef {Object} CasefileMetadataMergeResult
+ *
+ * @property {object} metadata
+ *    The merged casefile-level properties; where a conflict occurred, our
+ *    value is used
+ * @property {Array.<BookmarkMergeConflict>} conflicts
+ *    Conflicts encountered (each with an empty `path`); empty if the merge
+ *    was clean
+ */
+
+/**
+ * @summary Merge two versions of a casefile's descriptive properties derived from a common base
+ * @param {object} base - Common ancestor version
+ * @param {object} ours - Our version
+ * @param {object} theirs - Their version
+ * @returns {CasefileMetadataMergeResult}
+ *
+ * @description
+ * Each property (e.g. `title` or `tags`) is merged independently, as the
+ * properties of a bookmark are by {@link mergeBookmarkForests}.
+ */
+export function mergeCasefileMetadata(base = {}, ours = {}, theirs = {}) {
+  const conflicts = [];
+  const metadata = {};
+  const props = new Set([base, ours, theirs].flatMap(Object.keys));
+  for (const prop of props) {
+    const value = mergeProperty(base, ours, theirs, prop, [], conflicts);
+    if (value !== undefined) {
+      metadata[prop] = value;
+    }
+  }
+  return { metadata, conflicts };
+}
+
+function mergeLevel(base, ours, theirs, path, conflicts) {
+  const baseByKey = indexByKey(base);
+  const oursByKey = indexByKey(ours);
+  const theirsByKey = indexByKey(theirs);
+  const keys = [...oursByKey.keys()];
+  for (const key of theirsByKey.keys()) {
+    if (!oursByKey.has(key)) {
+      keys.push(key);
+    }
+  }
+  
+  const result = [];
+  for (const key of keys) {
+    const b = baseByKey.get(key), o = oursByKey.get(key), t = theirsByKey.get(key);
+    const bookmarkPath = path.concat([result.length]);
+    if (o && t) {
+      result.push(mergeBookmark(b || {}, o, t, bookmarkPath, conflicts));
+    } else if (!b) {
+      // Added on one side only
+      result.push(o || t);
+    } else if (o) {
+      // Deleted by them
+      if (!deepEqual(b, o)) {
+        conflicts.push({ type: 'deletedByThem', path: bookmarkPath, base: b, ours: o, theirs: undefined });
+        result.push(o);
+      }
+    } else {
+      // Deleted by us
+      if (!deepEqual(b, t)) {
+        conflicts.push({ type: 'deletedByUs', path: bookmarkPath, base: b, ours: undefined, theirs: t });
+        result.push(t);
+      }
+    }
+  }
+  return result;
+}
+
+function mergeBookmark(base, ours, theirs, path, conflicts) {
+  const result = {};
+  const props = new Set([base, ours, theirs].flatMap(Object.keys));
+  for (const prop of props) {
+    if (prop === 'children') {
+      const children = mergeLevel(
+        base.children || [],
+        ours.children || [],
+        theirs.children || [],
+        path,
+        conflicts
+      );
+      if (children.length || [ours, theirs].some(bm => 'children' in bm)) {
+        result.children = children;
+      }
+      continue;
+    }
+    const value = mergeProperty(base, ours, theirs, prop, path, conflicts);
+    if (value !== undefined) {
+      result[prop] = value;
+    }
+  }
+  return result;
+}
+
+function mergeProperty(base, ours, theirs, prop, path, conflicts) {
+  const b = base[prop], o = ours[prop], t = theirs[prop];
+  if (deepEqual(o, t) || deepEqual(b, t)) {
+    return o;
+  } else if (deepEqual(b, o)) {
+    return t;
+  }
+  conflicts.push({ type: 'property', path, property: prop, base: b, ours: o, theirs: t });
+  return o;
+}
+
+function indexByKey(bookmarks) {
+  const result = new Map();
+  for (const bookmark of bookmarks) {
+    const baseKey = bookmarkKey(bookmark);
+    let key = baseKey;
+    for (let i = 2; result.has(key); ++i) {
+      key = `${baseKey}#${i}`;
+    }
+    result.set(key, bookmark);
+  }
+  return result;
+}
+
+function bookmarkKey({ file, line, markText, peg } = {}) {
+  return JSON.stringify([
+    file,
+    peg ? [peg.commit, peg.line] : line,
+    markText,
+  ]);
+}
+
+/**
+ * @private
+ * @summary Compare JSON-like values structurally
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function deepEqual(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const aKeys = Object.keys(a), bKeys = Object.keys(b);
+  return aKeys.length === bKeys.length && aKeys.every(
+    k => Object.prototype.hasOwnProperty.call(b, k) && deepEqual(a[k], b[k])
+  );
+}
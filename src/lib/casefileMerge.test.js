@@ -0,0 +1,141 @@
+import { mergeBookmarkForests, mergeCasefileMetadata } from './casefileMerge.js';
+import chai, { expect } from 'chai';
+import { bookmarkFixture as bookmark, TEST_COMMIT as commit } from '../../test/helpers.js';
+
+describe('mergeBookmarkForests()', () => {
+  it(`returns ours when nothing changed on their side`, () => {
+    const base = [ bookmark('foo') ];
+    const ours = [ bookmark('foo', { notes: "Look here" }) ];
+    const result = mergeBookmarkForests(base, ours, base);
+    expect(result).to.deep.equal({ bookmarks: ours, conflicts: [] });
+  });
+  
+  it(`combines property changes from both sides`, () => {
+    const base = [ bookmark('foo') ];
+    const ours = [ bookmark('foo', { notes: "Look here" }) ];
+    const theirs = [ bookmark('foo', { line: 19 }) ];
+    const result = mergeBookmarkForests(base, ours, theirs);
+    expect(result.conflicts).to.deep.equal([]);
+    expect(result.bookmarks).to.deep.equal([
+      bookmark('foo', { line: 19, notes: "Look here" }),
+    ]);
+  });
+  
+  it(`keeps bookmarks added on either side`, () => {
+    const base = [ bookmark('foo') ];
+    const ours = [ bookmark('foo'), bookmark('bar') ];
+    const theirs = [ bookmark('baz'), bookmark('foo') ];
+    const result = mergeBookmarkForests(base, ours, theirs);
+    expect(result.conflicts).to.deep.equal([]);
+    expect(result.bookmarks).to.deep.equal([
+      bookmark('foo'), bookmark('bar'), bookmark('baz'),
+    ]);
+  });
+  
+  it(`drops a bookmark deleted on one side and unchanged on the other`, () => {
+    const base = [ bookmark('foo'), bookmark('bar') ];
+    const ours = [ bookmark('foo'), bookmark('bar') ];
+    const theirs = [ bookmark('bar') ];
+    const result = mergeBookmarkForests(base, ours, theirs);
+    expect(result).to.deep.equal({ bookmarks: [ bookmark('bar') ], conflicts: [] });
+  });
+  
+  it(`reports a conflict and keeps the bookmark if deleted by them but changed by us`, () => {
+    const base = [ bookmark('foo') ];
+    const ours = [ bookmark('foo', { notes: "Still relevant" }) ];
+    const result = mergeBookmarkForests(base, ours, []);
+    expect(result.bookmarks).to.deep.equal(ours);
+    expect(result.conflicts).to.deep.equal([
+      { type: 'deletedByThem', path: [0], base: base[0], ours: ours[0], theirs: undefined },
+    ]);
+  });
+  
+  it(`reports a conflict and keeps the bookmark if deleted by us but changed by them`, () => {
+    const base = [ bookmark('foo') ];
+    const theirs = [ bookmark('foo', { notes: "Still relevant" }) ];
+    const result = mergeBookmarkForests(base, [], theirs);
+    expect(result.bookmarks).to.deep.equal(theirs);
+    expect(result.conflicts).to.deep.equal([
+      { type: 'deletedByUs', path: [0], base: base[0], ours: undefined, theirs: theirs[0] },
+    ]);
+  });
+  
+  it(`reports conflicting changes to a property, keeping ours`, () => {
+    const base = [ bookmark('foo', { notes: "Original" }) ];
+    const ours = [ bookmark('foo', { notes: "Mine" }) ];
+    const theirs = [ bookmark('foo', { notes: "Theirs" }) ];
+    const result = mergeBookmarkForests(base, ours, theirs);
+    expect(result.bookmarks).to.deep.equal(ours);
+    expect(result.conflicts).to.deep.equal([
+      { type: 'property', path: [0], property: 'notes', base: "Original", ours: "Mine", theirs: "Theirs" },
+    ]);
+  });
+  
+  it(`merges children recursively, locating conflicts by path`, () => {
+    const base = [
+      bookmark('parent', { children: [ bookmark('child', { notes: "a" }) ] }),
+    ];
+    const ours = [
+      bookmark('parent', { children: [
+        bookmark('child', { notes: "b" }),
+        bookmark('ourChild'),
+      ] }),
+    ];
+    const theirs = [
+      bookmark('parent', { children: [
+        bookmark('theirChild'),
+        bookmark('child', { notes: "c" }),
+      ] }),
+    ];
+    const result = mergeBookmarkForests(base, ours, theirs);
+    expect(result.bookmarks).to.deep.equal([
+      bookmark('parent', { children: [
+        bookmark('child', { notes: "b" }),
+        bookmark('ourChild'),
+        bookmark('theirChild'),
+      ] }),
+    ]);
+    expect(result.conflicts).to.deep.equal([
+      { type: 'property', path: [0, 0], property: 'notes', base: "a", ours: "b", theirs: "c" },
+    ]);
+  });
+  
+  it(`distinguishes bookmarks by peg`, () => {
+    const other = bookmark('foo', { peg: { commit, line: 40 } });
+    const result = mergeBookmarkForests([], [ bookmark('foo') ], [ other ]);
+    expect(result).to.deep.equal({ bookmarks: [ bookmark('foo'), other ], conflicts: [] });
+  });
+});
+
+describe('mergeCasefileMetadata()', () => {
+  it(`combines property changes from both sides`, () => {
+    const base = { title: "Retries", tags: [ 'net' ] };
+    const ours = { title: "Retries", tags: [ 'net', 'bug' ] };
+    const theirs = { title: "Retry policy", tags: [ 'net' ], notes: "See ticket" };
+    const result = mergeCasefileMetadata(base, ours, theirs);
+    expect(result).to.deep.equal({
+      metadata: { title: "Retry policy", tags: [ 'net', 'bug' ], notes: "See ticket" },
+      conflicts: [],
+    });
+  });
+  
+  it(`drops a property deleted on one side and unchanged on the other`, () => {
+    const base = { title: "Retries", notes: "Old notes" };
+    const result = mergeCasefileMetadata(base, { title: "Retries" }, base);
+    expect(result).to.deep.equal({ metadata: { title: "Retries" }, conflicts: [] });
+  });
+  
+  it(`reports conflicting changes to a property, keeping ours`, () => {
+    const result = mergeCasefileMetadata(
+      { title: "Retries" },
+      { title: "Our title" },
+      { title: "Their title" }
+    );
+    expect(result).to.deep.equal({
+      metadata: { title: "Our title" },
+      conflicts: [
+        { type: 'property', path: [], property: 'title', base: "Retries", ours: "Our title", theirs: "Their title" },
+      ],
+    });
+  });
+});
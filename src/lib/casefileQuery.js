@@ -0,0 +1,138 @@
+/**
+ * @summary Test whether a casefile or any of its bookmarks has a tag
+ * @param {Casefile} casefile
+ * @param {string} tag
+ * @returns {boolean}
+ */
+export function casefileHasTag(casefile, tag) {
+  return someInCasefile(casefile, ({ tags }) => (
+    Array.isArray(tags) && tags.includes(tag)
+  ));
+}
+
+/**
+ * @summary Test whether a casefile or any of its bookmarks was created by an author
+ * @param {Casefile} casefile
+ * @param {string} author - Compared with the `createdBy` properties
+ * @returns {boolean}
+ */
+export function casefileHasAuthor(casefile, author) {
+  return someInCasefile(casefile, ({ createdBy }) => createdBy === author);
+}
+
+function someInCasefile(casefile, predicate) {
+  if (predicate(casefile)) {
+    return true;
+  }
+  const bookmarks = [...(casefile.bookmarks || [])];
+  while (bookmarks.length) {
+    const bookmark = bookmarks.shift();
+    if (!bookmark) continue;
+    if (predicate(bookmark)) {
+      return true;
+    }
+    bookmarks.push(...(bookmark.children || []));
+  }
+  return false;
+}
+
+/**
+ * @typedef {Object} CasefileSearchHit
+ * @summary A casefile or bookmark matching a search query
+ *
+ * @property {string} path
+ *    Path (group-slash-instance) of the casefile containing the match
+ * @property {string} group
+ *    Group name of the casefile
+ * @property {?Array.<number>} bookmarkPath
+ *    Indexes leading through the casefile's bookmark forest (and `children`
+ *    at each level) to the matching bookmark, or `null` when the match is on
+ *    the casefile itself
+ * @property {?Bookmark} bookmark
+ *    The matching bookmark, or `null` when the match is on the casefile itself
+ * @property {Array.<string>} fields
+ *    Names of the fields in which query terms were found (`'group'`,
+ *    `'file'`, `'markText'` or `'notes'`)
+ * @property {number} score
+ *    Relevance of the hit; higher is more relevant
+ */
+
+const SEARCH_FIELD_WEIGHTS = {
+  markText: 4,
+  notes: 3,
+  file: 2,
+  group: 2,
+};
+
+/**
+ * @summary Search loaded casefiles for text
+ * @param {Array.<Casefile>} casefiles - Loaded casefiles (each with a `path`)
+ * @param {string} query - Whitespace-separated search terms
+ * @returns {Array.<CasefileSearchHit>} Hits, most relevant first
+ *
+ * @description
+ * Terms are matched case-insensitively as substrings.  The group name and
+ * `notes` of each casefile are matched as a unit, as are the `file`,
+ * `markText` and `notes` of each bookmark; a unit is a hit only if every
+ * term is found in one of its fields.  Hits are scored by the fields in
+ * which the terms were found (mark text weighing most), with a bonus for
+ * terms matching a whole word.
+ */
+export function searchCasefileContents(casefiles, query) {
+  const terms = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) {
+    return [];
+  }
+  const hits = [];
+  for (const casefile of casefiles) {
+    const path = casefile.path;
+    const group = path.slice(0, path.lastIndexOf('/'));
+    const addHit = (fieldValues, bookmark, bookmarkPath) => {
+      const match = matchTerms(terms, fieldValues);
+      if (match) {
+        hits.push({ path, group, bookmarkPath, bookmark, ...match });
+      }
+    };
+    addHit({ group, notes: casefile.notes }, null, null);
+    const visit = (bookmarks, parentPath) => (bookmarks || []).forEach((bookmark, i) => {
+      if (!bookmark) return;
+      const bookmarkPath = parentPath.concat([i]);
+      const { file, markText, notes } = bookmark;
+      addHit({ file, markText, notes }, bookmark, bookmarkPath);
+      visit(bookmark.children, bookmarkPath);
+    });
+    visit(casefile.bookmarks, []);
+  }
+  hits.sort((a, b) => b.score - a.score);
+  return hits;
+}
+
+function matchTerms(terms, fieldValues) {
+  const fields = new Set();
+  let score = 0;
+  for (const term of terms) {
+    let termScore = 0;
+    for (const [field, value] of Object.entries(fieldValues)) {
+      if (typeof value !== 'string') continue;
+      const text = value.toLowerCase();
+      const index = text.indexOf(term);
+      if (index < 0) continue;
+      fields.add(field);
+      let fieldScore = SEARCH_FIELD_WEIGHTS[field];
+      if (isWholeWord(text, index, term.length)) {
+        fieldScore *= 1.5;
+      }
+      termScore = Math.max(termScore, fieldScore);
+    }
+    if (termScore === 0) {
+      return null;
+    }
+    score += termScore;
+  }
+  return { fields: [...fields], score };
+}
+
+function isWholeWord(text, index, length) {
+  const wordChar = /[\w$]/;
+  return !wordChar.test(text.charAt(index - 1)) && !wordChar.test(text.charAt(index + length));
+}
@@ -0,0 +1,63 @@
+import { searchCasefileContents } from './casefileQuery.js';
+import chai, { expect } from 'chai';
+import { bookmarkFixture as bookmark } from '../../test/helpers.js';
+
+describe('searchCasefileContents()', () => {
+  const casefiles = [
+    {
+      path: 'retries/22218950-279d-550d-b2c0-d776c50cc6a9',
+      notes: "How requests are retried",
+      bookmarks: [
+        bookmark('const policy = defaults', { file: 'src/http.js' }),
+        bookmark('setup', { children: [
+          bookmark('retryPolicy.maxAttempts', { notes: "Capped at 5" }),
+        ] }),
+      ],
+    },
+    {
+      path: 'startup/0b6b4c1f-54c1-5b8e-8a57-0d4a4b8a1f6e',
+      bookmarks: [
+        bookmark('main()', { notes: "Reads the retryPolicy from config" }),
+      ],
+    },
+  ];
+  
+  it(`points hits at the matching bookmark`, () => {
+    const hits = searchCasefileContents(casefiles, 'maxAttempts');
+    expect(hits).to.have.lengthOf(1);
+    expect(hits[0]).to.deep.include({
+      path: casefiles[0].path,
+      group: 'retries',
+      bookmarkPath: [1, 0],
+      bookmark: casefiles[0].bookmarks[1].children[0],
+      fields: ['markText'],
+    });
+  });
+  
+  it(`ranks mark text matches above notes matches`, () => {
+    const hits = searchCasefileContents(casefiles, 'RETRYPOLICY');
+    expect(hits.map(hit => [hit.path, hit.bookmarkPath, hit.fields])).to.deep.equal([
+      [casefiles[0].path, [1, 0], ['markText']],
+      [casefiles[1].path, [0], ['notes']],
+    ]);
+  });
+  
+  it(`matches group names and notes on the casefile itself`, () => {
+    const hits = searchCasefileContents(casefiles, 'retr');
+    expect(hits.find(hit => hit.bookmarkPath === null)).to.deep.include({
+      path: casefiles[0].path,
+      bookmark: null,
+      fields: ['group', 'notes'],
+    });
+  });
+  
+  it(`requires every term to match`, () => {
+    const hits = searchCasefileContents(casefiles, 'http policy');
+    expect(hits.map(hit => hit.bookmarkPath)).to.deep.equal([[0]]);
+    expect(hits[0].fields).to.have.members(['file', 'markText']);
+  });
+  
+  it(`gives no hits for an empty query`, () => {
+    expect(searchCasefileContents(casefiles, '  ')).to.deep.equal([]);
+  });
+});
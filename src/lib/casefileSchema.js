@@ -0,0 +1,235 @@
+import CodedError from './codedError.js';
+
+/**
+ * @private
+ * @summary Upgrade steps between casefile formats
+ *
+ * @description
+ * The function at index *N* upgrades data in format version *N* to format
+ * version *N + 1*, so the current format version is the number of steps.
+ */
+const MIGRATIONS = [
+  // 0 -> 1: a bare Array of bookmarks
+  (data) => ({ bookmarks: data }),
+];
+
+export const CASEFILE_FORMAT_VERSION = MIGRATIONS.length;
+
+/**
+ * @summary Names of the descriptive properties of a casefile
+ *
+ * @description
+ * Bookmarks may carry the same properties.
+ */
+export const CASEFILE_METADATA_PROPERTIES = Object.freeze([
+  'title', 'notes', 'tags', 'createdAt', 'createdBy',
+]);
+
+const commitHashPattern = /^(?:[0-9a-f]{40}|[0-9a-f]{64})$/;
+
+/**
+ * @typedef {Object} CasefileSchemaProblem
+ * @property {string} path
+ *    Location of the problem within the casefile data, e.g.
+ *    `bookmarks[2].children[0].peg.commit`
+ * @property {string} message
+ *    Description of the problem
+ */
+
+/**
+ * @summary Determine the format version of stored casefile data
+ * @param {*} data - Parsed casefile data
+ * @returns {number}
+ *
+ * @description
+ * A bare Array of bookmarks is format 0; an object without a `formatVersion`
+ * is format 1, the format shared before versions were recorded.
+ */
+export function casefileFormatVersion(data) {
+  if (Array.isArray(data)) {
+    return 0;
+  }
+  if (data && data.formatVersion !== undefined) {
+    return data.formatVersion;
+  }
+  return 1;
+}
+
+/**
+ * @summary Upgrade casefile data to the current format
+ * @param {*} data - Parsed casefile data in any known format
+ * @returns {Casefile} *data* upgraded and stamped with the current `formatVersion`
+ * @throws {CasefileSchemaError} (`err.code === 'UnsupportedFormatVersion'`)
+ *    When *data* is in a format this version of the package does not know
+ */
+export function migrateCasefile(data) {
+  const formatVersion = casefileFormatVersion(data);
+  if (
+    !Number.isInteger(formatVersion)
+    || formatVersion < 0
+    || formatVersion > CASEFILE_FORMAT_VERSION
+  ) {
+    throw new CasefileSchemaError({
+      code: 'UnsupportedFormatVersion',
+      formatVersion,
+    });
+  }
+  for (let version = formatVersion; version < CASEFILE_FORMAT_VERSION; ++version) {
+    data = MIGRATIONS[version](data);
+  }
+  return { ...data, formatVersion: CASEFILE_FORMAT_VERSION };
+}
+
+/**
+ * @summary Extract the descriptive properties of a casefile
+ * @param {Casefile} casefile
+ * @returns {object} The {@link CASEFILE_METADATA_PROPERTIES} set on *casefile*
+ */
+export function casefileMetadata(casefile) {
+  const metadata = {};
+  for (const prop of CASEFILE_METADATA_PROPERTIES) {
+    if (casefile[prop] !== undefined) {
+      metadata[prop] = casefile[prop];
+    }
+  }
+  return metadata;
+}
+
+/**
+ * @summary Check casefile data against the current casefile schema
+ * @param {*} casefile - Casefile data in the current format
+ * @returns {Array.<CasefileSchemaProblem>} Problems found (empty if valid)
+ */
+export function validateCasefile(casefile) {
+  const problems = [];
+  const problem = (path, message) => problems.push({ path, message });
+  
+  if (!isObject(casefile)) {
+    problem('', "casefile must be an object");
+    return problems;
+  }
+  if (casefile.formatVersion !== CASEFILE_FORMAT_VERSION) {
+    problem('formatVersion', `must be ${CASEFILE_FORMAT_VERSION}`);
+  }
+  validateMetadata(casefile, '', problem);
+  if (!Array.isArray(casefile.bookmarks)) {
+    problem('bookmarks', "must be an array");
+  } else {
+    validateBookmarks(casefile.bookmarks, 'bookmarks', problem);
+  }
+  return problems;
+}
+
+/**
+ * @summary Throw if casefile data does not match the current casefile schema
+ * @param {*} casefile - Casefile data in the current format
+ * @returns {Casefile} *casefile*
+ * @throws {CasefileSchemaError} (`err.code === 'InvalidCasefile'`)
+ *    With the {@link CasefileSchemaProblem}s found in `err.problems`
+ */
+export function assertValidCasefile(casefile) {
+  const problems = validateCasefile(casefile);
+  if (problems.length !== 0) {
+    throw new CasefileSchemaError({
+      code: 'InvalidCasefile',
+      message: `Invalid casefile: ${problems.map(
+        ({ path, message }) => `${path} ${message}`
+      ).join('; ')}`,
+      problems,
+    });
+  }
+  return casefile;
+}
+
+function validateBookmarks(bookmarks, path, problem) {
+  bookmarks.forEach((bookmark, i) => {
+    const bookmarkPath = `${path}[${i}]`;
+    if (!isObject(bookmark)) {
+      problem(bookmarkPath, "must be an object");
+      return;
+    }
+    if (typeof bookmark.file !== 'string' || bookmark.file.length === 0) {
+      problem(`${bookmarkPath}.file`, "must be a non-empty string");
+    }
+    if (!isLineNumber(bookmark.line)) {
+      problem(`${bookmarkPath}.line`, "must be a positive integer");
+    }
+    if (typeof bookmark.markText !== 'string') {
+      problem(`${bookmarkPath}.markText`, "must be a string");
+    }
+    validateMetadata(bookmark, `${bookmarkPath}.`, problem);
+    for (const prop of ['col', 'endLine', 'endCol']) {
+      if (bookmark[prop] !== undefined && !isLineNumber(bookmark[prop])) {
+        problem(`${bookmarkPath}.${prop}`, "must be a positive integer");
+      }
+    }
+    if (isLineNumber(bookmark.line) && isLineNumber(bookmark.endLine) && bookmark.endLine < bookmark.line) {
+      problem(`${bookmarkPath}.endLine`, "must not be before line");
+    }
+    if (bookmark.peg !== undefined) {
+      if (validatePeg(bookmark.peg, `${bookmarkPath}.peg`, problem) && bookmark.peg.end !== undefined) {
+        validatePeg(bookmark.peg.end, `${bookmarkPath}.peg.end`, problem);
+      }
+    }
+    if (bookmark.children !== undefined) {
+      if (!Array.isArray(bookmark.children)) {
+        problem(`${bookmarkPath}.children`, "must be an array");
+      } else {
+        validateBookmarks(bookmark.children, `${bookmarkPath}.children`, problem);
+      }
+    }
+  });
+}
+
+function validateMetadata(subject, pathPrefix, problem) {
+  for (const prop of ['title', 'notes', 'createdBy']) {
+    if (subject[prop] !== undefined && typeof subject[prop] !== 'string') {
+      problem(`${pathPrefix}${prop}`, "must be a string");
+    }
+  }
+  if (subject.tags !== undefined) {
+    if (!Array.isArray(subject.tags)) {
+      problem(`${pathPrefix}tags`, "must be an array");
+    } else {
+      subject.tags.forEach((tag, i) => {
+        if (typeof tag !== 'string') {
+          problem(`${pathPrefix}tags[${i}]`, "must be a string");
+        }
+      });
+    }
+  }
+  if (subject.createdAt !== undefined && (
+    typeof subject.createdAt !== 'string' || isNaN(Date.parse(subject.createdAt))
+  )) {
+    problem(`${pathPrefix}createdAt`, "must be a date string");
+  }
+}
+
+function validatePeg(peg, path, problem) {
+  if (!isObject(peg)) {
+    problem(path, "must be an object");
+    return false;
+  }
+  if (peg.commit != null && !commitHashPattern.test(peg.commit)) {
+    problem(`${path}.commit`, "must be a full commit hash");
+  }
+  if (!isLineNumber(peg.line)) {
+    problem(`${path}.line`, "must be a positive integer");
+  }
+  return true;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isLineNumber(value) {
+  return Number.isInteger(value) && value >= 1;
+}
+
+const ERROR_MESSAGES_BY_CODE = {
+  InvalidCasefile: "Casefile does not match the casefile schema",
+  UnsupportedFormatVersion: "Casefile format version is not supported",
+};
+
+export class CasefileSchemaError extends CodedError(ERROR_MESSAGES_BY_CODE) {}
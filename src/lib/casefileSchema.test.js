@@ -0,0 +1,162 @@
+import {
+  CASEFILE_FORMAT_VERSION,
+  CasefileSchemaError,
+  assertValidCasefile,
+  casefileFormatVersion,
+  casefileMetadata,
+  migrateCasefile,
+  validateCasefile,
+} from './casefileSchema.js';
+import chai, { expect } from 'chai';
+import { bookmarkFixture, TEST_COMMIT as commit } from '../../test/helpers.js';
+
+describe('casefile schema', () => {
+  const bookmark = (props = {}) => bookmarkFixture('file', props);
+  
+  describe('casefileFormatVersion()', () => {
+    it(`treats a bare array as format 0`, () => {
+      expect(casefileFormatVersion([])).to.equal(0);
+    });
+    
+    it(`treats an object without 'formatVersion' as format 1`, () => {
+      expect(casefileFormatVersion({ bookmarks: [] })).to.equal(1);
+    });
+    
+    it(`reads 'formatVersion' when present`, () => {
+      expect(casefileFormatVersion({ formatVersion: 7 })).to.equal(7);
+    });
+  });
+  
+  describe('migrateCasefile()', () => {
+    it(`upgrades a bare array of bookmarks`, () => {
+      const bookmarks = [ bookmark() ];
+      expect(migrateCasefile(bookmarks)).to.deep.equal({
+        formatVersion: CASEFILE_FORMAT_VERSION,
+        bookmarks,
+      });
+    });
+    
+    it(`stamps the current version on an unversioned casefile`, () => {
+      const bookmarks = [ bookmark() ];
+      expect(migrateCasefile({ bookmarks })).to.deep.equal({
+        formatVersion: CASEFILE_FORMAT_VERSION,
+        bookmarks,
+      });
+    });
+    
+    it(`rejects a format newer than this package knows`, () => {
+      expect(() => migrateCasefile({
+        formatVersion: CASEFILE_FORMAT_VERSION + 1,
+        bookmarks: [],
+      })).to.throw(CasefileSchemaError).with.property('code', 'UnsupportedFormatVersion');
+    });
+    
+    it(`rejects a non-numeric format version`, () => {
+      expect(() => migrateCasefile({ formatVersion: 'x', bookmarks: [] }))
+        .to.throw(CasefileSchemaError).with.property('code', 'UnsupportedFormatVersion');
+    });
+  });
+  
+  describe('validateCasefile()', () => {
+    it(`accepts a valid casefile`, () => {
+      expect(validateCasefile({
+        formatVersion: CASEFILE_FORMAT_VERSION,
+        bookmarks: [
+          bookmark({ children: [ bookmark({ peg: undefined }) ] }),
+        ],
+      })).to.deep.equal([]);
+    });
+    
+    it(`reports the path of each problem`, () => {
+      const problems = validateCasefile({
+        formatVersion: CASEFILE_FORMAT_VERSION,
+        bookmarks: [
+          bookmark({
+            file: undefined,
+            children: [ bookmark({ peg: { commit: 'abc123', line: 23 } }) ],
+          }),
+          bookmark({ line: '17' }),
+        ],
+      });
+      expect(problems.map(p => p.path)).to.deep.equal([
+        'bookmarks[0].file',
+        'bookmarks[0].children[0].peg.commit',
+        'bookmarks[1].line',
+      ]);
+    });
+    
+    it(`checks the range of a range bookmark`, () => {
+      const problems = validateCasefile({
+        formatVersion: CASEFILE_FORMAT_VERSION,
+        bookmarks: [
+          bookmark({ col: 3, endLine: 20, endCol: 2, peg: { commit, line: 23, end: { commit, line: 26 } } }),
+          bookmark({ endLine: 12, endCol: 0, peg: { commit, line: 23, end: { commit: 'HEAD', line: 26 } } }),
+        ],
+      });
+      expect(problems).to.deep.equal([
+        { path: 'bookmarks[1].endCol', message: "must be a positive integer" },
+        { path: 'bookmarks[1].endLine', message: "must not be before line" },
+        { path: 'bookmarks[1].peg.end.commit', message: "must be a full commit hash" },
+      ]);
+    });
+    
+    it(`checks descriptive properties of the casefile and its bookmarks`, () => {
+      const problems = validateCasefile({
+        formatVersion: CASEFILE_FORMAT_VERSION,
+        title: "Startup",
+        tags: 'boot',
+        createdAt: '2024-02-30T25:00:00Z',
+        bookmarks: [
+          bookmark({ notes: "Entry point", tags: ['boot', 7], createdBy: 'alex@example.com' }),
+          bookmark({ notes: 42, createdAt: '2024-02-01T10:00:00Z' }),
+        ],
+      });
+      expect(problems).to.deep.equal([
+        { path: 'tags', message: "must be an array" },
+        { path: 'createdAt', message: "must be a date string" },
+        { path: 'bookmarks[0].tags[1]', message: "must be a string" },
+        { path: 'bookmarks[1].notes', message: "must be a string" },
+      ]);
+    });
+    
+    it(`reports a missing or outdated format version`, () => {
+      expect(validateCasefile({ bookmarks: [] })).to.deep.equal([
+        { path: 'formatVersion', message: `must be ${CASEFILE_FORMAT_VERSION}` },
+      ]);
+    });
+    
+    it(`reports a casefile without a bookmarks array`, () => {
+      expect(validateCasefile({ formatVersion: CASEFILE_FORMAT_VERSION }))
+        .to.deep.equal([ { path: 'bookmarks', message: "must be an array" } ]);
+    });
+  });
+  
+  describe('casefileMetadata()', () => {
+    it(`picks the descriptive properties that are set`, () => {
+      expect(casefileMetadata({
+        path: 'foo/0b6b4c1f-54c1-5b8e-8a57-0d4a4b8a1f6e',
+        title: "Startup",
+        tags: [],
+        bookmarks: [],
+      })).to.deep.equal({ title: "Startup", tags: [] });
+    });
+  });
+  
+  describe('assertValidCasefile()', () => {
+    it(`returns a valid casefile`, () => {
+      const casefile = { formatVersion: CASEFILE_FORMAT_VERSION, bookmarks: [] };
+      expect(assertValidCasefile(casefile)).to.equal(casefile);
+    });
+    
+    it(`throws with the problems found`, () => {
+      expect(() => assertValidCasefile({
+        formatVersion: CASEFILE_FORMAT_VERSION,
+        bookmarks: [ bookmark({ markText: 5 }) ],
+      })).to.throw(CasefileSchemaError)
+        .that.deep.includes({
+          code: 'InvalidCasefile',
+          problems: [ { path: 'bookmarks[0].markText', message: "must be a string" } ],
+        });
+    });
+  });
+});
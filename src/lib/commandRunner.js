@@ -102,10 +102,17 @@ export class CommandExecutionError extends CodedError({}) {};
  *    Environment variables to pass to the child process; if not given, the
  *    environment variables passed to {@link createCommandRunner} are used or,
  *    if those were not given, `process.env` is used
+ * @param {Object.<string,string>} [kwargs.extraEnv]
+ *    Environment variables to set for the child process in addition to (or
+ *    overriding) those otherwise passed to it
  * @param {{error: function}} [kwargs.logger]
  *    A `console`-like logger to use for logging errors; defaults to the
  *    *opts.logger* passed to {@link createCommandRunner} or, if that was not
  *    given, to `console`
+ * @param {?number} [kwargs.timeout]
+ *    Number of seconds to allow this invocation to run, overriding the
+ *    *opts.timeout* passed to {@link createCommandRunner}; `null` allows it
+ *    to run indefinitely
  * @returns {Promise.<*>}
  *
  * @description
@@ -131,7 +138,9 @@ export class CommandExecutionError extends CodedError({}) {};
  * @param {function} [kwargs.result]
  * @param {string} [kwargs.cwd]
  * @param {Object.<string,string>} [kwargs.env]
+ * @param {Object.<string,string>} [kwargs.extraEnv]
  * @param {{error: function}} [kwargs.logger]
+ * @param {?number} [kwargs.timeout]
  * @returns {Promise.<*>}
  *
  * @description
@@ -218,8 +227,11 @@ export default function(program, {
       result,
       cwd: overrideCwd,
       env: overrideEnv,
+      extraEnv = {},
       logger: overrideLogger,
+      timeout: overrideTimeout,
     } = args.shift() || {};
+    const effectiveTimeout = overrideTimeout !== undefined ? overrideTimeout : timeout;
     
     // Set up spawn arguments
     for (const [name, value] of Object.entries(opts)) {
@@ -246,6 +258,7 @@ export default function(program, {
       }()),
       env: {
         ...spawnEnv,
+        ...extraEnv,
       },
       stdio: ['ignore', 'ignore', 'pipe'],
     };
@@ -364,13 +377,13 @@ export default function(program, {
       }
     });
     
-    if (timeout) {
+    if (effectiveTimeout) {
       let timer = null;
       const timeoutPromise = new Promise(function(resolve, reject) {
         timer = setTimeout(() => {
           reject(new CommandExecutionError({
             code: 'Timeout',
-            message: `Timeout on execution of '${progDesc}' after ${timeout} seconds`,
+            message: `Timeout on execution of '${progDesc}' after ${effectiveTimeout} seconds`,
             arguments: spawnArgs.slice(usesSubcommands ? 1 : 0),
             options: {...spawnOpts, env: {
               "Entries from": spawnEnvSource,
@@ -378,7 +391,7 @@ export default function(program, {
             }},
             invokedAt: trace,
           }));
-        }, timeout * 1000);
+        }, effectiveTimeout * 1000);
       });
       return Promise.race([executionPromise, timeoutPromise]).finally(() => {
         timer.unref();
@@ -151,6 +151,23 @@ describe('CommandRunner', () => {
     });
   });
   
+  describe('"extraEnv" keyword', () => {
+    it(`adds to the environment otherwise passed to the tool`, async function() {
+      whenToolExecutes(async ({ options: { env } }) => {
+        expect(env).to.include({
+          PATH: toolPath,
+          FOO: 'foo',
+          BAR: 'bar',
+        });
+      });
+      const invoker = CommandRunner(program, {
+        env: { PATH: toolPath, FOO: 'foo' },
+        tracer: toolInvocationEvents,
+      });
+      await invoker({ extraEnv: { BAR: 'bar' } });
+    });
+  });
+  
   describe('"opts" and "args" keywords', () => {
     it(`can run the tool without keyword arguments`, async function() {
       await invokeTool({});
@@ -677,6 +694,17 @@ describe('CommandRunner', () => {
     it(`can run without a timeout`, async function() {
       await (makeInvoker({ timeout: null })({}));
     });
+    
+    it(`can be overridden for a single invocation`, async function() {
+      whenToolExecutes(async ({ process: childProc }) => {
+        delete childProc[CONTROLLER].exitCode;
+        
+        setTimeout(() => {
+          childProc[CONTROLLER].emit('exit', 0);
+        }, 300);
+      });
+      await (makeInvoker({ timeout: 0.1 })({ timeout: null }));
+    });
   });
   
   describe('result generation', () => {
@@ -2,21 +2,79 @@ import fsPromises from 'fs/promises';
 import { write as temporaryWrite } from 'tempy';
 import CodedError, { ASSERT_ERROR } from './codedError.js';
 import Janitor from './janitor.js';
+import { diffLines } from './lineDiff.js';
 import SeparatedRecordConsumer from './SeparatedRecordConsumer.js';
 import { ENDL_PATTERN } from './stringUtils.js';
 import { normalizeOpts } from './toolInvocationHelpers.js';
 
 export { ASSERT_ERROR };
 
+const DIFF_ENGINES = ['diff', 'builtin'];
+
+/**
+ * @summary Names of the diff algorithms a {@link DiffInteraction} may be asked to use
+ * @memberof module:git-casefile/impl
+ */
+export const DIFF_ALGORITHMS = Object.freeze(['minimal', 'patience', 'histogram']);
+
+const BUILTIN_ALGORITHMS = {
+  minimal: 'myers',
+  patience: 'patience',
+  histogram: 'histogram',
+};
+
+const DIFF_PROGRAM_ALGORITHM_OPTS = {
+  minimal: { minimal: true },
+};
+
 const hunkMapping = /^@@\s*-?(\d+)(?:,(\d+))?\s+\+?(\d+)(?:,(\d+))?/;
 
 /**
  * @summary Class encapsulating usage of `diff`
  * @memberof module:git-casefile/impl
+ *
+ * @description
+ * Constructed with `engine: 'builtin'`, hunks are computed in-process (see
+ * {@link diffLines}) and no `diff` program (or temporary file) is needed.
+ *
+ * The shape of the hunks -- and so where lines within a changed region are
+ * taken to have moved -- depends on the diff algorithm.  The `'builtin'`
+ * engine supports every algorithm in {@link DIFF_ALGORITHMS}; the `diff`
+ * program (GNU `diff`) only supports `'minimal'`.
  */
 class DiffInteraction {
-  constructor({ runDiffCommand }) {
+  /**
+   * @summary Construct an instance
+   * @param {object} kwargs
+   * @param {CommandRunnerFunc} [kwargs.runDiffCommand]
+   *    Command runner for executing the `diff` program; required unless
+   *    *kwargs.engine* is `'builtin'`
+   * @param {string} [kwargs.engine='diff']
+   *    `'diff'` to run the `diff` program or `'builtin'` to compute hunks
+   *    in-process
+   * @param {string} [kwargs.algorithm]
+   *    One of {@link DIFF_ALGORITHMS}; if not given, the `diff` program uses
+   *    its default and the `'builtin'` engine uses `'minimal'`
+   * @throws {DiffInteractionError} (`err.code === 'UnknownEngine'`)
+   *    When *kwargs.engine* is not recognized
+   * @throws {DiffInteractionError} (`err.code === 'UnknownAlgorithm'`)
+   *    When *kwargs.algorithm* is not recognized
+   * @throws {DiffInteractionError} (`err.code === 'UnsupportedAlgorithm'`)
+   *    When *kwargs.algorithm* is not available with *kwargs.engine*
+   */
+  constructor({ runDiffCommand, engine = 'diff', algorithm }) {
+    if (!DIFF_ENGINES.includes(engine)) {
+      throw new DiffInteractionError({ code: 'UnknownEngine', engine });
+    }
+    if (algorithm !== undefined && !DIFF_ALGORITHMS.includes(algorithm)) {
+      throw new DiffInteractionError({ code: 'UnknownAlgorithm', algorithm });
+    }
+    if (engine === 'diff' && algorithm !== undefined && !DIFF_PROGRAM_ALGORITHM_OPTS[algorithm]) {
+      throw new DiffInteractionError({ code: 'UnsupportedAlgorithm', engine, algorithm });
+    }
     this.diffCommandRunner = runDiffCommand;
+    this.engine = engine;
+    this.algorithm = algorithm;
   }
   
   async runDiffCommand({opts = {}, ...kwargs} = {}) {
@@ -71,8 +129,19 @@ class DiffInteraction {
    * as a path to a file already on disk or as an immediate string; when an
    * immediate string is provided, it is saved to a temporary file so that
    * two files paths can be provided for invoking `diff`.
+   *
+   * With the `'builtin'` engine, file content is read instead and the hunks
+   * are computed without invoking `diff`.
    */
   async getHunks(baseContent, currentContent) {
+    if (this.engine === 'builtin') {
+      const [ baseText, currentText ] = await Promise.all(
+        [baseContent, currentContent].map(c => this.getText(c))
+      );
+      return diffLines(baseText, currentText, {
+        algorithm: BUILTIN_ALGORITHMS[this.algorithm || 'minimal'],
+      });
+    }
     const janitor = new Janitor();
     try {
       const [ basePath, currentPath ] = await Promise.all(
@@ -81,7 +150,7 @@ class DiffInteraction {
       
       const hunks = [];
       return await this.runDiffCommand({
-        opts: { U: 0 },
+        opts: { U: 0, ...DIFF_PROGRAM_ALGORITHM_OPTS[this.algorithm] },
         args: [ basePath, currentPath ],
         stdout: new SeparatedRecordConsumer(ENDL_PATTERN).setRecordEncoding('utf8').on('record', (line) => {
           const parts = hunkMapping.exec(line);
@@ -120,6 +189,26 @@ class DiffInteraction {
     }
   }
   
+  /**
+   * @summary Get the text of content
+   * @param {TextContent} content
+   * @returns {Promise.<string>}
+   * @throws {DiffInteractionError} (`err.code === 'UnknownContentType'`)
+   *    When *content* is neither {@link OnDiskContent} nor {@link ImmediateContent}
+   */
+  async getText(content) {
+    if (content.path) {
+      return fsPromises.readFile(content.path, 'utf8');
+    }
+    if (typeof content.immediate === 'string') {
+      return content.immediate;
+    }
+    throw new DiffInteractionError({
+      code: 'UnknownContentType',
+      contentKeys: Object.keys(content),
+    });
+  }
+  
   async _getPath(content, janitor) {
     if (content.path) {
       return content.path;
@@ -150,6 +239,9 @@ function contentDesc(content) {
 const ERROR_MESSAGES_BY_CODE = {
   DiffFailure: "The diff command failed",
   UnknownContentType: "The content source is of an unknown type (expected 'path' or 'immediate')",
+  UnknownAlgorithm: "Unknown diff algorithm (expected 'minimal', 'patience' or 'histogram')",
+  UnknownEngine: "Unknown diff engine (expected 'diff' or 'builtin')",
+  UnsupportedAlgorithm: "The diff algorithm is not supported by the diff engine",
 };
 
 export class DiffInteractionError extends CodedError(ERROR_MESSAGES_BY_CODE) {}
@@ -133,7 +133,7 @@ describe('DiffInteraction', () => {
         const contents = decodeExecution(execution);
         expect(contents[1]).to.equal(contents[0]);
         await streamConsumed(stdout, () => {
-          
+        
         });
       });
       const result = await this.differ.getHunks(content, content);
@@ -222,13 +222,23 @@ describe('DiffInteraction', () => {
       ]);
     });
     
+    it(`passes --minimal to 'diff' for the 'minimal' algorithm`, async function () {
+      const differ = new DiffInteraction({ runDiffCommand: this.diffMock.run, algorithm: 'minimal' });
+      const content = {immediate: 'Mary had a little lamb'};
+      this.diffMock.expectCall(async ({ stdio: { stdout }, opts }) => {
+        expect(opts).to.deep.equal({ U: 0, minimal: true });
+        await streamConsumed(stdout, () => {});
+      });
+      expect(await differ.getHunks(content, content)).to.deep.equal([]);
+    });
+    
     it('rejects with code DiffFailure if diff fails', async function () {
       const content = {immediate: 'Mary had a little lamb'};
       this.diffMock.expectCall(async ({ stdio: { stdout }, ...execution }) => {
         const contents = decodeExecution(execution);
         expect(contents[1]).to.equal(contents[0]);
         await streamConsumed(stdout, () => {
-          
+        
         });
         return { exitCode: 17 };
       });
@@ -254,7 +264,7 @@ describe('DiffInteraction', () => {
           const contents = decodeExecution(execution);
           expect(contents[1]).to.equal(contents[0]);
           await streamConsumed(stdout, () => {
-            
+          
           });
           return { exitCode: 17 };
         });
@@ -265,4 +275,61 @@ describe('DiffInteraction', () => {
       });
     });
   });
+  
+  describe(`with the 'builtin' engine`, function () {
+    beforeEach(async function () {
+      this.differ = new DiffInteraction({ engine: 'builtin' });
+    });
+    
+    it(`computes hunks without running 'diff'`, async function () {
+      const base = 'foo\nbar\nbaz\n';
+      await temporaryWrite.task(base, async (path) => {
+        const result = await this.differ.getHunks({ path }, { immediate: 'foo\njar\nbaz\n' });
+        expect(result).to.deep.equal([
+          { baseStart: 2, baseEnd: 3, currentStart: 2, currentEnd: 3 },
+        ]);
+      });
+    });
+    
+    it(`accepts empty immediate content`, async function () {
+      expect(await this.differ.getHunks({ immediate: '' }, { immediate: 'foo\n' })).to.deep.equal([
+        { baseStart: 1, baseEnd: 1, currentStart: 1, currentEnd: 2 },
+      ]);
+    });
+    
+    it(`uses the requested algorithm`, async function () {
+      const base = 'x\nx\nU\ny\n', current = 'U\nx\nx\ny\n';
+      const differ = new DiffInteraction({ engine: 'builtin', algorithm: 'histogram' });
+      expect(await differ.getHunks({ immediate: base }, { immediate: current })).to.deep.equal([
+        { baseStart: 1, baseEnd: 3, currentStart: 1, currentEnd: 1 },
+        { baseStart: 4, baseEnd: 4, currentStart: 2, currentEnd: 4 },
+      ]);
+      expect(await this.differ.getHunks({ immediate: base }, { immediate: current })).to.deep.equal([
+        { baseStart: 1, baseEnd: 1, currentStart: 1, currentEnd: 2 },
+        { baseStart: 3, baseEnd: 4, currentStart: 4, currentEnd: 4 },
+      ]);
+    });
+    
+    it('rejects with code UnknownContentType when content spec is bad', async function () {
+      await expect(this.differ.getHunks({}, { immediate: '' }))
+        .is.rejectedWith(DiffInteractionError)
+        .and.eventually.has.property('code', 'UnknownContentType')
+        ;
+    });
+  });
+  
+  it(`rejects an unknown engine`, function () {
+    expect(() => new DiffInteraction({ engine: 'magic' }))
+      .to.throw(DiffInteractionError).with.property('code', 'UnknownEngine');
+  });
+  
+  it(`rejects an unknown algorithm`, function () {
+    expect(() => new DiffInteraction({ engine: 'builtin', algorithm: 'guesswork' }))
+      .to.throw(DiffInteractionError).with.property('code', 'UnknownAlgorithm');
+  });
+  
+  it(`rejects algorithms the 'diff' program does not support`, function () {
+    expect(() => new DiffInteraction({ runDiffCommand: () => {}, algorithm: 'patience' }))
+      .to.throw(DiffInteractionError).with.property('code', 'UnsupportedAlgorithm');
+  });
 });
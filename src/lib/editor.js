@@ -34,6 +34,15 @@ import { ENDL_PATTERN } from './stringUtils.js';
  * @returns {(string | undefined)} Text content of line *lnum*
  */
 
+/**
+ * @member {number} [EditBuffer#lineCount]
+ * @summary Number of lines in the buffer
+ *
+ * @description
+ * Optional; where not given, lines for which {@link EditBuffer#lineText}
+ * returns `undefined` are taken to be outside the buffer.
+ */
+
 /**
  * @summary Implements the Editor interface by saying no file is live
  * @implements {Editor}
@@ -54,6 +63,7 @@ export class NoEditor {
       content => content.split(ENDL_PATTERN)
     );
     return {
+      lineCount: lines.length,
       lineText: (lnum) => lines[Math.floor(lnum) - 1],
     };
   }
@@ -1,10 +1,16 @@
-import { basename, dirname } from 'path';
+import { basename, dirname, isAbsolute, join as joinPath, posix, relative as relativePath } from 'path';
+import BatchObjectConsumer from './BatchObjectConsumer.js';
+import CasefileCache from './casefileCache.js';
+import { mergeBookmarkForests, mergeCasefileMetadata } from './casefileMerge.js';
+import { CASEFILE_FORMAT_VERSION, casefileMetadata, migrateCasefile } from './casefileSchema.js';
 import CodedError, { ASSERT_ERROR } from './codedError.js';
+import GitObjectReader from './gitObjectReader.js';
 import SeparatedRecordConsumer from './SeparatedRecordConsumer.js';
 import { strrpart, ENDL_PATTERN as eolRegex } from './stringUtils.js';
 import { normalizeOpts } from './toolInvocationHelpers.js';
 
 export const sharedCasefilesRef = 'refs/collaboration/shared-casefiles';
+export const localCasefilesRef = 'refs/collaboration/local-casefiles';
 export const gitLsTreeCasefileEntryRegex = /^(?<mode>\S+) (?<type>\S+) (?<hash>\S+)\t(?<cfPath>(?<cfName>.+)\/[^/]+)$/;
 export const gitLsTreeEntryRegex = /^(?<mode>\S+) (?<type>\S+) (?<hash>\S+)\t(?<name>.+)$/s;
 export const deletedCasefileCommitInfoRegex = /- (?<commit>\S+) (?<committed>\S+ \S+ \S+)/
@@ -18,8 +24,38 @@ const DeletedCasefileListingStates = makeEnum('action path');
  * @memberof module:git-casefile/impl
  */
 class GitInteraction {
-  constructor({ runGitCommand }) {
+  /**
+   * @summary Construct an instance
+   * @param {object} kwargs
+   * @param {ToolkitRunnerFunc} kwargs.runGitCommand
+   *    Command runner for executing the `git` program
+   * @param {number} [kwargs.shareRetryLimit=3]
+   *    Number of times to rebuild and retry pushing a change to the shared
+   *    casefiles when the push is rejected because of a concurrent update
+   * @param {CasefileCache} [kwargs.casefileCache]
+   *    Cache of casefile content by blob hash; defaults to an in-memory cache
+   * @param {Janitor} [kwargs.janitor]
+   *    When given, objects are read through persistent `git cat-file --batch`
+   *    and `--batch-check` processes (see {@link GitObjectReader}) rather
+   *    than a new process per read; cleaning up the janitor shuts these
+   *    processes down
+   */
+  constructor({ runGitCommand, shareRetryLimit = 3, casefileCache = new CasefileCache(), janitor }) {
     this.gitCommandRunner = runGitCommand;
+    this.shareRetryLimit = shareRetryLimit;
+    this.casefileCache = casefileCache;
+    if (janitor) {
+      const readerRunGitCommand = (command, kwargs) => this.runGitCommand(command, kwargs);
+      this.objectReader = new GitObjectReader({
+        runGitCommand: readerRunGitCommand,
+        janitor,
+      });
+      this.objectChecker = new GitObjectReader({
+        runGitCommand: readerRunGitCommand,
+        janitor,
+        withContent: false,
+      });
+    }
   }
   
   async runGitCommand(command, {opts = {}, ...kwargs} = {}) {
@@ -63,9 +99,14 @@ class GitInteraction {
   
   /**
    * @summary Get a list of casefiles known locally
-   * @returns {Promise.<Array.<{name: string, instances: Array.<{path: string}>}>>}
+   * @param {object} [opts]
+   * @param {string} [opts.ref=sharedCasefilesRef]
+   *    Reference holding the casefiles to list (e.g. *localCasefilesRef*)
+   * @returns {Promise.<Array.<{name: string, instances: Array.<{path: string, hash: string}>}>>}
+   *    Casefile groups, each listing its instances with the object hash of
+   *    the instance's blob
    */
-  async getListOfCasefiles() {
+  async getListOfCasefiles({ ref = sharedCasefilesRef } = {}) {
     const casefiles = [];
     const recordDecoder = new SeparatedRecordConsumer('\0')
       .setRecordEncoding('utf8')
@@ -75,7 +116,7 @@ class GitInteraction {
           return;
         }
         const prevCasefile = casefiles.slice(-1)[0] || {};
-        const instance = {path: match.groups.cfPath};
+        const instance = {path: match.groups.cfPath, hash: match.groups.hash};
         if (prevCasefile.name !== match.groups.cfName) {
           casefiles.push({name: match.groups.cfName, instances: [instance]});
         } else {
@@ -85,8 +126,8 @@ class GitInteraction {
       ;
     return this.runGitCommand('ls-tree', {
       opts: {'-': 'rz', 'full-tree': true},
-      args: [sharedCasefilesRef],
-      operationDescription: "list known, shared casefiles",
+      args: [ref],
+      operationDescription: `list known casefiles in '${ref}'`,
       stdout: recordDecoder,
       exit: code => code ? [] : casefiles,
     });
@@ -96,11 +137,15 @@ class GitInteraction {
    * @summary Get a list of all authors for a specified casefile instance
    * @param {string} path - Path of instance within the *sharedCasefilesRef*
    * @returns {Promise.<{path: string, authors: Array.<string>}>}
+   *
+   * @description
+   * Authors of the instance before it was moved to *path* (see
+   * {@link GitInteraction#moveCasefilePaths}) are included.
    */
   async getCasefileAuthors(path) {
     const authors = [];
     return this.runGitCommand('log', {
-      opts: {pretty: 'format:%aN'},
+      opts: {follow: true, pretty: 'format:%aN'},
       args: [sharedCasefilesRef, '--', path],
       operationDescription: `list authors of casefile group '${path}'`,
       stdout: lineStream((author) => {
@@ -115,33 +160,189 @@ class GitInteraction {
     });
   }
   
+  /**
+   * @typedef {Object} CasefileRevision
+   * @summary A commit in the history of a casefile instance
+   *
+   * @property {string} commit - Hash of the commit
+   * @property {string} author - Name of the commit's author
+   * @property {string} authorEmail - Email address of the commit's author
+   * @property {Date} authored - When the commit was authored
+   * @property {Date} committed - When the commit was committed
+   * @property {string} subject - First line of the commit message
+   * @property {string} path
+   *    Path of the instance in the commit, which differs from its current
+   *    path if it has since been renamed
+   */
+  
+  /**
+   * @summary Get the commits that changed a casefile instance
+   * @param {string} path - Path of instance within the *sharedCasefilesRef*
+   * @returns {Promise.<Array.<CasefileRevision>>}
+   *    The commits in *sharedCasefilesRef* that added, changed, renamed or
+   *    deleted *path* (following it back through renames), most recent
+   *    first; empty if *sharedCasefilesRef* does not exist
+   */
+  async getCasefileHistory(path) {
+    const history = [];
+    const recordDecoder = new SeparatedRecordConsumer('\0')
+      .setRecordEncoding('utf8')
+      .on('record', (rec) => {
+        if (rec.length === 0) {
+          return;
+        }
+        const headerEnd = rec.indexOf('\n');
+        const fields = rec.slice(0, headerEnd).split('\x1f');
+        if (headerEnd < 0 || fields.length !== 6) {
+          throw new GitInterationError({ code: 'InvalidGitLogOutput' });
+        }
+        const [ commit, author, authorEmail, authored, committed, subject ] = fields;
+        history.push({
+          commit,
+          author,
+          authorEmail,
+          authored: new Date(authored),
+          committed: new Date(committed),
+          subject,
+          path: rec.slice(headerEnd + 1),
+        });
+      })
+      ;
+    return this.runGitCommand('log', {
+      opts: {
+        '-': 'z',
+        follow: true,
+        'name-only': true,
+        pretty: 'format:%H%x1f%aN%x1f%aE%x1f%aI%x1f%cI%x1f%s',
+      },
+      args: [sharedCasefilesRef, '--', path],
+      operationDescription: `list history of casefile '${path}'`,
+      stdout: recordDecoder,
+      exit: code => code ? [] : history,
+    });
+  }
+  
   /**
    * @summary Retrieve the content of a casefile
    * @param {string} path - Path of casefile instance
    * @param {object} opts
    * @param {string} opts.beforeCommit - A latest, open bound on the commit to read
-   * @returns {Promise.<Object>} Casefile data
+   * @param {string} [opts.commit] - The commit from which to read, if not *opts.beforeCommit*
+   * @param {string} [opts.hash]
+   *    Object hash of the casefile blob (as listed by {@link GitInteraction#getListOfCasefiles});
+   *    when given, the content is taken from the casefile cache if possible
+   *    and read by hash otherwise
+   * @returns {Promise.<Object>} Casefile data, upgraded to the current format
+   * @throws {CasefileSchemaError} (`err.code === 'UnsupportedFormatVersion'`)
+   *   When the stored casefile is in a format unknown to this package
+   *
+   * @throws {GitInterationError} (`err.code === 'ObjectNotFound'`)
+   *   When *path* does not exist in the commit read
+   *
+   * @description
+   * When read by path, the content is taken from the casefile cache only if
+   * the persistent checking process resolves the path to a cached blob, so
+   * a casefile changed since it was listed is never served stale.  Content
+   * read is added to the casefile cache under the blob hash reported with
+   * it.
    */
-  async getCasefile(path, { beforeCommit } = {}) {
-    const contentChunks = [];
-    let commit = sharedCasefilesRef;
-    if (beforeCommit) {
+  async getCasefile(path, { beforeCommit, commit = sharedCasefilesRef, hash } = {}) {
+    if (beforeCommit && !hash) {
       commit = await this.findLatestCommitParentWithPath(path, beforeCommit);
     }
-    return this.runGitCommand('cat-file', {
-      args: ['blob', `${commit}:${path}`],
-      operationDescription: `retrieve contents of casefile '${path}'`,
-      stdout: (line) => {
-        contentChunks.push(line);
-      },
-      makeResult: () => {
-        let casefileData = JSON.parse(contentChunks.join(''));
-        if (Array.isArray(casefileData)) {
-          casefileData = { bookmarks: casefileData };
+    const currentEntry = hash
+      ? { hash }
+      : await this.readObjectPersistently(`${commit}:${path}`, { check: true });
+    if (currentEntry) {
+      const cachedContent = await this.casefileCache.get(currentEntry.hash);
+      if (cachedContent !== undefined) {
+        return parseCasefileContent(cachedContent, path);
+      }
+    }
+    const objectName = hash || `${commit}:${path}`;
+    const operationDescription = `retrieve contents of casefile '${path}'`;
+    let object = await this.readObjectPersistently(objectName);
+    if (object === undefined) {
+      object = await this.readObjectWithNewProcess(objectName, operationDescription);
+    }
+    const content = blobContent(object, operationDescription);
+    const casefileData = parseCasefileContent(content, path);
+    this.casefileCache.set(object.hash, content);
+    return casefileData;
+  }
+  
+  /**
+   * @summary Retrieve the content of many casefiles with a single Git process
+   * @param {Array.<(string | {path: string, hash: string})>} instances
+   *    Paths of casefile instances, or objects with the path and object hash
+   *    of each instance (as listed by {@link GitInteraction#getListOfCasefiles})
+   * @param {object} [opts]
+   * @param {string} [opts.commit=sharedCasefilesRef]
+   *    The commit from which to read instances given without a hash
+   * @returns {Promise.<Array.<?Object>>}
+   *    Casefile data (upgraded to the current format) corresponding to each
+   *    of *instances*, or `null` where the instance is missing or its content
+   *    is not a readable casefile
+   *
+   * @description
+   * Casefiles found in the casefile cache are not read from Git; all others
+   * are read through one `git cat-file --batch` invocation, which is much
+   * cheaper than calling {@link GitInteraction#getCasefile} for each
+   * instance when many casefiles are needed.  Content read is added to the
+   * casefile cache.
+   */
+  async getCasefileBatch(instances, { commit = sharedCasefilesRef } = {}) {
+    instances = instances.map(
+      instance => typeof instance === 'string' ? { path: instance } : instance
+    );
+    const contents = await Promise.all(instances.map(
+      ({ hash }) => hash ? this.casefileCache.get(hash) : undefined
+    ));
+    const objectNames = [];
+    instances.forEach(({ path, hash }, i) => {
+      if (contents[i] === undefined) {
+        objectNames.push(hash || `${commit}:${path}`);
+      }
+    });
+    const makeResult = (readContent = new Map()) => instances.map(({ path, hash }, i) => {
+      const content = contents[i] !== undefined
+        ? contents[i]
+        : readContent.get(hash || `${commit}:${path}`);
+      if (content === undefined) {
+        return null;
+      }
+      try {
+        return parseCasefileContent(content, path);
+      } catch (e) {
+        /* istanbul ignore next */
+        if (e && e[ASSERT_ERROR]) throw e;
+        return null;
+      }
+    });
+    if (objectNames.length === 0) {
+      return makeResult();
+    }
+    
+    const readContent = new Map();
+    const batchDecoder = new BatchObjectConsumer(objectNames)
+      .on('object', ({ name, hash, type, content }) => {
+        if (type === 'blob') {
+          content = content.toString('utf8');
+          readContent.set(name, content);
+          this.casefileCache.set(hash, content);
         }
-        casefileData.path = path;
-        return casefileData;
+      })
+      ;
+    return this.runGitCommand('cat-file', {
+      opts: {batch: true},
+      operationDescription: `retrieve contents of ${objectNames.length} casefile(s)`,
+      feedStdin: stdin => {
+        objectNames.forEach(name => {
+          stdin.write(`${name}\n`);
+        });
       },
+      stdout: batchDecoder,
+      makeResult: () => makeResult(readContent),
     });
   }
   
@@ -153,6 +354,10 @@ class GitInteraction {
    * @returns {Promise.<string>} Blob contents
    */
   async getBlobContent(path, { commit = 'HEAD' } = {}) {
+    const object = await this.readObjectPersistently(`${commit}:${path}`);
+    if (object !== undefined) {
+      return blobContent(object, `retrieve contents of '${path}' from '${commit}'`);
+    }
     let content = '';
     return this.runGitCommand('cat-file', {
       args: ['blob', `${commit}:${path}`],
@@ -286,41 +491,427 @@ class GitInteraction {
     });
   }
   
+  /**
+   * @typedef {Object} CommitIdentity
+   * @summary Name and email address to record as the author or committer of a commit
+   *
+   * @property {string} name
+   * @property {string} email
+   */
+  
   /**
    * @summary Share a casefile with the given remote repository
    * @param {string} remote
    * @param {string} path - Group-slash-instance to store under
    * @param {Array.<object>} bookmarks - JSON-serializable bookmark data
+   * @param {object} [opts]
+   * @param {object} [opts.metadata={}]
+   *    Casefile-level properties (e.g. `title` or `tags`) to share with
+   *    *bookmarks*
+   * @param {Array.<object>} [opts.baseBookmarks]
+   *    The bookmarks of *path* from which *bookmarks* were derived; when
+   *    given and someone else has changed *path* since, the changes are
+   *    merged (see {@link mergeBookmarkForests} and
+   *    {@link mergeCasefileMetadata}) rather than overwritten
+   * @param {object} [opts.baseMetadata={}]
+   *    The casefile-level properties accompanying *opts.baseBookmarks*
+   * @param {string} [opts.message]
+   *    Commit message; defaults to one naming *path*
+   * @param {CommitIdentity} [opts.author] - Author of the commit
+   * @param {CommitIdentity} [opts.committer] - Committer of the commit
    * @returns {Promise.<{message: string, commit: ?string}>}
+   *    When a merge happened, the result also has *bookmarks* and *metadata*
+   *    properties with the merged bookmarks and casefile-level properties; if
+   *    the merge found conflicts, the result has a
+   *    *conflicts* property (an Array of {@link BookmarkMergeConflict}),
+   *    nothing is shared, and *commit* is `null`
+   * @throws {GitInterationError} (`err.code === 'ConcurrentShareConflict'`)
+   *   When the remote keeps receiving concurrent updates to the shared
+   *   casefiles after *shareRetryLimit* retries
    */
-  async shareCasefile(remote, path, bookmarks) {
-    const parentCommits = [], [ group, instance ] = strrpart(path, '/', 2);
-    let currentCasefilesTree = gitEmptyTree;
-    let casefileHash = null, groupTreeHash;
-
-    await this.revParse(sharedCasefilesRef).then(
-      refCommit => {
-        parentCommits.push(refCommit);
-        currentCasefilesTree = refCommit;
-      },
-      (e) => {
-        /* istanbul ignore next */
-        if (e && e[ASSERT_ERROR]) throw e;
-        return null;
-      },
-    );
+  async shareCasefile(remote, path, bookmarks, {
+    metadata = {}, baseBookmarks, baseMetadata = {}, message, author, committer,
+  } = {}) {
+    const [ group, instance ] = strrpart(path, '/', 2);
+    const casefileHash = await this.getHashOfCasefile(bookmarks, metadata);
+    const baseHash = baseBookmarks && await this.getHashOfCasefile(baseBookmarks, baseMetadata);
+    
+    return this.pushSharedCasefilesUpdate(remote, async (baseCommit) => {
+      const currentCasefilesTree = baseCommit || gitEmptyTree;
+      const groupTreeEntries = await this.lsTree(
+        `${currentCasefilesTree}:${group}`
+      );
+      
+      const existingIndex = groupTreeEntries.findIndex(
+        ({ name }) => name === instance
+      );
+      const newEntry = {
+        mode: '100644',
+        type: 'blob',
+        hash: casefileHash,
+        name: instance,
+      };
+      const mergeOutcome = {};
+      if (existingIndex < 0) {
+        groupTreeEntries.push(newEntry);
+      } else if (groupTreeEntries[existingIndex].hash === casefileHash) {
+        return {
+          result: {message: "no changes to share", commit: currentCasefilesTree},
+        };
+      } else {
+        const existingHash = groupTreeEntries[existingIndex].hash;
+        if (baseHash && existingHash !== baseHash) {
+          const theirs = await this.getCasefile(path, {
+            commit: currentCasefilesTree,
+          });
+          const merged = mergeBookmarkForests(baseBookmarks, bookmarks, theirs.bookmarks);
+          const mergedMetadata = mergeCasefileMetadata(
+            baseMetadata, metadata, casefileMetadata(theirs)
+          );
+          const conflicts = mergedMetadata.conflicts.concat(merged.conflicts);
+          if (conflicts.length !== 0) {
+            return {
+              result: {
+                message: "merge conflicts",
+                commit: null,
+                bookmarks: merged.bookmarks,
+                metadata: mergedMetadata.metadata,
+                conflicts,
+              },
+            };
+          }
+          mergeOutcome.bookmarks = merged.bookmarks;
+          mergeOutcome.metadata = mergedMetadata.metadata;
+          newEntry.hash = await this.getHashOfCasefile(merged.bookmarks, mergedMetadata.metadata);
+          if (newEntry.hash === existingHash) {
+            return {
+              result: {
+                message: "no changes to share",
+                commit: currentCasefilesTree,
+                ...mergeOutcome,
+              },
+            };
+          }
+        }
+        groupTreeEntries.splice(existingIndex, 1, newEntry);
+      }
+      const newTree = await this.replaceCasefileGroup(
+        currentCasefilesTree,
+        group,
+        groupTreeEntries
+      );
+      const newCommit = await this.commitCasefilesTree(newTree, {
+        parents: baseCommit ? [baseCommit] : [],
+        message: message || `Share casefile ${path}`,
+        author,
+        committer,
+      });
+      return {
+        commit: newCommit,
+        result: {
+          message: mergeOutcome.bookmarks ? "casefile merged and shared" : "casefile shared",
+          commit: newCommit,
+          ...mergeOutcome,
+        },
+      };
+    });
+  }
+  
+  /**
+   * @summary Delete selected paths from the casefile set in a remote repository
+   * @param {string} remote
+   * @param {Array.<string>} paths
+   * @param {object} [opts]
+   * @param {string} [opts.message]
+   *    Commit message; defaults to one naming *paths*
+   * @param {CommitIdentity} [opts.author] - Author of the commit
+   * @param {CommitIdentity} [opts.committer] - Committer of the commit
+   * @throws {GitInterationError} (`err.code === 'ConcurrentShareConflict'`)
+   *   When the remote keeps receiving concurrent updates to the shared
+   *   casefiles after *shareRetryLimit* retries
+   */
+  async deleteCasefilePaths(remote, paths, { message, author, committer } = {}) {
+    await this.pushSharedCasefilesUpdate(remote, async (currentCasefilesTree) => {
+      if (!currentCasefilesTree) {
+        return {};
+      }
+      const newTree = await this.removeCasefilePaths(currentCasefilesTree, paths);
+      if (newTree === null) {
+        return {};
+      }
+      const newCommit = (
+        newTree === gitEmptyTree
+        ? ''
+        : await this.commitCasefilesTree(newTree, {
+          parents: [currentCasefilesTree],
+          message: message || deleteCommitMessage(paths),
+          author,
+          committer,
+        })
+      );
+      return { commit: newCommit };
+    });
+  }
+  
+  /**
+   * @summary Move casefiles to new paths in the casefile set in a remote repository
+   * @param {string} remote
+   * @param {Array.<{from: string, to: string}>} moves
+   *    Group-slash-instance paths to move from and to
+   * @param {object} [opts]
+   * @param {string} [opts.message]
+   *    Commit message; defaults to one naming the paths moved
+   * @param {CommitIdentity} [opts.author] - Author of the commit
+   * @param {CommitIdentity} [opts.committer] - Committer of the commit
+   * @returns {Promise.<{message: string, commit: ?string}>}
+   * @throws {GitInterationError} (`err.code === 'ObjectNotFound'`)
+   *   When a *from* path is not currently shared
+   * @throws {GitInterationError} (`err.code === 'CasefilePathInUse'`)
+   *   When a casefile is already shared at a *to* path (and is not itself
+   *   being moved away) or two moves share a *to* path
+   * @throws {GitInterationError} (`err.code === 'ConcurrentShareConflict'`)
+   *   When the remote keeps receiving concurrent updates to the shared
+   *   casefiles after *shareRetryLimit* retries
+   *
+   * @description
+   * All of *moves* are made in a single commit that keeps each casefile's
+   * blob unchanged, so Git's rename detection (e.g. `git log --follow`)
+   * connects the history of each *to* path with that of its *from* path.
+   */
+  async moveCasefilePaths(remote, moves, { message, author, committer } = {}) {
+    return this.pushSharedCasefilesUpdate(remote, async (baseCommit) => {
+      const newTree = baseCommit && await this.moveCasefilesInTree(baseCommit, moves);
+      if (!newTree) {
+        return {
+          result: {message: "no casefiles to move", commit: baseCommit},
+        };
+      }
+      const newCommit = await this.commitCasefilesTree(newTree, {
+        parents: [baseCommit],
+        message: message || moveCommitMessage(moves),
+        author,
+        committer,
+      });
+      return {
+        commit: newCommit,
+        result: {message: "casefiles moved", commit: newCommit},
+      };
+    });
+  }
+  
+  /**
+   * @typedef {Object} CasefileChange
+   * @summary A change to the shared casefiles, applied with others by {@link GitInteraction#applyCasefileChanges}
+   *
+   * @property {string} type - `'share'`, `'delete'` or `'move'`
+   * @property {string} [path]
+   *    Group-slash-instance to share or delete (for `'share'` and `'delete'`)
+   * @property {Array.<object>} [bookmarks]
+   *    JSON-serializable bookmark data to share (for `'share'`)
+   * @property {object} [metadata={}]
+   *    Casefile-level properties to share with *bookmarks* (for `'share'`)
+   * @property {string} [from]
+   *    Group-slash-instance to move from (for `'move'`)
+   * @property {string} [to]
+   *    Group-slash-instance to move to (for `'move'`)
+   */
+  
+  /**
+   * @summary Make several changes to the casefile set in a remote repository at once
+   * @param {string} remote
+   * @param {Array.<CasefileChange>} changes - Changes to make, in order
+   * @param {object} [opts]
+   * @param {string} [opts.message]
+   *    Commit message; defaults to one listing *changes*
+   * @param {CommitIdentity} [opts.author] - Author of the commit
+   * @param {CommitIdentity} [opts.committer] - Committer of the commit
+   * @returns {Promise.<{message: string, commit: ?string}>}
+   * @throws {GitInterationError} (`err.code === 'ObjectNotFound'`)
+   *   When a casefile to move is not shared at that point in *changes*
+   * @throws {GitInterationError} (`err.code === 'CasefilePathInUse'`)
+   *   When a casefile is to be moved to a path in use at that point in
+   *   *changes*
+   * @throws {GitInterationError} (`err.code === 'ConcurrentShareConflict'`)
+   *   When the remote keeps receiving concurrent updates to the shared
+   *   casefiles after *shareRetryLimit* retries
+   *
+   * @description
+   * All of *changes* go into a single tree and commit, pushed once, so either
+   * every change reaches *remote* or none does.  Each change applies to the
+   * casefiles as left by the changes before it; deleting a path not shared
+   * is not an error.  As with {@link GitInteraction#shareCasefile} called
+   * without *opts.baseBookmarks*, shared bookmarks replace any concurrent
+   * changes to the same instance.
+   *
+   * As with {@link GitInteraction#deleteCasefilePaths}, if the changes leave
+   * no casefiles, no commit is made: *sharedCasefilesRef* is deleted from
+   * *remote* and the resolved *commit* is `''`.
+   */
+  async applyCasefileChanges(remote, changes, { message, author, committer } = {}) {
+    const shareHashes = await Promise.all(changes.map(change => (
+      change.type === 'share'
+      ? this.getHashOfCasefile(change.bookmarks, change.metadata)
+      : null
+    )));
     
-    await this.getHashOfCasefile(bookmarks).then(hash => {
-      casefileHash = hash;
+    return this.pushSharedCasefilesUpdate(remote, async (baseCommit) => {
+      const newTree = await this.editCasefilesTree(
+        baseCommit || gitEmptyTree,
+        async (editor) => {
+          for (const [ i, change ] of changes.entries()) {
+            switch (change.type) {
+              case 'share':
+                await editor.put(change.path, {
+                  mode: '100644',
+                  type: 'blob',
+                  hash: shareHashes[i],
+                });
+                break;
+              
+              case 'delete':
+                await editor.remove(change.path);
+                break;
+              
+              case 'move':
+                if (change.from !== change.to) {
+                  await editor.add(change.to, await editor.take(change.from));
+                }
+                break;
+              
+              default:
+                throw new GitInterationError({ code: 'InvalidCasefileChange', change });
+            }
+          }
+        },
+      );
+      if (!newTree) {
+        return {
+          result: {message: "no changes to share", commit: baseCommit},
+        };
+      }
+      const newCommit = (
+        newTree === gitEmptyTree
+        ? ''
+        : await this.commitCasefilesTree(newTree, {
+          parents: baseCommit ? [baseCommit] : [],
+          message: message || changesCommitMessage(changes),
+          author,
+          committer,
+        })
+      );
+      return {
+        commit: newCommit,
+        result: {message: "casefiles updated", commit: newCommit},
+      };
     });
+  }
+  
+  /**
+   * @summary Share a deleted casefile again, as it was before its deletion
+   * @param {string} remote
+   * @param {string} path - Group-slash-instance at which the casefile was shared
+   * @param {string} deletionCommit - Commit of *sharedCasefilesRef* that deleted *path*
+   * @param {object} [opts]
+   * @param {string} [opts.newPath=path] - Group-slash-instance to restore to
+   * @param {string} [opts.message]
+   *    Commit message; defaults to one naming *path* and *deletionCommit*
+   * @param {CommitIdentity} [opts.author] - Author of the commit
+   * @param {CommitIdentity} [opts.committer] - Committer of the commit
+   * @returns {Promise.<{message: string, commit: string, path: string}>}
+   *    *path* is where the casefile was restored
+   * @throws {GitInterationError} (`err.code === 'ObjectNotFound'`)
+   *   When *path* is not found before *deletionCommit*
+   * @throws {GitInterationError} (`err.code === 'CasefilePathInUse'`)
+   *   When a casefile is currently shared at *opts.newPath*
+   * @throws {GitInterationError} (`err.code === 'ConcurrentShareConflict'`)
+   *   When the remote keeps receiving concurrent updates to the shared
+   *   casefiles after *shareRetryLimit* retries
+   *
+   * @description
+   * The casefile's blob from before *deletionCommit* is put back unchanged,
+   * and the commit message names *deletionCommit*.
+   */
+  async restoreCasefile(remote, path, deletionCommit, {
+    newPath = path, message, author, committer,
+  } = {}) {
+    const sourceCommit = await this.findLatestCommitParentWithPath(path, deletionCommit);
+    if (!sourceCommit) {
+      throw new GitInterationError({ code: 'ObjectNotFound', path, deletionCommit });
+    }
+    const casefileHash = await this.revParse(`${sourceCommit}:${path}`);
+    const [ group, instance ] = strrpart(newPath, '/', 2);
+    
+    return this.pushSharedCasefilesUpdate(remote, async (baseCommit) => {
+      const currentCasefilesTree = baseCommit || gitEmptyTree;
+      const groupTreeEntries = await this.lsTree(
+        `${currentCasefilesTree}:${group}`
+      );
+      if (groupTreeEntries.some(({ name }) => name === instance)) {
+        throw new GitInterationError({ code: 'CasefilePathInUse', path: newPath });
+      }
+      groupTreeEntries.push({
+        mode: '100644',
+        type: 'blob',
+        hash: casefileHash,
+        name: instance,
+      });
+      const newTree = await this.replaceCasefileGroup(
+        currentCasefilesTree,
+        group,
+        groupTreeEntries
+      );
+      const newCommit = await this.commitCasefilesTree(newTree, {
+        parents: baseCommit ? [baseCommit] : [],
+        message: message || (
+          newPath === path
+          ? `Restore casefile ${path}\n\nDeleted in ${deletionCommit}`
+          : `Restore casefile ${path} as ${newPath}\n\nDeleted in ${deletionCommit}`
+        ),
+        author,
+        committer,
+      });
+      return {
+        commit: newCommit,
+        result: {message: "casefile restored", commit: newCommit, path: newPath},
+      };
+    });
+  }
+  
+  /**
+   * @summary Save a casefile to the local (unshared) casefile store
+   * @param {string} path - Group-slash-instance to store under
+   * @param {Array.<object>} bookmarks - JSON-serializable bookmark data
+   * @param {object} [opts]
+   * @param {object} [opts.metadata={}]
+   *    Casefile-level properties (e.g. `title` or `tags`) to save with
+   *    *bookmarks*
+   * @returns {Promise.<{message: string, commit: ?string}>}
+   *
+   * @description
+   * Locally stored casefiles are kept in *localCasefilesRef* with the same
+   * tree layout as *sharedCasefilesRef*, but this reference is never pushed.
+   * Each save records a commit, so earlier drafts remain in the history of
+   * *localCasefilesRef*.
+   */
+  async saveLocalCasefile(path, bookmarks, { metadata = {} } = {}) {
+    const [ group, instance ] = strrpart(path, '/', 2);
+    const casefileHash = await this.getHashOfCasefile(bookmarks, metadata);
+    const baseCommit = await this.revParse(localCasefilesRef).catch((e) => {
+      /* istanbul ignore next */
+      if (e && e[ASSERT_ERROR]) throw e;
+      return null;
+    });
+    const currentCasefilesTree = baseCommit || gitEmptyTree;
     
     const groupTreeEntries = await this.lsTree(
       `${currentCasefilesTree}:${group}`
     );
-    
     const existingIndex = groupTreeEntries.findIndex(
       ({ name }) => name === instance
     );
+    if (existingIndex >= 0 && groupTreeEntries[existingIndex].hash === casefileHash) {
+      return {message: "no changes to save", commit: baseCommit};
+    }
     const newEntry = {
       mode: '100644',
       type: 'blob',
@@ -329,12 +920,59 @@ class GitInteraction {
     };
     if (existingIndex < 0) {
       groupTreeEntries.push(newEntry);
-    } else if (groupTreeEntries[existingIndex].hash === casefileHash) {
-      return {message: "no changes to share", commit: currentCasefilesTree};
     } else {
       groupTreeEntries.splice(existingIndex, 1, newEntry);
     }
-    groupTreeHash = await this.mktree(groupTreeEntries);
+    const newTree = await this.replaceCasefileGroup(
+      currentCasefilesTree,
+      group,
+      groupTreeEntries
+    );
+    const newCommit = await this.commitCasefilesTree(newTree, {
+      parents: baseCommit ? [baseCommit] : [],
+      message: "Save casefile",
+    });
+    await this.updateRef(localCasefilesRef, newCommit);
+    return {message: "casefile saved", commit: newCommit};
+  }
+  
+  /**
+   * @summary Delete selected paths from the local (unshared) casefile store
+   * @param {Array.<string>} paths
+   * @returns {Promise.<?string>} The new commit of *localCasefilesRef*, or
+   *    `null` if nothing was deleted
+   */
+  async deleteLocalCasefilePaths(paths) {
+    const baseCommit = await this.revParse(localCasefilesRef).catch((e) => {
+      /* istanbul ignore next */
+      if (e && e[ASSERT_ERROR]) throw e;
+      return null;
+    });
+    if (!baseCommit) {
+      return null;
+    }
+    const newTree = await this.removeCasefilePaths(baseCommit, paths);
+    if (newTree === null) {
+      return null;
+    }
+    const newCommit = await this.commitCasefilesTree(newTree, {
+      parents: [baseCommit],
+      message: "Delete local casefile(s)",
+    });
+    await this.updateRef(localCasefilesRef, newCommit);
+    return newCommit;
+  }
+  
+  /**
+   * @private
+   * @summary Build a casefiles root tree with the entries of one group replaced
+   * @param {string} currentCasefilesTree - Tree-ish of the current casefiles
+   * @param {string} group - Name of the group to replace
+   * @param {Array.<TreeEntry>} groupTreeEntries - New entries for *group*
+   * @returns {Promise.<string>} Hash of the new root tree
+   */
+  async replaceCasefileGroup(currentCasefilesTree, group, groupTreeEntries) {
+    const groupTreeHash = await this.mktree(groupTreeEntries);
     let rootTreeEntries = await this.lsTree(currentCasefilesTree);
     rootTreeEntries = rootTreeEntries.filter(({ name }) => name !== group);
     rootTreeEntries.push({
@@ -343,48 +981,22 @@ class GitInteraction {
       hash: groupTreeHash,
       name: group,
     });
-    const newTree = await this.mktree(rootTreeEntries);
-    const newCommit = await this.commitCasefilesTree(newTree, {
-      parents: parentCommits,
-      message: "Share casefile",
-    });
-    await this.push(remote, {
-      source: newCommit,
-      dest: sharedCasefilesRef,
-    });
-    await this.updateRef(sharedCasefilesRef, newCommit);
-    return {message: "casefile shared", commit: newCommit};
+    return this.mktree(rootTreeEntries);
   }
   
   /**
-   * @summary Delete selected paths from the casefile set in a remote repository
-   * @param {string} remote
-   * @param {Array.<string>} paths
+   * @private
+   * @summary Build a casefiles root tree without the given casefile paths
+   * @param {string} currentCasefilesTree - Tree-ish of the current casefiles
+   * @param {Array.<string>} paths - Group-slash-instance paths to remove
+   * @returns {Promise.<?string>}
+   *    Hash of the new root tree, *gitEmptyTree* if no casefiles remain, or
+   *    `null` if none of *paths* is present
    */
-  async deleteCasefilePaths(remote, paths) {
-    const groups = new Map(), parentCommits = [];
-    paths.forEach((p) => {
-      const segments = strrpart(p, '/', 2);
-      groups.set(segments[0], null);
-    });
-    let currentCasefilesTree = gitEmptyTree;
-    
-    await this.revParse(sharedCasefilesRef).then(
-      refCommit => {
-        parentCommits.push(refCommit);
-        currentCasefilesTree = refCommit;
-      },
-      (err) => {
-        /* istanbul ignore next */
-        if (err[ASSERT_ERROR]) throw err;
-        currentCasefilesTree = null;
-      }
-    );
-    if (!currentCasefilesTree) {
-      return;
-    }
-    let foundEntriesToRemove = false;
-    await Promise.all(Array.from(groups.keys(), async (group) => {
+  async removeCasefilePaths(currentCasefilesTree, paths) {
+    const groupNames = new Set(paths.map(p => strrpart(p, '/', 2)[0]));
+    const groups = new Map();
+    await Promise.all(Array.from(groupNames, async (group) => {
       const entries = await this.lsTree(`${currentCasefilesTree}:${group}`)
         .catch(err => {
           /* istanbul ignore next */
@@ -399,10 +1011,7 @@ class GitInteraction {
       const remainingEntries = entries.filter(
         e => paths.indexOf(`${group}/${e.name}`) < 0
       );
-      if (remainingEntries.length < entries.length) {
-        foundEntriesToRemove = true;
-      } else {
-        groups.delete(group);
+      if (remainingEntries.length === entries.length) {
         return;
       }
       
@@ -416,8 +1025,8 @@ class GitInteraction {
       );
       groups.set(group, groupTree);
     }));
-    if (!foundEntriesToRemove) {
-      return;
+    if (groups.size === 0) {
+      return null;
     }
     const rootEntries = await this.lsTree(currentCasefilesTree);
     const newRootEntries = rootEntries.flatMap(entry => {
@@ -434,22 +1043,278 @@ class GitInteraction {
         }];
       }
     });
-    const newCommit = (
+    return (
       newRootEntries.length === 0
-      ? ''
-      : await this.commitCasefilesTree(
-        await this.mktree(newRootEntries),
-        {
-          parents: parentCommits,
-          message: "Delete casefile(s)",
+      ? gitEmptyTree
+      : await this.mktree(newRootEntries)
+    );
+  }
+  
+  /**
+   * @private
+   * @summary Build a casefiles root tree with casefiles moved to new paths
+   * @param {string} currentCasefilesTree - Tree-ish of the current casefiles
+   * @param {Array.<{from: string, to: string}>} moves
+   *    Group-slash-instance paths to move from and to
+   * @returns {Promise.<?string>}
+   *    Hash of the new root tree, or `null` if every move is to the path
+   *    moved from
+   * @throws {GitInterationError} (`err.code === 'ObjectNotFound'`)
+   *   When a *from* path is not present in *currentCasefilesTree*
+   * @throws {GitInterationError} (`err.code === 'CasefilePathInUse'`)
+   *   When a *to* path is occupied after removing all *from* paths
+   */
+  async moveCasefilesInTree(currentCasefilesTree, moves) {
+    moves = moves.filter(({ from, to }) => from !== to);
+    return this.editCasefilesTree(currentCasefilesTree, async (editor) => {
+      // Take each casefile out of its current group...
+      const movingEntries = [];
+      for (const { from } of moves) {
+        movingEntries.push(await editor.take(from));
+      }
+      
+      // ...then put it in its new group
+      for (const [ i, { to } ] of moves.entries()) {
+        await editor.add(to, movingEntries[i]);
+      }
+    });
+  }
+  
+  /**
+   * @private
+   * @summary Build a casefiles root tree after changing some casefile entries
+   * @param {string} currentCasefilesTree - Tree-ish of the current casefiles
+   * @param {function(object): Promise} edit
+   *    Called with an editor whose methods each take a group-slash-instance
+   *    path: `get(path)` resolves to the {@link TreeEntry} at *path* (or
+   *    `null`), `put(path, entry)` adds or replaces the entry at *path*,
+   *    `add(path, entry)` adds an entry where none exists, `remove(path)`
+   *    removes any entry at *path* and `take(path)` removes and resolves to
+   *    the entry at *path*, which must exist
+   * @returns {Promise.<?string>}
+   *    Hash of the new root tree, *gitEmptyTree* if no casefiles remain, or
+   *    `null` if *edit* changed nothing
+   * @throws {GitInterationError} (`err.code === 'ObjectNotFound'`)
+   *   When *edit* takes a path that is not present
+   * @throws {GitInterationError} (`err.code === 'CasefilePathInUse'`)
+   *   When *edit* adds at a path that is already present
+   */
+  async editCasefilesTree(currentCasefilesTree, edit) {
+    const groups = new Map(), changedGroups = new Set();
+    const locate = async (path) => {
+      const [ group, instance ] = strrpart(path, '/', 2);
+      if (!groups.has(group)) {
+        groups.set(group, await this.lsTree(`${currentCasefilesTree}:${group}`));
+      }
+      const entries = groups.get(group);
+      return {
+        group,
+        instance,
+        entries,
+        index: entries.findIndex(({ name }) => name === instance),
+      };
+    };
+    const editor = {
+      get: async (path) => {
+        const { entries, index } = await locate(path);
+        return index < 0 ? null : entries[index];
+      },
+      put: async (path, entry) => {
+        const { group, instance, entries, index } = await locate(path);
+        if (index < 0) {
+          entries.push({ ...entry, name: instance });
+        } else if (entries[index].hash !== entry.hash) {
+          entries.splice(index, 1, { ...entry, name: instance });
+        } else {
+          return;
         }
-      )
+        changedGroups.add(group);
+      },
+      add: async (path, entry) => {
+        if (await editor.get(path)) {
+          throw new GitInterationError({ code: 'CasefilePathInUse', path });
+        }
+        await editor.put(path, entry);
+      },
+      remove: async (path) => {
+        const { group, entries, index } = await locate(path);
+        if (index < 0) {
+          return null;
+        }
+        changedGroups.add(group);
+        return entries.splice(index, 1)[0];
+      },
+      take: async (path) => {
+        const entry = await editor.remove(path);
+        if (!entry) {
+          throw new GitInterationError({ code: 'ObjectNotFound', path });
+        }
+        return entry;
+      },
+    };
+    await edit(editor);
+    if (changedGroups.size === 0) {
+      return null;
+    }
+    
+    const rootEntries = (await this.lsTree(currentCasefilesTree)).filter(
+      ({ name }) => !changedGroups.has(name)
     );
-    await this.push(remote, {
-      source: newCommit,
-      dest: sharedCasefilesRef,
+    for (const group of changedGroups) {
+      const entries = groups.get(group);
+      if (entries.length !== 0) {
+        rootEntries.push({
+          mode: '040000',
+          type: 'tree',
+          hash: await this.mktree(entries),
+          name: group,
+        });
+      }
+    }
+    return (
+      rootEntries.length === 0
+      ? gitEmptyTree
+      : await this.mktree(rootEntries)
+    );
+  }
+  
+  /**
+   * @private
+   * @summary Push a change to the shared casefiles, retrying on concurrent updates
+   * @param {string} remote
+   * @param {function(?string): Promise.<{commit: (string | undefined), result: *}>} buildCommit
+   *    Called with the current commit of *sharedCasefilesRef* (or `null` if
+   *    there is none) to build the commit to push; resolving without a
+   *    *commit* indicates there is nothing to push, and resolving with an
+   *    empty *commit* deletes *sharedCasefilesRef*
+   * @returns {Promise.<*>} The *result* of the successful *buildCommit* call
+   * @throws {GitInterationError} (`err.code === 'ConcurrentShareConflict'`)
+   *   When the push is still rejected due to concurrent updates after
+   *   *shareRetryLimit* retries
+   *
+   * @description
+   * Pushes to *sharedCasefilesRef* are never forced, so a push fails if
+   * another user has updated the shared casefiles on *remote* since they were
+   * last fetched.  When a push fails, the shared casefiles are fetched from
+   * *remote*; if that moved *sharedCasefilesRef*, the push failure is taken
+   * as a concurrent update and *buildCommit* is called again on the new tip.
+   * Any other push failure is rethrown as-is.  Since Git never rejects a
+   * deletion as not a fast-forward, deleting *sharedCasefilesRef* is pushed
+   * with a lease on the commit it was built from, so it fails the same way.
+   */
+  async pushSharedCasefilesUpdate(remote, buildCommit) {
+    for (let attempt = 1; ; ++attempt) {
+      const baseCommit = await this.revParse(sharedCasefilesRef).catch((e) => {
+        /* istanbul ignore next */
+        if (e && e[ASSERT_ERROR]) throw e;
+        return null;
+      });
+      const { commit, result } = await buildCommit(baseCommit);
+      if (commit === undefined || (commit === '' && !baseCommit)) {
+        return result;
+      }
+      try {
+        await this.push(remote, {
+          source: commit,
+          dest: sharedCasefilesRef,
+          expect: commit === '' ? baseCommit : undefined,
+        });
+      } catch (e) {
+        if (e && e[ASSERT_ERROR]) throw e;
+        if (!await this.sharedCasefilesMovedOnRemote(remote, baseCommit)) {
+          throw e;
+        }
+        if (attempt > this.shareRetryLimit) {
+          throw new GitInterationError({
+            code: 'ConcurrentShareConflict',
+            remote,
+            attempts: attempt,
+            cause: e,
+          });
+        }
+        continue;
+      }
+      if (commit === '') {
+        await this.deleteRef(sharedCasefilesRef, baseCommit);
+      } else {
+        await this.updateRef(sharedCasefilesRef, commit);
+      }
+      return result;
+    }
+  }
+  
+  /**
+   * @private
+   * @summary Fetch shared casefiles and test if *sharedCasefilesRef* moved
+   * @param {string} remote
+   * @param {?string} baseCommit - Expected commit of *sharedCasefilesRef*
+   * @returns {Promise.<boolean>}
+   */
+  async sharedCasefilesMovedOnRemote(remote, baseCommit) {
+    try {
+      await this.fetchSharedCasefilesFromRemote(remote);
+    } catch (e) {
+      if (e && e[ASSERT_ERROR]) throw e;
+      return false;
+    }
+    const remoteCommit = await this.revParse(sharedCasefilesRef).catch((e) => {
+      /* istanbul ignore next */
+      if (e && e[ASSERT_ERROR]) throw e;
+      return null;
+    });
+    return remoteCommit !== baseCommit;
+  }
+  
+  /**
+   * @private
+   * @summary Read an object through a persistent `git cat-file` process
+   * @param {string} objectName
+   * @param {object} [opts]
+   * @param {boolean} [opts.check=false] - Whether only object information is needed
+   * @returns {Promise.<(?GitObject | undefined)>}
+   *    The object (`null` if *objectName* does not resolve), or `undefined`
+   *    if no persistent process is in use or it failed, in which case the
+   *    caller should run its own Git command
+   */
+  async readObjectPersistently(objectName, { check = false } = {}) {
+    const reader = check ? this.objectChecker : this.objectReader;
+    if (!reader) {
+      return undefined;
+    }
+    return reader.read(objectName).catch((e) => {
+      /* istanbul ignore next */
+      if (e && e[ASSERT_ERROR]) throw e;
+      return undefined;
+    });
+  }
+  
+  /**
+   * @private
+   * @summary Read an object through a new `git cat-file --batch` process
+   * @param {string} objectName
+   * @param {string} operationDescription
+   * @returns {Promise.<?GitObject>} The object, or `null` if *objectName* does not resolve
+   *
+   * @description
+   * Unlike `git cat-file blob`, this reports the object's hash along with its
+   * content, so content read by path can still be cached by hash.
+   */
+  async readObjectWithNewProcess(objectName, operationDescription) {
+    let result = null;
+    const batchDecoder = new BatchObjectConsumer([objectName])
+      .on('object', ({ name, ...object }) => {
+        result = object;
+      })
+      ;
+    return this.runGitCommand('cat-file', {
+      opts: {batch: true},
+      operationDescription,
+      feedStdin: stdin => {
+        stdin.write(`${objectName}\n`);
+      },
+      stdout: batchDecoder,
+      makeResult: () => result,
     });
-    await this.updateRef(sharedCasefilesRef, newCommit);
   }
   
   /**
@@ -460,6 +1325,13 @@ class GitInteraction {
    *   When Git returns an invalid result
    */
   async revParse(committish) {
+    const object = await this.readObjectPersistently(committish, { check: true });
+    if (object !== undefined) {
+      if (!object) {
+        throw new GitInterationError({ code: 'InvalidCommittish' });
+      }
+      return object.hash;
+    }
     let result = null;
     return this.runGitCommand('rev-parse', {
       args: [committish],
@@ -480,19 +1352,26 @@ class GitInteraction {
   /**
    * @private
    * @summary Write a casefile as a blob to the repo and return the blob's hash
-   * @param {Array.<object>} bookmarks - Bookmark content to be recorded
+   * @param {Array.<object>} bookmarks - Bookmark content to be recorded;
+   *   the casefile is stamped with the current `formatVersion`
+   * @param {object} [metadata={}] - Casefile-level properties (e.g. `title`
+   *   or `tags`) to record alongside *bookmarks*
    * @returns {Promise.<string>} The commit hash of the recorded blob
    * @throws {GitInterationError} (`err.code === 'GitWriteFailed'`)
    *   When Git responds with an invalid result for writing the casefile into
    *   the repository
    */
-  async getHashOfCasefile(bookmarks) {
+  async getHashOfCasefile(bookmarks, metadata = {}) {
     let result = null;
     return this.runGitCommand('hash-object', {
       opts: {'-': 'w', stdin: true},
       operationDescription: 'write casefile into Git blob',
       feedStdin: stdin => {
-        stdin.write(JSON.stringify({bookmarks}));
+        stdin.write(JSON.stringify({
+          formatVersion: CASEFILE_FORMAT_VERSION,
+          ...metadata,
+          bookmarks,
+        }));
       },
       stdout: lineStream((hash, endStream) => {
         result = hash.trim();
@@ -522,6 +1401,13 @@ class GitInteraction {
    * @returns {Promise.<Array.<TreeEntry>>}
    */
   async lsTree(treeish) {
+    const object = await this.readObjectPersistently(
+      // A path within a tree-ish cannot be peeled
+      treeish.includes(':') ? treeish : `${treeish}^{tree}`
+    );
+    if (object !== undefined) {
+      return object && object.type === 'tree' ? parseTreeObject(object) : [];
+    }
     const treeEntries = [];
     const recordDecoder = new SeparatedRecordConsumer('\0')
       .setRecordEncoding('utf8')
@@ -584,16 +1470,25 @@ class GitInteraction {
    * @param {object} opts
    * @param {Array.<string>} [opt.parents=[]] - Parent commits
    * @param {string} opt.message
+   * @param {CommitIdentity} [opt.author]
+   *    Author of the commit, instead of the configured Git identity
+   * @param {CommitIdentity} [opt.committer]
+   *    Committer of the commit, instead of the configured Git identity
    * @returns {Promise.<string>} Hash of new commit
    * @throws {GitInterationError} (`err.code === 'InvalidCommit'`)
    *   When Git responds with an invalid commit hash
    */
-  async commitCasefilesTree(tree, { parents = [], message } = {}) {
+  async commitCasefilesTree(tree, { parents = [], message, author, committer } = {}) {
     const parentArgs = parents.flatMap(p => ['-p', p]);
+    const identityEnv = {
+      ...identityEnvironment('AUTHOR', author),
+      ...identityEnvironment('COMMITTER', committer),
+    };
     let result = null;
     return this.runGitCommand('commit-tree', {
       opts: {m: message},
       args: parentArgs.concat([tree]),
+      extraEnv: identityEnv,
       operationDescription: `creating commit for tree ${tree}`,
       stdout: lineStream((line, endStream) => {
         result = line.trim();
@@ -617,6 +1512,11 @@ class GitInteraction {
    *    Name pushed
    * @property {boolean} [force]
    *    Whether to force the push, even if not a fast-forward
+   * @property {string} [expect]
+   *    Commit *dest* must name on the remote for the push to succeed (as with
+   *    `git push --force-with-lease`); needed to delete *dest* (by pushing an
+   *    empty *source*) safely, since Git never rejects a deletion as not a
+   *    fast-forward
    */
 
   /**
@@ -634,11 +1534,15 @@ class GitInteraction {
    * though use of {@link PushSpec} objects is recommended for clarity.
    */
   async push(remote, ...specs) {
+    const leaseArgs = [];
     const specArgs = specs.map(spec => {
       if (typeof spec === 'string') {
         spec = { source: spec, dest: `refs/heads/${spec}` };
       }
-      const { source, dest, force } = spec;
+      const { source, dest, force, expect } = spec;
+      if (expect) {
+        leaseArgs.push(`--force-with-lease=${dest}:${expect}`);
+      }
       return `${force ? '+' : ''}${source}:${dest}`;
     });
     
@@ -654,7 +1558,7 @@ class GitInteraction {
     }());
     
     return this.runGitCommand('push', {
-      args: [remote].concat(specArgs),
+      args: leaseArgs.concat([remote], specArgs),
       operationDescription,
       result: null,
     });
@@ -674,23 +1578,93 @@ class GitInteraction {
     });
   }
   
+  /**
+   * @summary Safely delete a named reference in the repository
+   * @param {string} refName
+   * @param {string} oldCommit - Commit *refName* must name to be deleted
+   * @returns {Promise.<null>}
+   */
+  async deleteRef(refName, oldCommit) {
+    return this.runGitCommand('update-ref', {
+      opts: {'-': 'd'},
+      args: [refName, oldCommit],
+      operationDescription: `deleting Git ref '${refName}'`,
+      result: null,
+    });
+  }
+  
   /**
    * @summary Look up information on deleted casefiles from the repo history
    * @param {string} [partial] - A substring found within the casefile group name
+   * @param {object} [filters]
+   * @param {(Date|string)} [filters.since]
+   *    Only list deletions committed at or after this time
+   * @param {(Date|string)} [filters.until]
+   *    Only list deletions committed at or before this time
+   * @param {string} [filters.author]
+   *    Only list deletions authored by someone matching this pattern (as
+   *    for `git log --author`)
+   * @param {string} [filters.group]
+   *    Only list deletions of instances in exactly this casefile group
+   * @param {boolean} [filters.latestOnly=false]
+   *    List only the most recent deletion of each path
+   * @param {number} [filters.offset=0]
+   *    Number of matching deletions (most recent first) to skip
+   * @param {number} [filters.limit]
+   *    Maximum number of deletions to list
    * @returns {Promise.<Array.<{commit: string, committed: Date, path: string}>>}
+   *    Matching deletions, most recent first
+   *
+   * @description
+   * When both *partial* and *filters.group* are given, the group must match
+   * both.  *filters.offset* and *filters.limit* are applied after all other
+   * filtering (including *filters.latestOnly*), so consecutive pages of
+   * results can be requested by advancing *filters.offset* by
+   * *filters.limit*.
    */
-  async getDeletedCasefileRefs(partial) {
+  async getDeletedCasefileRefs(partial, {
+    since, until, author, group, latestOnly = false, offset = 0, limit,
+  } = {}) {
     const opts = {
       '-': 'z', // NUL-separate diff items
       'diff-filter': 'D', // Only list deleted files
+      'find-renames': true, // Pair renamed files, so they are not listed
       'name-status': true, // Only show file names, not patch
       pretty: 'format:- %H %ci', // Format the commit indication line as expected
     };
+    if (since !== undefined) {
+      opts.since = gitDateArg(since);
+    }
+    if (until !== undefined) {
+      opts.until = gitDateArg(until);
+    }
+    if (author !== undefined) {
+      opts.author = author;
+    }
     const args = [];
     args.push(sharedCasefilesRef); // Search our special ref
-    if (partial && partial.length > 0) {
-      args.push('--', `*${partial}*/*`);
-    }
+    // Groups are filtered here rather than by pathspec: limiting the log to
+    // some paths would keep Git from pairing a casefile renamed out of them
+    const selectDeletions = (deletions) => {
+      deletions = deletions.filter(({ path }) => {
+        const [ deletedGroup ] = strrpart(path, '/', 2);
+        return (
+          (group === undefined || deletedGroup === group)
+          && (!partial || deletedGroup.includes(partial))
+        );
+      });
+      if (latestOnly) {
+        const seen = new Set();
+        deletions = deletions.filter(({ path }) => {
+          if (seen.has(path)) {
+            return false;
+          }
+          seen.add(path);
+          return true;
+        });
+      }
+      return deletions.slice(offset, limit === undefined ? undefined : offset + limit);
+    };
     
     const deletedCasefiles = [], State = DeletedCasefileListingStates;
     let remainder = '', parseState = State.action, commitInfo = null;
@@ -742,7 +1716,7 @@ class GitInteraction {
       stdout: recordDecoder,
       exit: code => {
         if (!code) {
-          return deletedCasefiles;
+          return selectDeletions(deletedCasefiles);
         } else {
           return [];
         }
@@ -844,9 +1818,15 @@ class GitInteraction {
    * @param {string} [content]
    *    The current content in which to search; on-disk content of *filePath*
    *    used if not specified
+   * @param {object} [opts]
+   * @param {string} [opts.sourceFile]
+   *    Path (relative to the repository root) of the file containing
+   *    *location.line* at *location.commit*, when that differs from
+   *    *filePath*; lines moved or copied from other files are then also
+   *    tracked (as with `git blame -C`)
    * @returns {Promise.<{line: number}>}
    */
-  async findCurrentLinePosition(filePath, {commit, line}, content) {
+  async findCurrentLinePosition(filePath, {commit, line}, content, { sourceFile } = {}) {
     const soughtLine = Number(line);
     const commitLinePattern = new RegExp(
       `^${commit}\\S* (?<sourceline>\\d+) (?<resultline>\\d+) (?<span>\\d+)`
@@ -856,6 +1836,12 @@ class GitInteraction {
     if (contentGiven) {
       gitOpts.contents = '-';
     }
+    if (sourceFile !== undefined) {
+      gitOpts.C = true;
+    }
+    // With sourceFile, a position is only accepted once the "filename" line
+    // of its blame entry confirms it came from sourceFile
+    let pendingResult = null;
     return new Promise((resolve, reject) => {
       this.runGitCommand('blame', {
         opts: gitOpts,
@@ -868,6 +1854,15 @@ class GitInteraction {
           stdin.write('' + content);
         } : undefined,
         stdout: lineStream((line, endStream) => {
+          if (pendingResult && line.startsWith('filename ')) {
+            if (line.slice('filename '.length) === sourceFile) {
+              resolve(pendingResult);
+              endStream();
+            }
+            pendingResult = null;
+            return;
+          }
+          
           const lineParts = (commitLinePattern.exec(line) || []).groups;
           if (!lineParts) return;
           
@@ -877,8 +1872,13 @@ class GitInteraction {
           
           const { sourceline, resultline, span } = lineParts;
           if (sourceline <= soughtLine && soughtLine < sourceline + span) {
-            resolve({ line: resultline + (soughtLine - sourceline) });
-            endStream();
+            const result = { line: resultline + (soughtLine - sourceline) };
+            if (sourceFile === undefined) {
+              resolve(result);
+              endStream();
+            } else {
+              pendingResult = result;
+            }
           }
         }),
         makeResult: () => {
@@ -895,6 +1895,148 @@ class GitInteraction {
       }).catch(reject);
     });
   }
+  
+  /**
+   * @summary Find the current paths of a file renamed or copied since a commit
+   * @param {string} filePath
+   *    The path of the file as of *commit*
+   * @param {string} commit
+   *    The commit from which to trace *filePath*
+   * @returns {Promise.<Array.<{file: string, sourceFile: string, status: string}>>}
+   *    Current paths derived from *filePath*, renames (`status` of
+   *    `'renamed'`) before copies (`status` of `'copied'`); `file` is
+   *    expressed like *filePath* and `sourceFile` is the path of *filePath*
+   *    relative to the repository root
+   *
+   * @description
+   * Uses Git's rename and copy detection on the differences between *commit*
+   * and the working tree.
+   */
+  async findPathsDerivedFrom(filePath, commit) {
+    // The directory of filePath may no longer exist, so work from the
+    // repository location of the command runner's working directory
+    const locationLines = [];
+    const [ topLevel, prefix = '' ] = await this.runGitCommand('rev-parse', {
+      opts: { 'show-toplevel': true, 'show-prefix': true },
+      operationDescription: `locate the working directory in the repository`,
+      stdout: lineStream((line) => { locationLines.push(line.trim()); }),
+      makeResult: () => locationLines,
+    });
+    const sourceFile = isAbsolute(filePath)
+      ? relativePath(topLevel, filePath).split(/[\\/]/).join('/')
+      : posix.join(prefix, filePath);
+    const expressLikeFilePath = (repoPath) => (
+      isAbsolute(filePath)
+      ? joinPath(topLevel, repoPath)
+      : posix.relative(prefix || '.', repoPath)
+    );
+    
+    const derived = [];
+    let record = null;
+    const recordDecoder = new SeparatedRecordConsumer('\0')
+      .setRecordEncoding('utf8')
+      .on('record', (rec) => {
+        if (!record) {
+          // Status of the next diff item (e.g. "M", "R087" or "C050")
+          record = { status: rec, paths: [] };
+          return;
+        }
+        record.paths.push(rec);
+        const pathCount = /^[RC]/.test(record.status) ? 2 : 1;
+        if (record.paths.length < pathCount) {
+          return;
+        }
+        if (pathCount === 2 && record.paths[0] === sourceFile) {
+          derived.push({
+            file: expressLikeFilePath(record.paths[1]),
+            sourceFile,
+            status: record.status.startsWith('R') ? 'renamed' : 'copied',
+          });
+        }
+        record = null;
+      })
+      ;
+    
+    await this.runGitCommand('diff', {
+      opts: {
+        '-': 'z', // NUL-separate diff items
+        'name-status': true, // Only show file names, not patch
+        'find-renames': true,
+        'find-copies': true,
+      },
+      args: [ commit ],
+      operationDescription: `find renames and copies of '${filePath}' since ${commit.slice(0, 7)}`,
+      stdout: recordDecoder,
+      result: null,
+    });
+    return derived.filter(({ status }) => status === 'renamed')
+      .concat(derived.filter(({ status }) => status === 'copied'));
+  }
+  
+  /**
+   * @summary Find current line positions for several historic line references
+   * @param {string} filePath
+   *    The path to the file/blob within the repository whose history to search
+   * @param {Array.<{commit: string, line: number}>} locations
+   *    Lines within *filePath*, each at its own commit, for which to search
+   *    within *content*
+   * @param {string} [content]
+   *    The current content in which to search; on-disk content of *filePath*
+   *    used if not specified
+   * @returns {Promise.<Array.<?{line: number}>>}
+   *    The current position for each element of *locations*, or `null` where
+   *    the line could not be found
+   *
+   * @description
+   * This is the batch form of {@link GitInteraction#findCurrentLinePosition},
+   * running a single `git blame` over *content* no matter how many
+   * *locations* are given.
+   */
+  async findCurrentLinePositions(filePath, locations, content) {
+    const sought = locations.map(({ commit, line }) => ({
+      commit: '' + commit,
+      line: Number(line),
+    }));
+    const results = sought.map(() => null);
+    if (sought.length === 0) {
+      return results;
+    }
+    const blameLinePattern = /^(?<commit>[0-9a-f]+) (?<sourceline>\d+) (?<resultline>\d+) (?<span>\d+)/;
+    const gitOpts = { incremental: true };
+    const contentGiven = content !== undefined;
+    if (contentGiven) {
+      gitOpts.contents = '-';
+    }
+    return this.runGitCommand('blame', {
+      opts: gitOpts,
+      args: [ '--', basename(filePath) ],
+      operationDescription:
+        `locate ${sought.length} line(s) of ${filePath}` +
+        ` in ${contentGiven ? 'given' : 'current'} content`,
+      cwd: dirname(filePath),
+      feedStdin: contentGiven ? (stdin) => {
+        stdin.write('' + content);
+      } : undefined,
+      stdout: lineStream((line) => {
+        const lineParts = (blameLinePattern.exec(line) || {}).groups;
+        if (!lineParts) return;
+        
+        const sourceline = Number(lineParts.sourceline);
+        const resultline = Number(lineParts.resultline);
+        const span = Number(lineParts.span);
+        sought.forEach(({ commit, line: soughtLine }, i) => {
+          if (
+            results[i] === null
+            && lineParts.commit.startsWith(commit)
+            && sourceline <= soughtLine && soughtLine < sourceline + span
+          ) {
+            results[i] = { line: resultline + (soughtLine - sourceline) };
+          }
+        });
+      }),
+      result: results,
+    });
+  }
 }
 
 const ERROR_MESSAGES_BY_CODE = {
@@ -904,6 +2046,10 @@ const ERROR_MESSAGES_BY_CODE = {
   InvalidTreeResult: "Invalid mktree result",
   InvalidCommit: "Invalid commit hash from commit creation",
   InvalidGitLogOutput: "Output from git-log had unexpected format",
+  ConcurrentShareConflict: "Shared casefiles repeatedly changed on the remote while pushing",
+  ObjectNotFound: "Object not found in the Git repository",
+  CasefilePathInUse: "A shared casefile already exists at the path",
+  InvalidCasefileChange: "Unknown type of casefile change",
 };
 
 export class GitInterationError extends CodedError(ERROR_MESSAGES_BY_CODE) {}
@@ -927,6 +2073,91 @@ function makeEnum(spaceSeparatedTerms) {
   return result;
 }
 
+function blobContent(object, operationDescription) {
+  if (!object || object.type !== 'blob') {
+    throw new GitInterationError({
+      code: 'ObjectNotFound',
+      message: `Unable to ${operationDescription}`,
+    });
+  }
+  return object.content.toString('utf8');
+}
+
+function parseTreeObject({ hash, content }) {
+  const hashBytes = hash.length / 2;
+  const entries = [];
+  for (let pos = 0; pos < content.length;) {
+    const nameStart = content.indexOf(0x20, pos) + 1;
+    const nameEnd = content.indexOf(0, nameStart);
+    const mode = content.toString('utf8', pos, nameStart - 1).padStart(6, '0');
+    entries.push({
+      mode,
+      type: treeEntryTypesByMode[mode] || 'blob',
+      hash: content.toString('hex', nameEnd + 1, nameEnd + 1 + hashBytes),
+      name: content.toString('utf8', nameStart, nameEnd),
+    });
+    pos = nameEnd + 1 + hashBytes;
+  }
+  return entries;
+}
+
+const treeEntryTypesByMode = {
+  '040000': 'tree',
+  '160000': 'commit',
+};
+
+function parseCasefileContent(content, path) {
+  const casefileData = migrateCasefile(JSON.parse(content));
+  casefileData.path = path;
+  return casefileData;
+}
+
+function moveCommitMessage(moves) {
+  moves = moves.filter(({ from, to }) => from !== to);
+  if (moves.length === 1) {
+    return `Move casefile ${moves[0].from} to ${moves[0].to}`;
+  }
+  return `Move casefiles\n\n${moves.map(
+    ({ from, to }) => `${from} -> ${to}`
+  ).join('\n')}`;
+}
+
+function deleteCommitMessage(paths) {
+  if (paths.length === 1) {
+    return `Delete casefile ${paths[0]}`;
+  }
+  return `Delete ${paths.length} casefiles\n\n${paths.join('\n')}`;
+}
+
+function changesCommitMessage(changes) {
+  const lines = changes.flatMap(change => {
+    switch (change.type) {
+      case 'share':
+        return [`Share ${change.path}`];
+      case 'delete':
+        return [`Delete ${change.path}`];
+      case 'move':
+        return change.from === change.to ? [] : [`Move ${change.from} to ${change.to}`];
+    }
+  });
+  return `Update ${lines.length} casefile(s)\n\n${lines.join('\n')}`;
+}
+
+function identityEnvironment(role, identity) {
+  const env = {};
+  if (identity?.name) {
+    env[`GIT_${role}_NAME`] = identity.name;
+  }
+  if (identity?.email) {
+    env[`GIT_${role}_EMAIL`] = identity.email;
+  }
+  return env;
+}
+
+function gitDateArg(date) {
+  return date instanceof Date ? date.toISOString() : date;
+}
+
 function lineStream(handler) {
   return new SeparatedRecordConsumer(eolRegex)
     .setRecordEncoding('utf8')
@@ -1,4 +1,7 @@
 import GitInteraction, { ASSERT_ERROR, GitInterationError as ExtendedError, gitEmptyTree } from '../lib/gitInteraction';
+import { CasefileSchemaError } from '../lib/casefileSchema';
+import { GitObjectReaderError } from '../lib/gitObjectReader';
+import Janitor from '../lib/janitor';
 import chai, { expect } from 'chai';
 import chaiAsPromised from 'chai-as-promised';
 import { createHash } from 'crypto';
@@ -9,6 +12,7 @@ import { PassThrough, finished } from 'stream';
 chai.use(chaiAsPromised);
 
 const sharedCasefilesRef = 'refs/collaboration/shared-casefiles';
+const localCasefilesRef = 'refs/collaboration/local-casefiles';
 
 describe('GitInteraction', () => {
   class AssertionError extends Error {
@@ -363,7 +367,10 @@ describe('GitInteraction', () => {
       }, { command: 'ls-tree', opts: expectedOpts, args: expectedArgs });
       const result = await this.repo.getListOfCasefiles();
       expect(result).to.deep.equal([
-        {name: casefileName, instances: [{path: `${casefileName}/${instanceId}`}]},
+        {name: casefileName, instances: [{
+          path: `${casefileName}/${instanceId}`,
+          hash: '05ceffd002e09e8cdc8db79bd37c52d66eb4e612',
+        }]},
       ]);
     });
     
@@ -375,6 +382,23 @@ describe('GitInteraction', () => {
       expect(result).to.deep.equal([]);
     });
     
+    it('can list the casefiles of another ref', async function () {
+      const casefileName = 'a casefile';
+      const instanceId = 'ed421d07-97a9-5cb4-ba17-866e68ae5ce5';
+      this.gitMock.expectCall(async ({ stdio: { stdout }}) => {
+        await streamConsumed(stdout, () => {
+          stdout.write(`100644 blob 05ceffd002e09e8cdc8db79bd37c52d66eb4e612\t${casefileName}/${instanceId}\0`);
+        });
+      }, { command: 'ls-tree', opts: expectedOpts, args: [ localCasefilesRef ] });
+      const result = await this.repo.getListOfCasefiles({ ref: localCasefilesRef });
+      expect(result).to.deep.equal([
+        {name: casefileName, instances: [{
+          path: `${casefileName}/${instanceId}`,
+          hash: '05ceffd002e09e8cdc8db79bd37c52d66eb4e612',
+        }]},
+      ]);
+    });
+    
     it('groups instances of the same casefile name', async function () {
       const casefileName = 'a casefile';
       const instanceIds = [
@@ -390,8 +414,8 @@ describe('GitInteraction', () => {
       const result = await this.repo.getListOfCasefiles();
       expect(result).to.deep.equal([
         {name: casefileName, instances: [
-          {path: `${casefileName}/${instanceIds[0]}`},
-          {path: `${casefileName}/${instanceIds[1]}`},
+          {path: `${casefileName}/${instanceIds[0]}`, hash: '05ceffd002e09e8cdc8db79bd37c52d66eb4e612'},
+          {path: `${casefileName}/${instanceIds[1]}`, hash: '2fb8b967b5b10d97b3af6a7b41f06e8c74ff31ff'},
         ]},
       ]);
     });
@@ -411,8 +435,8 @@ describe('GitInteraction', () => {
       const result = await this.repo.getListOfCasefiles();
       expect(result).to.deep.equal([
         {name: casefileName, instances: [
-          {path: `${casefileName}/${instanceIds[0]}`},
-          {path: `${casefileName}/${instanceIds[1]}`},
+          {path: `${casefileName}/${instanceIds[0]}`, hash: '05ceffd002e09e8cdc8db79bd37c52d66eb4e612'},
+          {path: `${casefileName}/${instanceIds[1]}`, hash: '2fb8b967b5b10d97b3af6a7b41f06e8c74ff31ff'},
         ]},
       ]);
     });
@@ -434,8 +458,8 @@ describe('GitInteraction', () => {
       const result = await this.repo.getListOfCasefiles();
       expect(result).to.deep.equal([
         {name: casefileName, instances: [
-          {path: `${casefileName}/${instanceIds[0]}`},
-          {path: `${casefileName}/${instanceIds[1]}`},
+          {path: `${casefileName}/${instanceIds[0]}`, hash: '05ceffd002e09e8cdc8db79bd37c52d66eb4e612'},
+          {path: `${casefileName}/${instanceIds[1]}`, hash: '2fb8b967b5b10d97b3af6a7b41f06e8c74ff31ff'},
         ]},
       ]);
     });
@@ -454,7 +478,7 @@ describe('GitInteraction', () => {
         });
       }, {
         command: 'log',
-        opts: { pretty: 'format:%aN' },
+        opts: { follow: true, pretty: 'format:%aN' },
         args: [ sharedCasefilesRef, '--', casefilePath ],
       });
       const result = await this.repo.getCasefileAuthors(casefilePath);
@@ -478,7 +502,7 @@ describe('GitInteraction', () => {
         });
       }, {
         command: 'log',
-        opts: { pretty: 'format:%aN' },
+        opts: { follow: true, pretty: 'format:%aN' },
         args: [ sharedCasefilesRef, '--', casefilePath ],
       });
       const result = await this.repo.getCasefileAuthors(casefilePath);
@@ -490,32 +514,173 @@ describe('GitInteraction', () => {
     });
   });
   
+  describe('.prototype.getCasefileHistory()', function () {
+    const casefilePath = 'a casefile/22218950-279d-550d-b2c0-d776c50cc6a9';
+    const expectedGitCmd = {
+      command: 'log',
+      opts: {
+        z: true,
+        follow: true,
+        'name-only': true,
+        pretty: 'format:%H%x1f%aN%x1f%aE%x1f%aI%x1f%cI%x1f%s',
+      },
+      args: [ sharedCasefilesRef, '--', casefilePath ],
+    };
+    
+    it('lists the commits that changed the casefile, newest first', async function () {
+      const commits = [
+        '9f2c1a7e4b3d5c6a8e0f1b2c3d4e5f6a7b8c9d0e',
+        '146f8b866e8eca4d30068858324cec71c757a57f',
+      ];
+      this.gitMock.expectCall(async ({ stdio: { stdout } }) => {
+        await streamConsumed(stdout, () => {
+          stdout.write([
+            [ commits[0], 'Ruth Schneider', 'ruth@example.com', '2024-03-02T10:00:00-08:00', '2024-03-02T10:05:00-08:00', 'Share casefile' ].join('\x1f') + `\n${casefilePath}`,
+            '',
+            [ commits[1], 'Willie Terry', 'willie@example.com', '2024-03-01T09:00:00Z', '2024-03-01T09:00:00Z', 'Share casefile' ].join('\x1f') + `\n${casefilePath}`,
+          ].join('\0') + '\0');
+        });
+      }, expectedGitCmd);
+      const result = await this.repo.getCasefileHistory(casefilePath);
+      expect(result).to.deep.equal([
+        {
+          commit: commits[0],
+          author: 'Ruth Schneider',
+          authorEmail: 'ruth@example.com',
+          authored: new Date('2024-03-02T18:00:00Z'),
+          committed: new Date('2024-03-02T18:05:00Z'),
+          subject: 'Share casefile',
+          path: casefilePath,
+        },
+        {
+          commit: commits[1],
+          author: 'Willie Terry',
+          authorEmail: 'willie@example.com',
+          authored: new Date('2024-03-01T09:00:00Z'),
+          committed: new Date('2024-03-01T09:00:00Z'),
+          subject: 'Share casefile',
+          path: casefilePath,
+        },
+      ]);
+    });
+    
+    it('records the path of the casefile in each commit, following renames', async function () {
+      const oldPath = 'old name/22218950-279d-550d-b2c0-d776c50cc6a9';
+      const commits = [
+        '9f2c1a7e4b3d5c6a8e0f1b2c3d4e5f6a7b8c9d0e',
+        '146f8b866e8eca4d30068858324cec71c757a57f',
+      ];
+      this.gitMock.expectCall(async ({ stdio: { stdout } }) => {
+        await streamConsumed(stdout, () => {
+          stdout.write([
+            [ commits[0], 'Ruth Schneider', 'ruth@example.com', '2024-03-02T10:00:00-08:00', '2024-03-02T10:05:00-08:00', 'Rename casefile' ].join('\x1f') + `\n${casefilePath}`,
+            '',
+            [ commits[1], 'Willie Terry', 'willie@example.com', '2024-03-01T09:00:00Z', '2024-03-01T09:00:00Z', 'Share casefile' ].join('\x1f') + `\n${oldPath}`,
+          ].join('\0') + '\0');
+        });
+      }, expectedGitCmd);
+      const result = await this.repo.getCasefileHistory(casefilePath);
+      expect(result.map(({ commit, path }) => ({ commit, path }))).to.deep.equal([
+        { commit: commits[0], path: casefilePath },
+        { commit: commits[1], path: oldPath },
+      ]);
+    });
+    
+    it('returns an empty list if the shared casefiles ref does not exist', async function () {
+      this.gitMock.expectCall(async ({ stdio: { stdout } }) => {
+        await streamConsumed(stdout, () => {});
+        return { exitCode: 128 };
+      }, expectedGitCmd);
+      expect(await this.repo.getCasefileHistory(casefilePath)).to.deep.equal([]);
+    });
+  });
+  
   describe('.prototype.getCasefileContentLines()', function () {
     const casefilePath = 'a casefile/22218950-279d-550d-b2c0-d776c50cc6a9';
+    const casefileHash = '05ceffd002e09e8cdc8db79bd37c52d66eb4e612';
     const expectedGitCmd = {
       command: 'cat-file',
-      withArgsTail(...args) {
-        return { ...this, args: [ 'blob' ].concat(args) };
-      },
-    }
+      opts: { batch: true },
+    };
+    const batchEntry = (hash, content) => (
+      `${hash} blob ${Buffer.byteLength(content)}\n${content}\n`
+    );
+    
+    beforeEach(function () {
+      this.readsObject = (objectName, content, hash = casefileHash) => {
+        this.gitMock.expectCall(async ({ stdio: { stdin, stdout } }) => {
+          expect(await readAll(stdin)).to.equal(`${objectName}\n`);
+          await streamConsumed(stdout, () => {
+            stdout.write(batchEntry(hash, content));
+          });
+        }, expectedGitCmd);
+      };
+    });
     
     it('can retrieve the content lines of a file', async function () {
       const content = {
         bookmarks: [],
       };
-      this.gitMock.expectCall(async ({ stdio: { stdout } }) => {
-        await streamConsumed(stdout, () => {
-          stdout.write(JSON.stringify(content));
-        })
-      }, expectedGitCmd.withArgsTail(`${sharedCasefilesRef}:${casefilePath}`));
+      this.readsObject(`${sharedCasefilesRef}:${casefilePath}`, JSON.stringify(content));
       const result = await this.repo.getCasefile(casefilePath);
       expect(result).to.deep.include(content);
     });
     
+    it('upgrades a casefile stored as a bare array of bookmarks', async function () {
+      const bookmarks = [ { file: 'index.js', line: 17, markText: 'file' } ];
+      this.readsObject(`${sharedCasefilesRef}:${casefilePath}`, JSON.stringify(bookmarks));
+      const result = await this.repo.getCasefile(casefilePath);
+      expect(result).to.deep.equal({
+        formatVersion: 1,
+        bookmarks,
+        path: casefilePath,
+      });
+    });
+    
+    it('rejects a casefile in an unsupported format', async function () {
+      this.readsObject(
+        `${sharedCasefilesRef}:${casefilePath}`,
+        JSON.stringify({ formatVersion: 99, bookmarks: [] })
+      );
+      await expect(this.repo.getCasefile(casefilePath))
+        .is.rejectedWith(CasefileSchemaError)
+        .that.eventually.has.property('code', 'UnsupportedFormatVersion')
+        ;
+    });
+    
+    it('reads by blob hash and caches the content when the hash is given', async function () {
+      const content = { bookmarks: [] };
+      this.readsObject(casefileHash, JSON.stringify(content));
+      const first = await this.repo.getCasefile(casefilePath, { hash: casefileHash });
+      const second = await this.repo.getCasefile(casefilePath, { hash: casefileHash });
+      expect(first).to.deep.equal({ formatVersion: 1, bookmarks: [], path: casefilePath });
+      expect(second).to.deep.equal(first);
+      expect(second).to.not.equal(first);
+    });
+    
+    it('caches content read by path under the blob hash read with it', async function () {
+      this.readsObject(`${sharedCasefilesRef}:${casefilePath}`, JSON.stringify({ bookmarks: [] }));
+      await this.repo.getCasefile(casefilePath);
+      expect(await this.repo.getCasefile(casefilePath, { hash: casefileHash }))
+        .to.deep.equal({ formatVersion: 1, bookmarks: [], path: casefilePath });
+    });
+    
+    it(`rejects with code 'ObjectNotFound' for a missing casefile`, async function () {
+      this.gitMock.expectCall(async ({ stdio: { stdin, stdout } }) => {
+        await readAll(stdin);
+        await streamConsumed(stdout, () => {
+          stdout.write(`${sharedCasefilesRef}:${casefilePath} missing\n`);
+        });
+      }, expectedGitCmd);
+      await expect(this.repo.getCasefile(casefilePath))
+        .is.rejectedWith(ExtendedError)
+        .that.eventually.has.property('code', 'ObjectNotFound');
+    });
+    
     it('rejects if git exits with an error', async function () {
       this.gitMock.expectCall(async ({ stdio: { stdout } }) => {
         return { exitCode: 128 };
-      }, expectedGitCmd.withArgsTail(`${sharedCasefilesRef}:${casefilePath}`));
+      }, expectedGitCmd);
       await expect(this.repo.getCasefile(casefilePath))
         .is.rejectedWith(ExtendedError).eventually.with.property('exitCode', 128);
     });
@@ -523,18 +688,13 @@ describe('GitInteraction', () => {
     it('can retrieve the content lines of a file as it existed before a given commit', async function () {
       const commit = '3216d5b5cdbfd83374046326d997699f9484c5ca';
       const parentCommit = '080a2d0b05a3e98afbc6d220c05f8d33b0b75e31';
-      const lastChange = '2110-07-08 13:05:35.340 -0700';
       const content = {
         bookmarks: [],
       };
       this.repo.mockMethod('findLatestCommitParentWithPath')
         .mockResolvedValueOnce(parentCommit)
         ;
-      this.gitMock.expectCall(async ({ command, opts, args, stdio: { stdout } }) => {
-        await streamConsumed(stdout, () => {
-          stdout.write(JSON.stringify(content));
-        })
-      }, expectedGitCmd.withArgsTail(`${parentCommit}:${casefilePath}`));
+      this.readsObject(`${parentCommit}:${casefilePath}`, JSON.stringify(content));
       const result = await this.repo.getCasefile(casefilePath, {
         beforeCommit: commit,
       });
@@ -542,6 +702,82 @@ describe('GitInteraction', () => {
     });
   });
   
+  describe('.prototype.getCasefileBatch()', function () {
+    const paths = [
+      'a casefile/22218950-279d-550d-b2c0-d776c50cc6a9',
+      'a casefile/0b6b4c1f-54c1-5b8e-8a57-0d4a4b8a1f6e',
+      'other/e1bbf230-274a-5df5-b387-6024eb730685',
+    ];
+    const objectNames = paths.map(path => `${sharedCasefilesRef}:${path}`);
+    const hashes = [
+      '9abc1c50f9f304a627c2d5d9a4f7bf5b354983de',
+      'eccfd42944159c3db35a1ff3eaf40f5d5759896e',
+    ];
+    const batchEntry = (hash, content) => (
+      `${hash} blob ${Buffer.byteLength(content)}\n${content}\n`
+    );
+    
+    it('reads all casefiles through one cat-file process', async function () {
+      const bookmarks = [ { file: 'index.js', line: 17, markText: 'fïle' } ];
+      this.gitMock.expectCall(async ({ stdio: { stdin, stdout } }) => {
+        expect(await readAll(stdin)).to.equal(objectNames.map(n => n + '\n').join(''));
+        await streamConsumed(stdout, () => {
+          stdout.write(batchEntry(hashes[0], JSON.stringify({ bookmarks })));
+          stdout.write(`${objectNames[1]} missing\n`);
+          stdout.write(batchEntry(hashes[1], JSON.stringify(bookmarks)));
+        });
+      }, {
+        command: 'cat-file',
+        opts: { batch: true },
+      });
+      const result = await this.repo.getCasefileBatch(paths);
+      expect(result).to.deep.equal([
+        { formatVersion: 1, bookmarks, path: paths[0] },
+        null,
+        { formatVersion: 1, bookmarks, path: paths[2] },
+      ]);
+    });
+    
+    it('caches content by blob hash and reads only uncached instances', async function () {
+      const casefile = { formatVersion: 1, bookmarks: [] };
+      this.gitMock.expectCall(async ({ stdio: { stdin, stdout } }) => {
+        expect(await readAll(stdin)).to.equal(`${objectNames[0]}\n${hashes[1]}\n`);
+        await streamConsumed(stdout, () => {
+          stdout.write(batchEntry(hashes[0], JSON.stringify(casefile)));
+          stdout.write(batchEntry(hashes[1], JSON.stringify(casefile)));
+        });
+      }, {
+        command: 'cat-file',
+        opts: { batch: true },
+      });
+      const instances = [ paths[0], { path: paths[1], hash: hashes[1] } ];
+      await this.repo.getCasefileBatch(instances);
+      const result = await this.repo.getCasefileBatch([
+        { path: paths[0], hash: hashes[0] },
+        { path: paths[1], hash: hashes[1] },
+      ]);
+      expect(result).to.deep.equal([
+        { ...casefile, path: paths[0] },
+        { ...casefile, path: paths[1] },
+      ]);
+    });
+    
+    it('gives null for content that is not a readable casefile', async function () {
+      this.gitMock.expectCall(async ({ stdio: { stdin, stdout } }) => {
+        await readAll(stdin);
+        await streamConsumed(stdout, () => {
+          stdout.write(batchEntry(hashes[0], '{"bookmarks": ['));
+          stdout.write(batchEntry(hashes[1], JSON.stringify({ formatVersion: 99, bookmarks: [] })));
+        });
+      }, {
+        command: 'cat-file',
+        opts: { batch: true },
+      });
+      const result = await this.repo.getCasefileBatch(paths.slice(0, 2));
+      expect(result).to.deep.equal([ null, null ]);
+    });
+  });
+  
   describe('.prototype.fetchFromRemote()', function () {
     it('fetches from the specified remote', async function () {
       const remote = 'aRemote';
@@ -683,6 +919,47 @@ describe('GitInteraction', () => {
       });
     });
     
+    describe('commit message and identity', function () {
+      const author = { name: 'Ruth Schneider', email: 'ruth@example.com' };
+      const committer = { name: 'Casefile Bot', email: 'bot@example.com' };
+      
+      beforeEach(function () {
+        this.pushesNewCommit();
+        this.repo.mockMethod('revParse', async () => {
+          throw new Error("Unknown ref");
+        });
+        this.repo.mockMethod('lsTree', async () => []);
+        this.repo.mockMethod('mktree')
+          .mockResolvedValueOnce(groupTreeHash)
+          .mockResolvedValueOnce(rootTreeHash)
+          ;
+        this.commitOpts = null;
+        this.repo.mockMethod('commitCasefilesTree', async (tree, opts) => {
+          this.commitOpts = opts;
+          return newCommitHash;
+        });
+      });
+      
+      it('names the casefile in the default commit message', async function () {
+        await this.repo.shareCasefile(remote, casefilePath, bookmarks);
+        expect(this.commitOpts.message).to.include(casefilePath);
+        expect(this.commitOpts).to.include({ author: undefined, committer: undefined });
+      });
+      
+      it('uses a given commit message, author and committer', async function () {
+        await this.repo.shareCasefile(remote, casefilePath, bookmarks, {
+          message: "Share onboarding tour",
+          author,
+          committer,
+        });
+        expect(this.commitOpts).to.deep.include({
+          message: "Share onboarding tour",
+          author,
+          committer,
+        });
+      });
+    });
+    
     it('works when a sharing ref exists in the remote repo', async function () {
       this.pushesNewCommit();
       const sharedCasefileCommit = 'f65132e550ab8d8dbc576e2c3293c4e4f12808a6';
@@ -941,6 +1218,306 @@ describe('GitInteraction', () => {
         .which.matches(/[Nn]o changes?|[Nn]ot changed/)
         ;
     });
+    
+    describe('with base bookmarks', function () {
+      const sharedCasefileCommit = 'f65132e550ab8d8dbc576e2c3293c4e4f12808a6';
+      const baseHash = '5e0d3c0b8e7a7b3f8c3b4a9d1e2f3a4b5c6d7e8f';
+      const theirsHash = '9c8b7a6f5e4d3c2b1a0f9e8d7c6b5a4f3e2d1c0b';
+      const mergedHash = '1a2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b';
+      const mark = (markText, props = {}) => ({
+        file: 'index.js', line: 1, markText, ...props,
+      });
+      const baseBookmarks = [ mark('foo') ];
+      const ourBookmarks = [ mark('foo'), mark('bar') ];
+      
+      beforeEach(function () {
+        this.repo.getHashOfCasefile
+          .mockImplementationOnce(async () => baseHash)
+          ;
+        this.repo.mockMethod('revParse')
+          .mockResolvedValueOnce(sharedCasefileCommit)
+          ;
+        this.repo.mockMethod('lsTree')
+          .mockImplementationOnce(async (treeish) => {
+            argumentAssertions(() => {
+              expect(treeish).to.equal(`${sharedCasefileCommit}:${casefileName}`);
+            });
+            return [ { ...treeEntry_blob, hash: theirsHash, name: casefileInstance } ];
+          })
+          ;
+      });
+      
+      it('merges concurrent changes to the instance before sharing', async function () {
+        this.repo.mockMethod('getCasefile')
+          .mockImplementationOnce(async (path, { commit }) => {
+            argumentAssertions(() => {
+              expect(path).to.equal(casefilePath);
+              expect(commit).to.equal(sharedCasefileCommit);
+            });
+            return { path, bookmarks: [ mark('foo', { notes: "Theirs" }) ] };
+          })
+          ;
+        const mergedBookmarks = [ mark('foo', { notes: "Theirs" }), mark('bar') ];
+        this.repo.getHashOfCasefile
+          .mockImplementationOnce(async (bookmarks) => {
+            argumentAssertions(() => {
+              expect(bookmarks).to.deep.equal(mergedBookmarks);
+            });
+            return mergedHash;
+          })
+          ;
+        this.repo.lsTree
+          .mockImplementationOnce(async () => [])
+          ;
+        this.repo.mockMethod('mktree')
+          .mockImplementationOnce(async (entries) => {
+            argumentAssertions(() => {
+              expect(entries).to.deep.equal([
+                { ...treeEntry_blob, hash: mergedHash, name: casefileInstance },
+              ]);
+            });
+            return groupTreeHash;
+          })
+          .mockImplementationOnce(async () => rootTreeHash)
+          ;
+        this.repo.mockMethod('commitCasefilesTree')
+          .mockResolvedValueOnce(newCommitHash)
+          ;
+        this.pushesNewCommit();
+        const result = await this.repo.shareCasefile(remote, casefilePath, ourBookmarks, {
+          baseBookmarks,
+        });
+        expect(result).to.deep.include({
+          commit: newCommitHash,
+          bookmarks: mergedBookmarks,
+        });
+      });
+      
+      it('shares nothing and reports conflicts from the merge', async function () {
+        this.repo.mockMethod('getCasefile')
+          .mockResolvedValueOnce({
+            path: casefilePath,
+            bookmarks: [ mark('foo', { notes: "Theirs" }) ],
+          })
+          ;
+        const result = await this.repo.shareCasefile(
+          remote,
+          casefilePath,
+          [ mark('foo', { notes: "Ours" }) ],
+          { baseBookmarks }
+        );
+        expect(result).to.include({ commit: null });
+        expect(result).to.have.property('conflicts').that.deep.equals([
+          { type: 'property', path: [0], property: 'notes', base: undefined, ours: "Ours", theirs: "Theirs" },
+        ]);
+      });
+      
+      it('merges a concurrent change to the title before sharing', async function () {
+        this.repo.mockMethod('getCasefile')
+          .mockResolvedValueOnce({
+            path: casefilePath,
+            formatVersion: 1,
+            title: "Their title",
+            bookmarks: baseBookmarks,
+          })
+          ;
+        const mergedMetadata = { title: "Their title", tags: [ 'ours' ] };
+        this.repo.getHashOfCasefile
+          .mockImplementationOnce(async (bookmarks, metadata) => {
+            argumentAssertions(() => {
+              expect(bookmarks).to.deep.equal(baseBookmarks);
+              expect(metadata).to.deep.equal(mergedMetadata);
+            });
+            return mergedHash;
+          })
+          ;
+        this.repo.lsTree
+          .mockImplementationOnce(async () => [])
+          ;
+        this.repo.mockMethod('mktree')
+          .mockImplementationOnce(async () => groupTreeHash)
+          .mockImplementationOnce(async () => rootTreeHash)
+          ;
+        this.repo.mockMethod('commitCasefilesTree')
+          .mockResolvedValueOnce(newCommitHash)
+          ;
+        this.pushesNewCommit();
+        const result = await this.repo.shareCasefile(remote, casefilePath, baseBookmarks, {
+          metadata: { title: "Base title", tags: [ 'ours' ] },
+          baseBookmarks,
+          baseMetadata: { title: "Base title" },
+        });
+        expect(result).to.deep.include({
+          commit: newCommitHash,
+          metadata: mergedMetadata,
+        });
+      });
+      
+      it('shares nothing and reports conflicting changes to the title', async function () {
+        this.repo.mockMethod('getCasefile')
+          .mockResolvedValueOnce({
+            path: casefilePath,
+            title: "Their title",
+            bookmarks: baseBookmarks,
+          })
+          ;
+        const result = await this.repo.shareCasefile(remote, casefilePath, baseBookmarks, {
+          metadata: { title: "Our title" },
+          baseBookmarks,
+          baseMetadata: { title: "Base title" },
+        });
+        expect(result).to.include({ commit: null });
+        expect(result).to.have.property('conflicts').that.deep.equals([
+          { type: 'property', path: [], property: 'title', base: "Base title", ours: "Our title", theirs: "Their title" },
+        ]);
+      });
+    });
+    
+    describe('when the push is rejected', function () {
+      const baseCommit = 'f65132e550ab8d8dbc576e2c3293c4e4f12808a6';
+      const concurrentCommit = '0b9fa6e2f1c8a6c4da3e0a3f0a48f2d1e0b4e6d3';
+      const rebuiltCommitHash = 'c1f3b6b5f8e2f04a4f1e7c3e2b0b0a1c8d7e6f5a';
+      const otherInstance = {
+        ...treeEntry_blob,
+        hash: 'b13194a733629886fa1ad2f5d0ebf92b8bb184d5',
+        name: 'otherInstance',
+      };
+      
+      beforeEach(function () {
+        this.rejectPush = () => {
+          throw new ExtendedError({ message: "push rejected", exitCode: 1 });
+        };
+        this.sharesOnTip = (tip, { groupEntries = [], commit }) => {
+          this.repo.lsTree
+            .mockImplementationOnce(async (treeish) => {
+              argumentAssertions(() => {
+                expect(treeish).to.equal(`${tip}:${casefileName}`);
+              });
+              return [ ...groupEntries ];
+            })
+            .mockImplementationOnce(async (treeish) => {
+              argumentAssertions(() => {
+                expect(treeish).to.equal(tip);
+              });
+              return [];
+            })
+            ;
+          this.repo.mktree
+            .mockImplementationOnce(async (entries) => {
+              argumentAssertions(() => {
+                expect(entries).to.have.deep.members([
+                  ...groupEntries,
+                  { ...treeEntry_blob, hash: bookmarksHash, name: casefileInstance },
+                ]);
+              });
+              return groupTreeHash;
+            })
+            .mockImplementationOnce(async () => rootTreeHash)
+            ;
+          this.repo.commitCasefilesTree
+            .mockImplementationOnce(async (tree, { parents }) => {
+              argumentAssertions(() => {
+                expect(parents).to.deep.equal([ tip ]);
+              });
+              return commit;
+            })
+            ;
+        };
+        for (const name of ['lsTree', 'mktree', 'commitCasefilesTree', 'push']) {
+          this.repo.mockMethod(name);
+        }
+      });
+      
+      it('rebuilds on the fetched tip and retries after a concurrent share', async function () {
+        this.repo.mockMethod('revParse')
+          .mockResolvedValueOnce(baseCommit)
+          .mockResolvedValueOnce(concurrentCommit)
+          .mockResolvedValueOnce(concurrentCommit)
+          ;
+        this.repo.mockMethod('fetchSharedCasefilesFromRemote')
+          .mockImplementationOnce(async (targetRemote) => {
+            argumentAssertions(() => {
+              expect(targetRemote).to.equal(remote);
+            });
+            return null;
+          })
+          ;
+        this.sharesOnTip(baseCommit, { commit: newCommitHash });
+        this.sharesOnTip(concurrentCommit, {
+          groupEntries: [ otherInstance ],
+          commit: rebuiltCommitHash,
+        });
+        this.repo.push
+          .mockImplementationOnce(this.rejectPush)
+          .mockImplementationOnce(async (targetRemote, { source }) => {
+            argumentAssertions(() => {
+              expect(source).to.equal(rebuiltCommitHash);
+            });
+            return null;
+          })
+          ;
+        this.repo.mockMethod('updateRef')
+          .mockImplementationOnce(async (refName, commit) => {
+            argumentAssertions(() => {
+              expect(refName).to.equal(sharedCasefilesRef);
+              expect(commit).to.equal(rebuiltCommitHash);
+            });
+            return null;
+          })
+          ;
+        const result = await this.repo.shareCasefile(remote, casefilePath, bookmarks);
+        expect(result).to.include({
+          commit: rebuiltCommitHash,
+        });
+      });
+      
+      it(`rejects with code ConcurrentShareConflict when retries are exhausted`, async function() {
+        this.repo.shareRetryLimit = 0;
+        this.repo.mockMethod('revParse')
+          .mockResolvedValueOnce(baseCommit)
+          .mockResolvedValueOnce(concurrentCommit)
+          ;
+        this.repo.mockMethod('fetchSharedCasefilesFromRemote')
+          .mockResolvedValueOnce(null)
+          ;
+        this.sharesOnTip(baseCommit, { commit: newCommitHash });
+        this.repo.push.mockImplementationOnce(this.rejectPush);
+        await expect(this.repo.shareCasefile(remote, casefilePath, bookmarks))
+          .is.rejectedWith(ExtendedError)
+          .which.eventually.includes({
+            code: 'ConcurrentShareConflict',
+            remote,
+            attempts: 1,
+          });
+      });
+      
+      it(`rethrows the push failure if the remote has not changed`, async function() {
+        this.repo.mockMethod('revParse')
+          .mockResolvedValueOnce(baseCommit)
+          .mockResolvedValueOnce(baseCommit)
+          ;
+        this.repo.mockMethod('fetchSharedCasefilesFromRemote')
+          .mockResolvedValueOnce(null)
+          ;
+        this.sharesOnTip(baseCommit, { commit: newCommitHash });
+        this.repo.push.mockImplementationOnce(this.rejectPush);
+        await expect(this.repo.shareCasefile(remote, casefilePath, bookmarks))
+          .is.rejectedWith(ExtendedError, "push rejected");
+      });
+      
+      it(`rethrows the push failure if the remote cannot be fetched`, async function() {
+        this.repo.mockMethod('revParse')
+          .mockResolvedValueOnce(baseCommit)
+          ;
+        this.repo.mockMethod('fetchSharedCasefilesFromRemote')
+          .mockRejectedValueOnce(new ExtendedError({ message: "fetch failed", exitCode: 128 }))
+          ;
+        this.sharesOnTip(baseCommit, { commit: newCommitHash });
+        this.repo.push.mockImplementationOnce(this.rejectPush);
+        await expect(this.repo.shareCasefile(remote, casefilePath, bookmarks))
+          .is.rejectedWith(ExtendedError, "push rejected");
+      });
+    });
   });
   
   describe('.prototype.deleteCasefilePaths()', function () {
@@ -962,6 +1539,62 @@ describe('GitInteraction', () => {
       };
     });
     
+    describe('commit message and identity', function () {
+      const paths = [
+        `${casefileName}/a78be7f9-cbba-597f-85ca-3a426196518d`,
+        `${casefileName}/f2ee1070-d893-55db-992b-eda4d1b34f52`,
+      ];
+      const tree = new GitTree({
+        [casefileName]: {
+          'a78be7f9-cbba-597f-85ca-3a426196518d': '15db6073c72015de83e5b7ad4a0a059a27767d86',
+          'f2ee1070-d893-55db-992b-eda4d1b34f52': '399043bd8a60efee43ca0d5b522da094fa69cbb5',
+        },
+        otherCasefile: {
+          "dc07e538-c97b-5f46-820b-f0770931451d": '86c5567fe29c3a743ec4e8c3f3862b35232ff5f5',
+        },
+      });
+      const newCasefilesCommit = 'ca2311efbcd29f2217231c7631d4b480f825b87c';
+      
+      beforeEach(function () {
+        this.repoHasSharedCasefiles();
+        this.repo.mockMethod('lsTree', async (treeish) => (
+          treeish === sharedCasefileCommit
+          ? tree.ls()
+          : tree.ls(treeish.slice(sharedCasefileCommit.length + 1))
+        ));
+        this.repo.mockMethod('mktree', async () => 'a557f29be5172767c1d3870a6d1c430573b5b0a3');
+        this.commitOpts = null;
+        this.repo.mockMethod('commitCasefilesTree', async (tree, opts) => {
+          this.commitOpts = opts;
+          return newCasefilesCommit;
+        });
+        this.repo.mockMethod('push').mockImplementationOnce(async () => {});
+        this.repo.mockMethod('updateRef').mockImplementationOnce(async () => {});
+      });
+      
+      it('names the deleted casefiles in the default commit message', async function () {
+        await this.repo.deleteCasefilePaths(remote, paths);
+        for (const path of paths) {
+          expect(this.commitOpts.message).to.include(path);
+        }
+      });
+      
+      it('uses a given commit message, author and committer', async function () {
+        const author = { name: 'Ruth Schneider', email: 'ruth@example.com' };
+        const committer = { name: 'Casefile Bot', email: 'bot@example.com' };
+        await this.repo.deleteCasefilePaths(remote, paths, {
+          message: "Retire old tours",
+          author,
+          committer,
+        });
+        expect(this.commitOpts).to.deep.include({
+          message: "Retire old tours",
+          author,
+          committer,
+        });
+      });
+    });
+    
     it('removes a single-instance casefile group', async function () {
       const instanceId = 'a78be7f9-cbba-597f-85ca-3a426196518d';
       const path = `${casefileName}/${instanceId}`;
@@ -1055,20 +1688,89 @@ describe('GitInteraction', () => {
         });
         ;
       this.repo.mockMethod('push')
-        .mockImplementationOnce(async (targetRemote, { source, dest, force }) => {
+        .mockImplementationOnce(async (targetRemote, { source, dest, force, expect: leasedCommit }) => {
           argumentAssertions(() => {
             expect(targetRemote).to.equal(remote);
             expect(source).to.equal('');
             expect(dest).to.equal(sharedCasefilesRef);
             expect(force).to.not.be.ok;
+            expect(leasedCommit).to.equal(sharedCasefileCommit);
           });
         })
         ;
+      this.repo.mockMethod('updateRef');
+      this.repo.mockMethod('deleteRef')
+        .mockImplementationOnce(async (refName, oldCommit) => {
+          argumentAssertions(() => {
+            expect(refName).to.equal(sharedCasefilesRef);
+            expect(oldCommit).to.equal(sharedCasefileCommit);
+          });
+        })
+        ;
+      await this.repo.deleteCasefilePaths(remote, [ path ]);
+    });
+    
+    it('rebuilds the deletion of the last casefile after a concurrent share', async function () {
+      const instanceId = 'f2ee1070-d893-55db-992b-eda4d1b34f52';
+      const path = `${casefileName}/${instanceId}`;
+      const concurrentCommit = '0b9fa6e2f1c8a6c4da3e0a3f0a48f2d1e0b4e6d3';
+      const rebuiltCommit = 'ca2311efbcd29f2217231c7631d4b480f825b87c';
+      const trees = {
+        [sharedCasefileCommit]: new GitTree({
+          [casefileName]: {
+            [instanceId]: '399043bd8a60efee43ca0d5b522da094fa69cbb5',
+          },
+        }),
+        [concurrentCommit]: new GitTree({
+          [casefileName]: {
+            [instanceId]: '399043bd8a60efee43ca0d5b522da094fa69cbb5',
+            otherInstance: 'b13194a733629886fa1ad2f5d0ebf92b8bb184d5',
+          },
+        }),
+      };
+      this.repo.revParse
+        .mockResolvedValueOnce(sharedCasefileCommit)
+        .mockResolvedValueOnce(concurrentCommit)
+        .mockResolvedValueOnce(concurrentCommit)
+        ;
+      this.repo.mockMethod('fetchSharedCasefilesFromRemote')
+        .mockResolvedValueOnce(null)
+        ;
+      this.repo.mockMethod('lsTree', async (treeish) => {
+        const [ commit, group ] = treeish.split(':');
+        return group === undefined ? trees[commit].ls() : trees[commit].ls(group);
+      });
+      this.repo.mockMethod('mktree', async (entries) => (
+        createHash('sha1').update(JSON.stringify(entries)).digest('hex')
+      ));
+      this.repo.mockMethod('commitCasefilesTree')
+        .mockImplementationOnce(async (tree, { parents }) => {
+          argumentAssertions(() => {
+            expect(parents).to.deep.equal([ concurrentCommit ]);
+          });
+          return rebuiltCommit;
+        })
+        ;
+      this.repo.mockMethod('push')
+        .mockImplementationOnce(async (targetRemote, { source, expect: leasedCommit }) => {
+          argumentAssertions(() => {
+            expect(source).to.equal('');
+            expect(leasedCommit).to.equal(sharedCasefileCommit);
+          });
+          throw new ExtendedError({ message: "stale info", exitCode: 1 });
+        })
+        .mockImplementationOnce(async (targetRemote, { source }) => {
+          argumentAssertions(() => {
+            expect(source).to.equal(rebuiltCommit);
+          });
+        })
+        ;
+      this.repo.mockMethod('deleteRef');
       this.repo.mockMethod('updateRef')
         .mockImplementationOnce(async (refName, commit) => {
           argumentAssertions(() => {
             expect(refName).to.equal(sharedCasefilesRef);
-            expect(commit).to.equal('');
+            expect(commit).to.equal(rebuiltCommit);
           });
         })
         ;
@@ -1172,56 +1874,633 @@ describe('GitInteraction', () => {
       this.repo.mockMethod('commitCasefilesTree')
         .mockImplementationOnce(async (tree, { parents, message }) => {
           argumentAssertions(() => {
-            expect(tree).to.equal(newCasefilesTree);
-            expect(parents).to.deep.equal([ sharedCasefileCommit ]);
-            expect(message).to.be.a('string');
+            expect(tree).to.equal(newCasefilesTree);
+            expect(parents).to.deep.equal([ sharedCasefileCommit ]);
+            expect(message).to.be.a('string');
+          });
+          return newCasefilesCommit;
+        })
+        ;
+      this.repo.mockMethod('push')
+        .mockImplementationOnce(async (targetRemote, { source, dest, force }) => {
+          argumentAssertions(() => {
+            expect(targetRemote).to.equal(remote);
+            expect(source).to.equal(newCasefilesCommit);
+            expect(dest).to.equal(sharedCasefilesRef);
+            expect(force).to.not.be.ok;
+          });
+        })
+        ;
+      this.repo.mockMethod('updateRef')
+        .mockImplementationOnce(async (refName, commit) => {
+          argumentAssertions(() => {
+            expect(refName).to.equal(sharedCasefilesRef);
+            expect(commit).to.equal(newCasefilesCommit);
+          });
+        })
+        ;
+      await this.repo.deleteCasefilePaths(remote, [ path ]);
+    });
+    
+    it('does nothing if no shared casefiles exist', async function () {
+      const instanceId = 'a78be7f9-cbba-597f-85ca-3a426196518d';
+      const path = `${casefileName}/${instanceId}`;
+      const tree = new GitTree({
+        [casefileName]: {
+          [instanceId]: '15db6073c72015de83e5b7ad4a0a059a27767d86',
+        },
+        otherCasefile: {
+          "dc07e538-c97b-5f46-820b-f0770931451d": '86c5567fe29c3a743ec4e8c3f3862b35232ff5f5',
+        },
+      });
+      const newCasefilesTree = 'a557f29be5172767c1d3870a6d1c430573b5b0a3';
+      const newCasefilesCommit = 'ca2311efbcd29f2217231c7631d4b480f825b87c';
+      this.repo.mockMethod('revParse')
+        .mockImplementationOnce(async (committish) => {
+          argumentAssertions(() => {
+            expect(committish).to.equal(sharedCasefilesRef);
+          });
+          throw new Error("No such commit");
+        })
+        ;
+      await this.repo.deleteCasefilePaths(remote, [ path ]);
+    });
+  });
+  
+  describe('.prototype.moveCasefilePaths()', function () {
+    const remote = 'aRemote';
+    const sharedCasefileCommit = '6d2b9a4817c7bfcfc96e32be53faf787c5c81a54';
+    const newCasefilesCommit = 'ca2311efbcd29f2217231c7631d4b480f825b87c';
+    const tree = new GitTree({
+      'old group': {
+        '10455878-85b8-5b94-bb16-9aba80af2c20': '86c5567fe29c3a743ec4e8c3f3862b35232ff5f5',
+        '3abbb254-414c-5c99-9201-7ab81fa58d0a': '15db6073c72015de83e5b7ad4a0a059a27767d86',
+      },
+      'other group': {
+        'abe0e3ca-8e0e-589a-92c0-ac1f914a10f6': '435071dfcb377fd5daf0798ee5132a53c9b58c69',
+      },
+    });
+    
+    beforeEach(function () {
+      this.repo.mockMethod('revParse', async (committish) => {
+        argumentAssertions(() => {
+          expect(committish).to.equal(sharedCasefilesRef);
+        });
+        return sharedCasefileCommit;
+      });
+      this.repo.mockMethod('lsTree', async (treeish) => {
+        const [ commit, group ] = treeish.split(':');
+        argumentAssertions(() => {
+          expect(commit).to.equal(sharedCasefileCommit);
+        });
+        if (group === undefined) {
+          return tree.ls();
+        }
+        return group in tree.structure ? tree.ls(group) : [];
+      });
+      this.mktreeCalls = [];
+      this.repo.mockMethod('mktree', async (entries) => {
+        this.mktreeCalls.push(entries);
+        return createHash('sha1').update(JSON.stringify(entries)).digest('hex');
+      });
+    });
+    
+    it('moves casefiles between groups in a single commit', async function () {
+      const from = 'old group/10455878-85b8-5b94-bb16-9aba80af2c20';
+      const to = 'new group/2c6f3a8e-0d5b-5e7a-9c41-6b8d2f0e1a37';
+      this.repo.mockMethod('commitCasefilesTree')
+        .mockImplementationOnce(async (newTree, { parents, message }) => {
+          argumentAssertions(() => {
+            expect(newTree).to.equal(
+              createHash('sha1').update(JSON.stringify(this.mktreeCalls.at(-1))).digest('hex')
+            );
+            expect(parents).to.deep.equal([ sharedCasefileCommit ]);
+            expect(message).to.include(from).and.to.include(to);
+          });
+          return newCasefilesCommit;
+        })
+        ;
+      this.repo.mockMethod('push')
+        .mockImplementationOnce(async (targetRemote, { source, dest }) => {
+          argumentAssertions(() => {
+            expect(targetRemote).to.equal(remote);
+            expect(source).to.equal(newCasefilesCommit);
+            expect(dest).to.equal(sharedCasefilesRef);
+          });
+        })
+        ;
+      this.repo.mockMethod('updateRef')
+        .mockImplementationOnce(async () => {})
+        ;
+      const result = await this.repo.moveCasefilePaths(remote, [{ from, to }]);
+      expect(result).to.deep.equal({
+        message: "casefiles moved",
+        commit: newCasefilesCommit,
+      });
+      const [ oldGroupEntries, newGroupEntries, rootEntries ] = this.mktreeCalls;
+      expect(oldGroupEntries).to.deep.equal([ tree.ls('old group')[1] ]);
+      expect(newGroupEntries).to.deep.equal([{
+        ...tree.ls('old group')[0],
+        name: '2c6f3a8e-0d5b-5e7a-9c41-6b8d2f0e1a37',
+      }]);
+      expect(rootEntries.map(({ name }) => name)).to.have.members([
+        'old group', 'other group', 'new group',
+      ]);
+      expect(rootEntries).to.deep.include(tree.ls()[1]);
+    });
+    
+    it('drops a group left empty', async function () {
+      this.repo.mockMethod('commitCasefilesTree')
+        .mockImplementationOnce(async () => newCasefilesCommit)
+        ;
+      this.repo.mockMethod('push')
+        .mockImplementationOnce(async () => {})
+        ;
+      this.repo.mockMethod('updateRef')
+        .mockImplementationOnce(async () => {})
+        ;
+      await this.repo.moveCasefilePaths(remote, [{
+        from: 'other group/abe0e3ca-8e0e-589a-92c0-ac1f914a10f6',
+        to: 'old group/abe0e3ca-8e0e-589a-92c0-ac1f914a10f6',
+      }]);
+      const rootEntries = this.mktreeCalls.at(-1);
+      expect(rootEntries.map(({ name }) => name)).to.have.members([ 'old group' ]);
+    });
+    
+    it('allows casefiles to trade paths', async function () {
+      const [ first, second ] = tree.ls('old group').map(({ name }) => `old group/${name}`);
+      this.repo.mockMethod('commitCasefilesTree')
+        .mockImplementationOnce(async () => newCasefilesCommit)
+        ;
+      this.repo.mockMethod('push')
+        .mockImplementationOnce(async () => {})
+        ;
+      this.repo.mockMethod('updateRef')
+        .mockImplementationOnce(async () => {})
+        ;
+      await this.repo.moveCasefilePaths(remote, [
+        { from: first, to: second },
+        { from: second, to: first },
+      ]);
+      const oldGroup = tree.ls('old group');
+      expect(this.mktreeCalls[0]).to.have.deep.members([
+        { ...oldGroup[0], name: oldGroup[1].name },
+        { ...oldGroup[1], name: oldGroup[0].name },
+      ]);
+    });
+    
+    it('does nothing when no casefile changes path', async function () {
+      const path = 'old group/10455878-85b8-5b94-bb16-9aba80af2c20';
+      const result = await this.repo.moveCasefilePaths(remote, [{ from: path, to: path }]);
+      expect(result).to.deep.equal({
+        message: "no casefiles to move",
+        commit: sharedCasefileCommit,
+      });
+    });
+    
+    it('rejects with code ObjectNotFound for a casefile not shared', async function () {
+      const from = 'old group/2c6f3a8e-0d5b-5e7a-9c41-6b8d2f0e1a37';
+      await expect(this.repo.moveCasefilePaths(remote, [{ from, to: 'new group/x' }]))
+        .to.be.rejectedWith(ExtendedError)
+        .and.eventually.include({ code: 'ObjectNotFound', path: from });
+    });
+    
+    it('rejects with code CasefilePathInUse when moving onto a shared casefile', async function () {
+      const to = 'other group/abe0e3ca-8e0e-589a-92c0-ac1f914a10f6';
+      await expect(this.repo.moveCasefilePaths(remote, [{
+        from: 'old group/10455878-85b8-5b94-bb16-9aba80af2c20',
+        to,
+      }]))
+        .to.be.rejectedWith(ExtendedError)
+        .and.eventually.include({ code: 'CasefilePathInUse', path: to });
+    });
+  });
+  
+  describe('.prototype.applyCasefileChanges()', function () {
+    const remote = 'aRemote';
+    const sharedCasefileCommit = '6d2b9a4817c7bfcfc96e32be53faf787c5c81a54';
+    const newCasefilesCommit = 'ca2311efbcd29f2217231c7631d4b480f825b87c';
+    const sharedBookmarksHash = '9d1c4b6e0a2f3e5d7c8b9a0f1e2d3c4b5a697887';
+    const tree = new GitTree({
+      'old group': {
+        '10455878-85b8-5b94-bb16-9aba80af2c20': '86c5567fe29c3a743ec4e8c3f3862b35232ff5f5',
+      },
+      'other group': {
+        'abe0e3ca-8e0e-589a-92c0-ac1f914a10f6': '435071dfcb377fd5daf0798ee5132a53c9b58c69',
+      },
+    });
+    
+    beforeEach(function () {
+      this.repo.mockMethod('revParse', async (committish) => {
+        argumentAssertions(() => {
+          expect(committish).to.equal(sharedCasefilesRef);
+        });
+        return sharedCasefileCommit;
+      });
+      this.repo.mockMethod('lsTree', async (treeish) => {
+        const [ commit, group ] = treeish.split(':');
+        argumentAssertions(() => {
+          expect(commit).to.equal(sharedCasefileCommit);
+        });
+        if (group === undefined) {
+          return tree.ls();
+        }
+        return group in tree.structure ? tree.ls(group) : [];
+      });
+      this.mktreeCalls = [];
+      this.repo.mockMethod('mktree', async (entries) => {
+        this.mktreeCalls.push(entries);
+        return createHash('sha1').update(JSON.stringify(entries)).digest('hex');
+      });
+      this.repo.mockMethod('getHashOfCasefile', async () => sharedBookmarksHash);
+    });
+    
+    it('makes all changes in one commit and one push', async function () {
+      const sharedPath = 'new group/2c6f3a8e-0d5b-5e7a-9c41-6b8d2f0e1a37';
+      const deletedPath = 'other group/abe0e3ca-8e0e-589a-92c0-ac1f914a10f6';
+      const movedFrom = 'old group/10455878-85b8-5b94-bb16-9aba80af2c20';
+      const movedTo = 'old group/3abbb254-414c-5c99-9201-7ab81fa58d0a';
+      this.repo.mockMethod('commitCasefilesTree')
+        .mockImplementationOnce(async (newTree, { parents, message }) => {
+          argumentAssertions(() => {
+            expect(parents).to.deep.equal([ sharedCasefileCommit ]);
+            for (const path of [ sharedPath, deletedPath, movedFrom, movedTo ]) {
+              expect(message).to.include(path);
+            }
+          });
+          return newCasefilesCommit;
+        })
+        ;
+      this.repo.mockMethod('push')
+        .mockImplementationOnce(async (targetRemote, { source }) => {
+          argumentAssertions(() => {
+            expect(targetRemote).to.equal(remote);
+            expect(source).to.equal(newCasefilesCommit);
+          });
+        })
+        ;
+      this.repo.mockMethod('updateRef')
+        .mockImplementationOnce(async () => {})
+        ;
+      const result = await this.repo.applyCasefileChanges(remote, [
+        { type: 'share', path: sharedPath, bookmarks: [], metadata: {} },
+        { type: 'delete', path: deletedPath },
+        { type: 'move', from: movedFrom, to: movedTo },
+      ]);
+      expect(result).to.deep.equal({
+        message: "casefiles updated",
+        commit: newCasefilesCommit,
+      });
+      const [ newGroupEntries, oldGroupEntries, rootEntries ] = this.mktreeCalls;
+      expect(newGroupEntries).to.deep.equal([{
+        mode: '100644',
+        type: 'blob',
+        hash: sharedBookmarksHash,
+        name: '2c6f3a8e-0d5b-5e7a-9c41-6b8d2f0e1a37',
+      }]);
+      expect(oldGroupEntries).to.deep.equal([{
+        ...tree.ls('old group')[0],
+        name: '3abbb254-414c-5c99-9201-7ab81fa58d0a',
+      }]);
+      expect(rootEntries.map(({ name }) => name)).to.have.members([
+        'old group', 'new group',
+      ]);
+    });
+    
+    it('applies each change to the casefiles left by those before it', async function () {
+      const path = 'old group/10455878-85b8-5b94-bb16-9aba80af2c20';
+      const movedTo = 'new group/10455878-85b8-5b94-bb16-9aba80af2c20';
+      this.repo.mockMethod('commitCasefilesTree')
+        .mockImplementationOnce(async () => newCasefilesCommit)
+        ;
+      this.repo.mockMethod('push')
+        .mockImplementationOnce(async () => {})
+        ;
+      this.repo.mockMethod('updateRef')
+        .mockImplementationOnce(async () => {})
+        ;
+      await this.repo.applyCasefileChanges(remote, [
+        { type: 'move', from: path, to: movedTo },
+        { type: 'share', path, bookmarks: [], metadata: {} },
+      ]);
+      const [ oldGroupEntries, newGroupEntries ] = this.mktreeCalls;
+      expect(oldGroupEntries).to.deep.equal([{
+        ...tree.ls('old group')[0],
+        hash: sharedBookmarksHash,
+      }]);
+      expect(newGroupEntries).to.deep.equal([ tree.ls('old group')[0] ]);
+    });
+    
+    it('deletes the shared casefiles ref when the changes leave no casefiles', async function () {
+      this.repo.mockMethod('commitCasefilesTree');
+      this.repo.mockMethod('push')
+        .mockImplementationOnce(async (targetRemote, { source, dest, expect: leasedCommit }) => {
+          argumentAssertions(() => {
+            expect(targetRemote).to.equal(remote);
+            expect(source).to.equal('');
+            expect(dest).to.equal(sharedCasefilesRef);
+            expect(leasedCommit).to.equal(sharedCasefileCommit);
+          });
+        })
+        ;
+      this.repo.mockMethod('updateRef');
+      this.repo.mockMethod('deleteRef')
+        .mockImplementationOnce(async (refName, oldCommit) => {
+          argumentAssertions(() => {
+            expect(refName).to.equal(sharedCasefilesRef);
+            expect(oldCommit).to.equal(sharedCasefileCommit);
+          });
+        })
+        ;
+      const result = await this.repo.applyCasefileChanges(remote, [
+        { type: 'delete', path: 'old group/10455878-85b8-5b94-bb16-9aba80af2c20' },
+        { type: 'delete', path: 'other group/abe0e3ca-8e0e-589a-92c0-ac1f914a10f6' },
+      ]);
+      expect(result).to.deep.equal({
+        message: "casefiles updated",
+        commit: '',
+      });
+    });
+    
+    it('does not push when nothing changes', async function () {
+      const result = await this.repo.applyCasefileChanges(remote, [
+        { type: 'delete', path: 'old group/3abbb254-414c-5c99-9201-7ab81fa58d0a' },
+      ]);
+      expect(result).to.deep.equal({
+        message: "no changes to share",
+        commit: sharedCasefileCommit,
+      });
+    });
+    
+    it('makes none of the changes when one fails', async function () {
+      const from = 'old group/3abbb254-414c-5c99-9201-7ab81fa58d0a';
+      await expect(this.repo.applyCasefileChanges(remote, [
+        { type: 'delete', path: 'other group/abe0e3ca-8e0e-589a-92c0-ac1f914a10f6' },
+        { type: 'move', from, to: 'new group/3abbb254-414c-5c99-9201-7ab81fa58d0a' },
+      ]))
+        .to.be.rejectedWith(ExtendedError)
+        .and.eventually.include({ code: 'ObjectNotFound', path: from });
+      expect(this.mktreeCalls).to.have.lengthOf(0);
+    });
+  });
+  
+  describe('.prototype.restoreCasefile()', function () {
+    const remote = 'aRemote';
+    const casefileName = 'a casefile';
+    const instanceId = 'a78be7f9-cbba-597f-85ca-3a426196518d';
+    const path = `${casefileName}/${instanceId}`;
+    const deletionCommit = '146f8b866e8eca4d30068858324cec71c757a57f';
+    const sourceCommit = '9f2c1a7e4b3d5c6a8e0f1b2c3d4e5f6a7b8c9d0e';
+    const casefileHash = '15db6073c72015de83e5b7ad4a0a059a27767d86';
+    const sharedCasefileCommit = '6d2b9a4817c7bfcfc96e32be53faf787c5c81a54';
+    
+    beforeEach(function () {
+      this.repo.mockMethod('findLatestCommitParentWithPath')
+        .mockImplementationOnce(async (casefilePath, limitingCommit) => {
+          argumentAssertions(() => {
+            expect(casefilePath).to.equal(path);
+            expect(limitingCommit).to.equal(deletionCommit);
+          });
+          return sourceCommit;
+        });
+      this.repo.mockMethod('revParse', async (committish) => {
+        if (committish === `${sourceCommit}:${path}`) {
+          return casefileHash;
+        }
+        argumentAssertions(() => {
+          expect(committish).to.equal(sharedCasefilesRef);
+        });
+        return sharedCasefileCommit;
+      });
+    });
+    
+    it('puts the casefile blob back and names the deletion commit', async function () {
+      const newPath = `${casefileName}/2c6f3a8e-0d5b-5e7a-9c41-6b8d2f0e1a37`;
+      const tree = new GitTree({
+        [casefileName]: {
+          [instanceId]: '86c5567fe29c3a743ec4e8c3f3862b35232ff5f5',
+        },
+      });
+      const newGroupTree = 'b3e1f0c2d4a5968778695a4b3c2d1e0f9a8b7c6d';
+      const newCasefilesTree = 'a557f29be5172767c1d3870a6d1c430573b5b0a3';
+      const newCasefilesCommit = 'ca2311efbcd29f2217231c7631d4b480f825b87c';
+      this.repo.mockMethod('lsTree')
+        .mockImplementationOnce(async (treeish) => {
+          argumentAssertions(() => {
+            expect(treeish).to.equal(`${sharedCasefileCommit}:${casefileName}`);
+          });
+          return tree.ls(casefileName);
+        })
+        .mockImplementationOnce(async () => tree.ls())
+        ;
+      this.repo.mockMethod('mktree')
+        .mockImplementationOnce(async (entries) => {
+          argumentAssertions(() => {
+            expect(entries).to.have.deep.members([
+              ...tree.ls(casefileName),
+              { mode: '100644', type: 'blob', hash: casefileHash, name: '2c6f3a8e-0d5b-5e7a-9c41-6b8d2f0e1a37' },
+            ]);
+          });
+          return newGroupTree;
+        })
+        .mockImplementationOnce(async () => newCasefilesTree)
+        ;
+      this.repo.mockMethod('commitCasefilesTree')
+        .mockImplementationOnce(async (tree, { parents, message }) => {
+          argumentAssertions(() => {
+            expect(tree).to.equal(newCasefilesTree);
+            expect(parents).to.deep.equal([ sharedCasefileCommit ]);
+            expect(message).to.include(newPath).and.to.include(deletionCommit);
+          });
+          return newCasefilesCommit;
+        })
+        ;
+      this.repo.mockMethod('push')
+        .mockImplementationOnce(async (targetRemote, { source, dest }) => {
+          argumentAssertions(() => {
+            expect(targetRemote).to.equal(remote);
+            expect(source).to.equal(newCasefilesCommit);
+            expect(dest).to.equal(sharedCasefilesRef);
+          });
+        })
+        ;
+      this.repo.mockMethod('updateRef')
+        .mockImplementationOnce(async () => {})
+        ;
+      const result = await this.repo.restoreCasefile(remote, path, deletionCommit, { newPath });
+      expect(result).to.deep.equal({
+        message: "casefile restored",
+        commit: newCasefilesCommit,
+        path: newPath,
+      });
+    });
+    
+    it('refuses to replace a casefile shared at the path', async function () {
+      const tree = new GitTree({
+        [casefileName]: {
+          [instanceId]: '86c5567fe29c3a743ec4e8c3f3862b35232ff5f5',
+        },
+      });
+      this.repo.mockMethod('lsTree')
+        .mockImplementationOnce(async () => tree.ls(casefileName))
+        ;
+      await expect(this.repo.restoreCasefile(remote, path, deletionCommit))
+        .to.be.rejectedWith(ExtendedError)
+        .and.eventually.include({ code: 'CasefilePathInUse', path });
+    });
+  });
+  
+  describe('.prototype.saveLocalCasefile()', function () {
+    const treeEntry_blob = { mode: '100644', type: 'blob' };
+    const treeEntry_tree = { mode: '040000', type: 'tree' };
+    const casefileName = 'a casefile';
+    const casefileInstance = '6f1e4cf3-2c4a-5b7e-9f4e-3b5f0c1d2e3a';
+    const casefilePath = `${casefileName}/${casefileInstance}`;
+    const bookmarks = [ { file: 'index.js', line: 3, markText: 'import' } ];
+    const bookmarksHash = '435071dfcb377fd5daf0798ee5132a53c9b58c69';
+    const localCommit = 'e7b1c2d3f4a5b6c7d8e9f0a1b2c3d4e5f6a7b8c9';
+    const groupTreeHash = 'ecc98cc31b7dc39e12c0bfdd72c28cd086428844';
+    const rootTreeHash = '3d50a1b0783972ee391dcae4b0d0f97876edace6';
+    const newCommitHash = '4572c0e84c9024ceb8d5059a346aa940a55332a4';
+    
+    beforeEach(function () {
+      this.repo.mockMethod('getHashOfCasefile')
+        .mockResolvedValueOnce(bookmarksHash)
+        ;
+    });
+    
+    it('records the casefile in a new commit of the local casefiles ref', async function () {
+      this.repo.mockMethod('revParse')
+        .mockImplementationOnce(async (committish) => {
+          argumentAssertions(() => {
+            expect(committish).to.equal(localCasefilesRef);
+          });
+          return localCommit;
+        })
+        ;
+      this.repo.mockMethod('lsTree')
+        .mockImplementationOnce(async (treeish) => {
+          argumentAssertions(() => {
+            expect(treeish).to.equal(`${localCommit}:${casefileName}`);
+          });
+          return [];
+        })
+        .mockImplementationOnce(async (treeish) => {
+          argumentAssertions(() => {
+            expect(treeish).to.equal(localCommit);
+          });
+          return [];
+        })
+        ;
+      this.repo.mockMethod('mktree')
+        .mockImplementationOnce(async (entries) => {
+          argumentAssertions(() => {
+            expect(entries).to.deep.equal([
+              { ...treeEntry_blob, hash: bookmarksHash, name: casefileInstance },
+            ]);
+          });
+          return groupTreeHash;
+        })
+        .mockImplementationOnce(async (entries) => {
+          argumentAssertions(() => {
+            expect(entries).to.deep.equal([
+              { ...treeEntry_tree, hash: groupTreeHash, name: casefileName },
+            ]);
+          });
+          return rootTreeHash;
+        })
+        ;
+      this.repo.mockMethod('commitCasefilesTree')
+        .mockImplementationOnce(async (tree, { parents, message }) => {
+          argumentAssertions(() => {
+            expect(tree).to.equal(rootTreeHash);
+            expect(parents).to.deep.equal([ localCommit ]);
+            expect(message).to.be.a('string');
+          });
+          return newCommitHash;
+        })
+        ;
+      this.repo.mockMethod('updateRef')
+        .mockImplementationOnce(async (refName, commit) => {
+          argumentAssertions(() => {
+            expect(refName).to.equal(localCasefilesRef);
+            expect(commit).to.equal(newCommitHash);
+          });
+          return null;
+        })
+        ;
+      const result = await this.repo.saveLocalCasefile(casefilePath, bookmarks);
+      expect(result).to.include({ commit: newCommitHash });
+    });
+    
+    it('returns indication if not changed', async function () {
+      this.repo.mockMethod('revParse')
+        .mockResolvedValueOnce(localCommit)
+        ;
+      this.repo.mockMethod('lsTree')
+        .mockResolvedValueOnce([
+          { ...treeEntry_blob, hash: bookmarksHash, name: casefileInstance },
+        ])
+        ;
+      const result = await this.repo.saveLocalCasefile(casefilePath, bookmarks);
+      expect(result).to.include({ commit: localCommit });
+      expect(result).to.have.property('message')
+        .which.matches(/[Nn]o changes?|[Nn]ot changed/)
+        ;
+    });
+  });
+  
+  describe('.prototype.deleteLocalCasefilePaths()', function () {
+    const casefileName = 'a casefile';
+    const localCommit = 'e7b1c2d3f4a5b6c7d8e9f0a1b2c3d4e5f6a7b8c9';
+    const newCommitHash = 'ca2311efbcd29f2217231c7631d4b480f825b87c';
+    
+    it('commits an empty tree when the last casefile is removed', async function () {
+      const instanceId = 'f2ee1070-d893-55db-992b-eda4d1b34f52';
+      const tree = new GitTree({
+        [casefileName]: {
+          [instanceId]: '399043bd8a60efee43ca0d5b522da094fa69cbb5',
+        },
+      });
+      this.repo.mockMethod('revParse')
+        .mockImplementationOnce(async (committish) => {
+          argumentAssertions(() => {
+            expect(committish).to.equal(localCasefilesRef);
           });
-          return newCasefilesCommit;
+          return localCommit;
         })
         ;
-      this.repo.mockMethod('push')
-        .mockImplementationOnce(async (targetRemote, { source, dest, force }) => {
+      this.repo.mockMethod('lsTree')
+        .mockImplementationOnce(async () => tree.ls(casefileName))
+        .mockImplementationOnce(async () => tree.ls())
+        ;
+      this.repo.mockMethod('commitCasefilesTree')
+        .mockImplementationOnce(async (tree, { parents }) => {
           argumentAssertions(() => {
-            expect(targetRemote).to.equal(remote);
-            expect(source).to.equal(newCasefilesCommit);
-            expect(dest).to.equal(sharedCasefilesRef);
-            expect(force).to.not.be.ok;
+            expect(tree).to.equal(gitEmptyTree);
+            expect(parents).to.deep.equal([ localCommit ]);
           });
+          return newCommitHash;
         })
         ;
       this.repo.mockMethod('updateRef')
         .mockImplementationOnce(async (refName, commit) => {
           argumentAssertions(() => {
-            expect(refName).to.equal(sharedCasefilesRef);
-            expect(commit).to.equal(newCasefilesCommit);
+            expect(refName).to.equal(localCasefilesRef);
+            expect(commit).to.equal(newCommitHash);
           });
         })
         ;
-      await this.repo.deleteCasefilePaths(remote, [ path ]);
+      const result = await this.repo.deleteLocalCasefilePaths([ `${casefileName}/${instanceId}` ]);
+      expect(result).to.equal(newCommitHash);
     });
     
-    it('does nothing if no shared casefiles exist', async function () {
-      const instanceId = 'a78be7f9-cbba-597f-85ca-3a426196518d';
-      const path = `${casefileName}/${instanceId}`;
-      const tree = new GitTree({
-        [casefileName]: {
-          [instanceId]: '15db6073c72015de83e5b7ad4a0a059a27767d86',
-        },
-        otherCasefile: {
-          "dc07e538-c97b-5f46-820b-f0770931451d": '86c5567fe29c3a743ec4e8c3f3862b35232ff5f5',
-        },
-      });
-      const newCasefilesTree = 'a557f29be5172767c1d3870a6d1c430573b5b0a3';
-      const newCasefilesCommit = 'ca2311efbcd29f2217231c7631d4b480f825b87c';
+    it('does nothing if no local casefiles exist', async function () {
       this.repo.mockMethod('revParse')
-        .mockImplementationOnce(async (committish) => {
-          argumentAssertions(() => {
-            expect(committish).to.equal(sharedCasefilesRef);
-          });
-          throw new Error("No such commit");
-        })
+        .mockRejectedValueOnce(new Error("No such ref"))
         ;
-      await this.repo.deleteCasefilePaths(remote, [ path ]);
+      const result = await this.repo.deleteLocalCasefilePaths([ `${casefileName}/someInstance` ]);
+      expect(result).to.equal(null);
     });
   });
   
@@ -1389,6 +2668,14 @@ describe('GitInteraction', () => {
       await this.repo.push(remote, { source, dest, force: true });
     });
     
+    it('can push with a lease on the remote value of the destination', async function () {
+      const expected = 'af7f07b53a94e7d3faa8f1de6b5c2dcc176f86ba';
+      this.gitMock.expectCall(async () => {
+        
+      }, { command: 'push', args: [ `--force-with-lease=${dest}:${expected}`, remote, `:${dest}` ] });
+      await this.repo.push(remote, { source: '', dest, expect: expected });
+    });
+    
     it('can push a string spec', async function () {
       const branchName = 'a-branch-name';
       this.gitMock.expectCall(async () => {
@@ -1408,12 +2695,23 @@ describe('GitInteraction', () => {
     });
   });
   
+  describe('.prototype.deleteRef()', function () {
+    it('directs git to delete a reference naming the given commit', async function () {
+      const oldCommitHash = 'd0902f1cada49a2e5fb698dfc63ebae747fe8cb9';
+      this.gitMock.expectCall(async () => {
+        
+      }, { command: 'update-ref', opts: { d: true }, args: [ sharedCasefilesRef, oldCommitHash ] });
+      await this.repo.deleteRef(sharedCasefilesRef, oldCommitHash);
+    });
+  });
+  
   describe('.prototype.getDeletedCasefileRefs()', function () {
     const expectedGitCmdAndOpts = {
       command: 'log',
       opts: {
         'z': true,
         'diff-filter': 'D',
+        'find-renames': true,
         'name-status': true,
         'pretty': 'format:- %H %ci',
       },
@@ -1464,16 +2762,21 @@ describe('GitInteraction', () => {
     });
     
     it(`can accept a partial name for searching`, async function() {
-      const searchPartial = 'abc';
+      const commit = 'b725fae446a0485746dad8d3bd25dbcbc28b15a7';
       this.gitMock.expectCall(async ({ stdio: { stdout } }) => {
         await streamConsumed(stdout, () => {
+          stdout.write(`- ${commit} 2022-01-01 07:08:09 -0500\n`);
+          stdout.write(`D\0xabcx/10455878-85b8-5b94-bb16-9aba80af2c20\0`);
+          stdout.write(`D\0other/abcd0e3c-8e0e-589a-92c0-ac1f914a10f6\0`);
         });
       }, {
         ...expectedGitCmdAndOpts,
-        args: [ sharedCasefilesRef, '--', `*${searchPartial}*/*` ]
+        args: [ sharedCasefilesRef ]
       });
       const result = await this.repo.getDeletedCasefileRefs("abc");
-      expect(result).to.be.an('array').with.lengthOf(0);
+      expect(result.map(({ path }) => path)).to.deep.equal([
+        'xabcx/10455878-85b8-5b94-bb16-9aba80af2c20',
+      ]);
     });
     
     it(`responds with an empty Array if git command fails`, async function() {
@@ -1571,6 +2874,158 @@ describe('GitInteraction', () => {
       await expect(this.repo.getDeletedCasefileRefs())
         .is.rejected.eventually.with.property('code', 'InvalidGitLogOutput');
     });
+    
+    it(`passes date and author filters to git`, async function() {
+      this.gitMock.expectCall(async ({ stdio: { stdout } }) => {
+        await streamConsumed(stdout, () => {
+        });
+      }, {
+        ...expectedGitCmdAndOpts,
+        opts: {
+          ...expectedGitCmdAndOpts.opts,
+          since: '2022-01-01T00:00:00.000Z',
+          until: '2 weeks ago',
+          author: 'alice@example.com',
+        },
+        args: [ sharedCasefilesRef ]
+      });
+      const result = await this.repo.getDeletedCasefileRefs(undefined, {
+        since: new Date('2022-01-01T00:00:00Z'),
+        until: '2 weeks ago',
+        author: 'alice@example.com',
+      });
+      expect(result).to.be.an('array').with.lengthOf(0);
+    });
+    
+    it(`can restrict the search to an exact group`, async function() {
+      const commit = 'b725fae446a0485746dad8d3bd25dbcbc28b15a7';
+      this.gitMock.expectCall(async ({ stdio: { stdout } }) => {
+        await streamConsumed(stdout, () => {
+          stdout.write(`- ${commit} 2022-01-01 07:08:09 -0500\n`);
+          stdout.write(`D\0a casefile/10455878-85b8-5b94-bb16-9aba80af2c20\0`);
+          stdout.write(`D\0a casefile/nested/abe0e3ca-8e0e-589a-92c0-ac1f914a10f6\0`);
+          stdout.write(`D\0another casefile/3abbb254-414c-5c99-9201-7ab81fa58d0a\0`);
+        });
+      }, {
+        ...expectedGitCmdAndOpts,
+        args: [ sharedCasefilesRef ]
+      });
+      const result = await this.repo.getDeletedCasefileRefs(undefined, {
+        group: 'a casefile',
+      });
+      expect(result.map(({ path }) => path)).to.deep.equal([
+        'a casefile/10455878-85b8-5b94-bb16-9aba80af2c20',
+      ]);
+    });
+    
+    it(`searches the whole tree for a group, so casefiles renamed out of it are not listed`, async function() {
+      // Git pairs the rename of 'a casefile/…' to 'moved/…' only when the
+      // log is not limited to 'a casefile/', reporting no deletion for it
+      const commit = 'b725fae446a0485746dad8d3bd25dbcbc28b15a7';
+      this.gitMock.expectCall(async ({ args, stdio: { stdout } }) => {
+        argumentAssertions(() => {
+          expect(args).to.not.include('--');
+        });
+        await streamConsumed(stdout, () => {
+          stdout.write(`- ${commit} 2022-01-01 07:08:09 -0500\n`);
+          stdout.write(`D\0moved/10455878-85b8-5b94-bb16-9aba80af2c20\0`);
+        });
+      }, {
+        ...expectedGitCmdAndOpts,
+        args: [ sharedCasefilesRef ]
+      });
+      const result = await this.repo.getDeletedCasefileRefs(undefined, {
+        group: 'a casefile',
+      });
+      expect(result).to.be.an('array').with.lengthOf(0);
+    });
+    
+    it(`lists nothing when the exact group does not contain the partial name`, async function() {
+      const commit = 'b725fae446a0485746dad8d3bd25dbcbc28b15a7';
+      this.gitMock.expectCall(async ({ stdio: { stdout } }) => {
+        await streamConsumed(stdout, () => {
+          stdout.write(`- ${commit} 2022-01-01 07:08:09 -0500\n`);
+          stdout.write(`D\0a casefile/10455878-85b8-5b94-bb16-9aba80af2c20\0`);
+        });
+      }, {
+        ...expectedGitCmdAndOpts,
+        args: [ sharedCasefilesRef ]
+      });
+      const result = await this.repo.getDeletedCasefileRefs('xyz', {
+        group: 'a casefile',
+      });
+      expect(result).to.be.an('array').with.lengthOf(0);
+    });
+    
+    describe('selecting from the deletions found', function() {
+      const path = 'a casefile/10455878-85b8-5b94-bb16-9aba80af2c20';
+      const deletionRecords = [
+        {
+          commit: 'b725fae446a0485746dad8d3bd25dbcbc28b15a7',
+          committed: '2022-01-01 07:08:09 -0500',
+          path,
+        },
+        {
+          commit: '058fcf40ecbe251ce643964b5aca951b155351a3',
+          committed: '2021-12-01 07:08:09 -0500',
+          path: 'somethingElse/abe0e3ca-8e0e-589a-92c0-ac1f914a10f6',
+        },
+        {
+          commit: 'd79337d618836e0077e756f5d67a569774a9f8fc',
+          committed: '2021-11-01 07:08:09 -0500',
+          path,
+        },
+      ];
+      const expectedRecords = deletionRecords.map(r => ({
+        ...r,
+        committed: new Date(r.committed),
+      }));
+      
+      beforeEach(function() {
+        this.gitMock.expectCall(async ({ stdio: { stdout } }) => {
+          await streamConsumed(stdout, () => {
+            for (const rec of deletionRecords) {
+              stdout.write(`- ${rec.commit} ${rec.committed}\n`);
+              stdout.write(`D\0${rec.path}\0`);
+              stdout.write('\0');
+            }
+          });
+        }, {
+          ...expectedGitCmdAndOpts,
+          args: [ sharedCasefilesRef ]
+        });
+      });
+      
+      it(`can list only the latest deletion of each path`, async function() {
+        const result = await this.repo.getDeletedCasefileRefs(undefined, {
+          latestOnly: true,
+        });
+        expect(result).to.deep.equal(expectedRecords.slice(0, 2));
+      });
+      
+      it(`can limit the number of deletions listed`, async function() {
+        const result = await this.repo.getDeletedCasefileRefs(undefined, {
+          limit: 2,
+        });
+        expect(result).to.deep.equal(expectedRecords.slice(0, 2));
+      });
+      
+      it(`can skip to a later page of deletions`, async function() {
+        const result = await this.repo.getDeletedCasefileRefs(undefined, {
+          offset: 2,
+          limit: 2,
+        });
+        expect(result).to.deep.equal(expectedRecords.slice(2));
+      });
+      
+      it(`pages after collapsing to the latest deletions`, async function() {
+        const result = await this.repo.getDeletedCasefileRefs(undefined, {
+          latestOnly: true,
+          offset: 1,
+        });
+        expect(result).to.deep.equal(expectedRecords.slice(1, 2));
+      });
+    });
   });
   
   describe('.prototype.getBlobContent()', function () {
@@ -1612,6 +3067,104 @@ describe('GitInteraction', () => {
     });
   });
   
+  describe('with persistent object readers', function () {
+    const blobHash = '05ceffd002e09e8cdc8db79bd37c52d66eb4e612';
+    const treeHash = '2fb8b967b5b10d97b3af6a7b41f06e8c74ff31ff';
+    const commitHash = '67875457ca0157b511ada8215214d5d0bd8cba0c';
+    const treeContent = Buffer.concat([
+      Buffer.from('100644 README.md\0'), Buffer.from(blobHash, 'hex'),
+      Buffer.from('40000 src\0'), Buffer.from(treeHash, 'hex'),
+    ]);
+    const objects = {
+      'HEAD:README.md': { hash: blobHash, type: 'blob', content: Buffer.from('# Title\n') },
+      'HEAD^{tree}': { hash: treeHash, type: 'tree', content: treeContent },
+      'HEAD': { hash: commitHash, type: 'commit' },
+    };
+    
+    beforeEach(function () {
+      this.repo = new GitInteraction({
+        runGitCommand: this.gitMock.run,
+        janitor: new Janitor(),
+      });
+      this.requests = [];
+      const fakeReader = (requests) => ({
+        read: async (objectName) => {
+          requests.push(objectName);
+          if (objectName === 'CRASH:README.md') {
+            throw new GitObjectReaderError({ code: 'ReaderFailed' });
+          }
+          return objects[objectName] || null;
+        },
+      });
+      this.repo.objectReader = fakeReader(this.requests);
+      this.repo.objectChecker = fakeReader(this.requests);
+    });
+    
+    it(`reads blob content without running a new Git process`, async function() {
+      expect(await this.repo.getBlobContent('README.md')).to.equal('# Title\n');
+      expect(this.requests).to.deep.equal(['HEAD:README.md']);
+    });
+    
+    it(`rejects with code 'ObjectNotFound' for a missing blob`, async function() {
+      await expect(this.repo.getBlobContent('missing.txt'))
+        .is.rejectedWith(ExtendedError)
+        .that.eventually.has.property('code', 'ObjectNotFound');
+    });
+    
+    it(`falls back to a new Git process if the persistent process fails`, async function() {
+      this.gitMock.expectCall(async ({ stdio: { stdout } }) => {
+        await streamConsumed(stdout, () => {
+          stdout.write('# Title\n');
+        })
+      }, { command: 'cat-file', args: ['blob', 'CRASH:README.md'] });
+      expect(await this.repo.getBlobContent('README.md', { commit: 'CRASH' })).to.equal('# Title\n');
+    });
+    
+    it(`lists a tree from its object content`, async function() {
+      expect(await this.repo.lsTree('HEAD')).to.deep.equal([
+        { mode: '100644', type: 'blob', hash: blobHash, name: 'README.md' },
+        { mode: '040000', type: 'tree', hash: treeHash, name: 'src' },
+      ]);
+      expect(await this.repo.lsTree('HEAD:src')).to.deep.equal([]);
+      expect(this.requests).to.deep.equal(['HEAD^{tree}', 'HEAD:src']);
+    });
+    
+    it(`resolves committishes through the checking process`, async function() {
+      expect(await this.repo.revParse('HEAD')).to.equal(commitHash);
+      await expect(this.repo.revParse('refs/heads/nothing'))
+        .is.rejectedWith(ExtendedError)
+        .that.eventually.has.property('code', 'InvalidCommittish');
+    });
+    
+    it(`caches casefile content read by path`, async function() {
+      const casefileHash = 'eccfd42944159c3db35a1ff3eaf40f5d5759896e';
+      const path = 'group/22218950-279d-550d-b2c0-d776c50cc6a9';
+      objects[`${sharedCasefilesRef}:${path}`] = {
+        hash: casefileHash, type: 'blob', content: Buffer.from('{"bookmarks":[]}'),
+      };
+      expect(await this.repo.getCasefile(path)).to.deep.equal({ formatVersion: 1, bookmarks: [], path });
+      expect(await this.repo.getCasefile(path)).to.deep.equal({ formatVersion: 1, bookmarks: [], path });
+      expect(await this.repo.getCasefile(path, { hash: casefileHash })).to.deep.equal({ formatVersion: 1, bookmarks: [], path });
+      expect(this.requests).to.deep.equal([
+        `${sharedCasefilesRef}:${path}`,
+        `${sharedCasefilesRef}:${path}`,
+        `${sharedCasefilesRef}:${path}`,
+      ]);
+    });
+    
+    it(`reads casefile content changed since it was cached`, async function() {
+      const path = 'group/638bdfdb-fb89-5e8b-9bfe-e40773c66439';
+      objects[`${sharedCasefilesRef}:${path}`] = {
+        hash: 'eccfd42944159c3db35a1ff3eaf40f5d5759896e', type: 'blob', content: Buffer.from('{"bookmarks":[]}'),
+      };
+      await this.repo.getCasefile(path);
+      objects[`${sharedCasefilesRef}:${path}`] = {
+        hash: 'a9b1d4a4bb3ea1c3bd2b5ab1b2b2a7d7b4cc5f3e', type: 'blob', content: Buffer.from('{"title":"Updated","bookmarks":[]}'),
+      };
+      expect(await this.repo.getCasefile(path)).to.deep.equal({ formatVersion: 1, title: 'Updated', bookmarks: [], path });
+    });
+  });
+  
   describe('.prototype.lineIntroduction()', function () {
     const filePath = 'package.json';
     const line = 42;
@@ -1811,6 +3364,26 @@ describe('GitInteraction', () => {
       expect(result).to.deep.equal({ line: lineInContent });
     });
     
+    it(`tracks lines moved from another file when given sourceFile`, async function() {
+      const sourceFile = 'old/package.json';
+      this.gitMock.expectCall(async ({ stdio: { stdin, stdout } }) => {
+        await readAll(stdin);
+        await streamConsumed(stdout, () => {
+          stdout.write(`${peg.commit} ${peg.line} 12 1\n`);
+          stdout.write(`filename other.json\n`);
+          stdout.write(`${peg.commit} ${peg.line} ${lineInContent} 1\n`);
+          stdout.write(`filename ${sourceFile}\n`);
+        });
+      }, { ...expectedGitCmd, opts: { ...expectedGitCmd.opts, C: true } });
+      const result = await this.repo.findCurrentLinePosition(
+        filePath,
+        peg,
+        content,
+        { sourceFile }
+      );
+      expect(result).to.deep.equal({ line: lineInContent });
+    });
+    
     it(`can run against the current file content`, async function() {
       this.gitMock.expectCall(async ({ cwd, stdio: { stdin, stdout } }) => {
         argumentAssertions(() => {
@@ -1828,6 +3401,114 @@ describe('GitInteraction', () => {
     });
   });
   
+  describe('.prototype.findPathsDerivedFrom()', function () {
+    const commit = '80493581658bb28ac45860ea1704fc6e721293ca';
+    const topLevel = '/home/user/project';
+    const expectedGitCmds = {
+      location: {
+        command: 'rev-parse',
+        opts: { 'show-toplevel': true, 'show-prefix': true },
+      },
+      diff: {
+        command: 'diff',
+        opts: { z: true, 'name-status': true, 'find-renames': true, 'find-copies': true },
+        args: [ commit ],
+      },
+    };
+    
+    beforeEach(async function () {
+      this.expectLocation = (prefix) => {
+        this.gitMock.expectCall(async ({ stdio: { stdout } }) => {
+          await streamConsumed(stdout, () => {
+            stdout.write(`${topLevel}\n${prefix}\n`);
+          });
+        }, expectedGitCmds.location);
+      };
+      this.expectDiff = (items) => {
+        this.gitMock.expectCall(async ({ stdio: { stdout } }) => {
+          await streamConsumed(stdout, () => {
+            stdout.write(items.map(item => item + '\0').join(''));
+          });
+        }, expectedGitCmds.diff);
+      };
+    });
+    
+    it(`lists renames before copies of the file`, async function () {
+      this.expectLocation('');
+      this.expectDiff([
+        'C075', 'src/a.js', 'src/c.js',
+        'M', 'README.md',
+        'R090', 'src/a.js', 'lib/b.js',
+        'R100', 'src/other.js', 'lib/other.js',
+      ]);
+      const result = await this.repo.findPathsDerivedFrom('src/a.js', commit);
+      expect(result).to.deep.equal([
+        { file: 'lib/b.js', sourceFile: 'src/a.js', status: 'renamed' },
+        { file: 'src/c.js', sourceFile: 'src/a.js', status: 'copied' },
+      ]);
+    });
+    
+    it(`expresses paths relative to the working directory`, async function () {
+      this.expectLocation('lib/');
+      this.expectDiff([ 'R090', 'src/a.js', 'lib/b.js' ]);
+      const result = await this.repo.findPathsDerivedFrom('../src/a.js', commit);
+      expect(result).to.deep.equal([
+        { file: 'b.js', sourceFile: 'src/a.js', status: 'renamed' },
+      ]);
+    });
+    
+    it(`handles absolute paths`, async function () {
+      this.expectLocation('');
+      this.expectDiff([ 'R090', 'src/a.js', 'lib/b.js' ]);
+      const result = await this.repo.findPathsDerivedFrom(`${topLevel}/src/a.js`, commit);
+      expect(result).to.deep.equal([
+        { file: `${topLevel}/lib/b.js`, sourceFile: 'src/a.js', status: 'renamed' },
+      ]);
+    });
+  });
+  
+  describe('.prototype.findCurrentLinePositions()', function () {
+    const filePath = 'package.json';
+    const commit = '80493581658bb28ac45860ea1704fc6e721293ca';
+    const otherCommit = '2d17d880a7e48dbff8572326366180e26a79b121';
+    const content = 'the content\n';
+    const expectedGitCmd = {
+      command: 'blame',
+      opts: { incremental: true, contents: '-' },
+      args: [ '--', filePath ],
+    };
+    
+    it(`locates every requested line from a single blame`, async function() {
+      this.gitMock.expectCall(async ({ cwd, stdio: { stdin, stdout } }) => {
+        const providedContent = await readAll(stdin);
+        argumentAssertions(() => {
+          expect(cwd).to.equal(dirname(filePath));
+          expect(providedContent).to.equal(content);
+        });
+        await streamConsumed(stdout, () => {
+          stdout.write(`${otherCommit} 3 5 7\n`);
+          stdout.write(`${commit} 20 30 10\n`);
+          stdout.write(`${otherCommit} 35 117 1\n`);
+        });
+      }, expectedGitCmd);
+      const result = await this.repo.findCurrentLinePositions(
+        filePath,
+        [
+          { commit, line: 27 },
+          { commit: otherCommit, line: 4 },
+          { commit, line: 35 },
+        ],
+        content
+      );
+      expect(result).to.deep.equal([ { line: 37 }, { line: 6 }, null ]);
+    });
+    
+    it(`does not run git when no lines are requested`, async function() {
+      const result = await this.repo.findCurrentLinePositions(filePath, [], content);
+      expect(result).to.deep.equal([]);
+    });
+  });
+  
   describe('(private)', function () {
     describe('.prototype.findLatestCommitParentWithPath()', function () {
       const casefilePath = 'a casefile/22218950-279d-550d-b2c0-d776c50cc6a9';
@@ -2022,8 +3703,10 @@ describe('GitInteraction', () => {
       
       it('writes the given bookmarks to the Git repo', async function () {
         this.gitMock.expectCall(async ({ stdio: { stdin, stdout } }) => {
-          expect(JSON.parse(await readAll(stdin))).to.have.property('bookmarks')
-            .that.is.deep.equal(bookmarks);
+          expect(JSON.parse(await readAll(stdin))).to.deep.equal({
+            formatVersion: 1,
+            bookmarks,
+          });
           await streamConsumed(stdout, async () => {
             stdout.write(bookmarksHash + '\n');
           })
@@ -2032,6 +3715,23 @@ describe('GitInteraction', () => {
         expect(result).to.equal(bookmarksHash);
       });
       
+      it('writes casefile metadata alongside the bookmarks', async function () {
+        const metadata = { title: "Startup", tags: ['boot'] };
+        this.gitMock.expectCall(async ({ stdio: { stdin, stdout } }) => {
+          expect(JSON.parse(await readAll(stdin))).to.deep.equal({
+            formatVersion: 1,
+            title: "Startup",
+            tags: ['boot'],
+            bookmarks,
+          });
+          await streamConsumed(stdout, async () => {
+            stdout.write(bookmarksHash + '\n');
+          })
+        }, expectedGitCmd);
+        const result = await this.repo.getHashOfCasefile(bookmarks, metadata);
+        expect(result).to.equal(bookmarksHash);
+      });
+      
       it('rejects with code "GitWriteFailed" if git output is invalid', async function () {
         this.gitMock.expectCall(async ({ stdio: { stdin, stdout } }) => {
           expect(JSON.parse(await readAll(stdin))).to.have.property('bookmarks')
@@ -2051,7 +3751,10 @@ describe('GitInteraction', () => {
       const expectedGitCmd = { command: 'commit-tree', opts: { 'm': message } };
       
       it('creates a commit from a tree hash and a message', async function () {
-        this.gitMock.expectCall(async ({ stdio: { stdout } }) => {
+        this.gitMock.expectCall(async ({ extraEnv, stdio: { stdout } }) => {
+          argumentAssertions(() => {
+            expect(extraEnv).to.deep.equal({});
+          });
           await streamConsumed(stdout, () => {
             stdout.write(newCommit + '\n');
           });
@@ -2077,6 +3780,28 @@ describe('GitInteraction', () => {
         expect(result).to.equal(newCommit);
       });
       
+      it('records a given author and committer through the environment', async function () {
+        this.gitMock.expectCall(async ({ extraEnv, stdio: { stdout } }) => {
+          argumentAssertions(() => {
+            expect(extraEnv).to.deep.equal({
+              GIT_AUTHOR_NAME: 'Ruth Schneider',
+              GIT_AUTHOR_EMAIL: 'ruth@example.com',
+              GIT_COMMITTER_NAME: 'Casefile Bot',
+              GIT_COMMITTER_EMAIL: 'bot@example.com',
+            });
+          });
+          await streamConsumed(stdout, () => {
+            stdout.write(newCommit + '\n');
+          });
+        }, { ...expectedGitCmd, args: [ tree ] });
+        const result = await this.repo.commitCasefilesTree(tree, {
+          message,
+          author: { name: 'Ruth Schneider', email: 'ruth@example.com' },
+          committer: { name: 'Casefile Bot', email: 'bot@example.com' },
+        });
+        expect(result).to.equal(newCommit);
+      });
+      
       it(`rejects with code InvalidCommit if git does not output a commit hash`, async function() {
         this.gitMock.expectCall(async ({ stdio: { stdout } }) => {
           await streamConsumed(stdout, () => {
@@ -0,0 +1,168 @@
+import BatchObjectConsumer from './BatchObjectConsumer.js';
+import CodedError, { ASSERT_ERROR } from './codedError.js';
+
+/**
+ * @typedef {Object} GitObject
+ * @summary An object read from the Git object database
+ *
+ * @property {string} hash - Object hash
+ * @property {string} type - Object type (e.g. `'blob'` or `'tree'`)
+ * @property {number} size - Size of the object content in bytes
+ * @property {Buffer} [content] - Content of the object (not present when only checking)
+ */
+
+/**
+ * @summary Long-lived `git cat-file --batch` (or `--batch-check`) process
+ * @memberof module:git-casefile/impl
+ *
+ * @description
+ * Requests are written to the process's STDIN as they are made and are
+ * answered in order, so any number of requests may be outstanding at once.
+ * The process is started by the first request and kept running until
+ * {@link GitObjectReader#close} is called; starting it registers a task with
+ * the given {@link Janitor} that closes it (once, however often the process
+ * is restarted), so cleaning up the janitor shuts the process down.
+ *
+ * If the process exits or its output cannot be parsed, outstanding requests
+ * reject with a {@link GitObjectReaderError} (`err.code === 'ReaderFailed'`)
+ * and the next request starts a new process.
+ */
+export default class GitObjectReader {
+  /**
+   * @summary Construct an instance
+   * @param {object} kwargs
+   * @param {function} kwargs.runGitCommand
+   *    Function with the interface of {@link GitInteraction#runGitCommand}
+   * @param {Janitor} kwargs.janitor
+   *    Janitor through which to shut down the process
+   * @param {boolean} [kwargs.withContent=true]
+   *    Whether to read object content (`--batch`) or only object information
+   *    (`--batch-check`)
+   */
+  constructor({ runGitCommand, janitor, withContent = true }) {
+    this.runGitCommand = runGitCommand;
+    this.janitor = janitor;
+    this.withContent = withContent;
+    this.process = null;
+    this.closeTaskRegistered = false;
+  }
+  
+  /**
+   * @summary Read an object
+   * @param {string} objectName - Any object name understood by Git (e.g. `HEAD:README.md`)
+   * @returns {Promise.<?GitObject>} The object, or `null` if *objectName* does not resolve
+   * @throws {GitObjectReaderError} (`err.code === 'InvalidObjectName'`)
+   *   When *objectName* cannot be written as a single request line
+   * @throws {GitObjectReaderError} (`err.code === 'ReaderFailed'`)
+   *   When the `git cat-file` process fails before answering
+   */
+  async read(objectName) {
+    if (/[\r\n]/.test(objectName)) {
+      throw new GitObjectReaderError({ code: 'InvalidObjectName', objectName });
+    }
+    const proc = this.process || this.start();
+    return new Promise((resolve, reject) => {
+      proc.pending.push({ resolve, reject });
+      proc.write(`${objectName}\n`);
+    });
+  }
+  
+  /**
+   * @summary Shut down the process, if running
+   * @returns {Promise.<undefined>} Resolves when the process has exited
+   *
+   * @description
+   * Requests already made are answered before the process exits.
+   */
+  async close() {
+    const proc = this.process;
+    if (!proc) {
+      return;
+    }
+    this.process = null;
+    proc.endInput();
+    await proc.exited;
+  }
+  
+  /**
+   * @private
+   */
+  start() {
+    const proc = {
+      pending: [],
+      queuedInput: [],
+      stdin: null,
+    };
+    let endInput;
+    const inputEnded = new Promise(resolve => { endInput = resolve; });
+    proc.endInput = endInput;
+    proc.write = (line) => {
+      if (proc.stdin) {
+        proc.stdin.write(line);
+      } else {
+        proc.queuedInput.push(line);
+      }
+    };
+    const fail = (cause) => {
+      if (this.process === proc) {
+        this.process = null;
+      }
+      proc.endInput();
+      const error = new GitObjectReaderError({ code: 'ReaderFailed', cause });
+      proc.pending.splice(0, Infinity).forEach(({ reject }) => reject(error));
+    };
+    const answer = (value) => {
+      const request = proc.pending.shift();
+      if (request) {
+        request.resolve(value);
+      }
+    };
+    
+    const outputConsumer = new BatchObjectConsumer([], { withContent: this.withContent })
+      .on('object', ({ name, ...object }) => answer(object))
+      .on('missing', () => answer(null))
+      .on('error', fail)
+      ;
+    proc.exited = this.runGitCommand('cat-file', {
+      opts: this.withContent ? {batch: true} : {'batch-check': true},
+      operationDescription: 'read objects from the Git repository',
+      timeout: null,
+      feedStdin: (stdin) => {
+        proc.stdin = stdin;
+        stdin.on('error', fail);
+        proc.queuedInput.splice(0, Infinity).forEach(line => stdin.write(line));
+        return inputEnded;
+      },
+      stdout: outputConsumer,
+      exit: (code) => code,
+    }).then(
+      (code) => {
+        if (proc.pending.length) {
+          fail(new Error(`'git cat-file' exited with code ${code}`));
+        }
+      },
+      (e) => {
+        /* istanbul ignore next */
+        if (e && e[ASSERT_ERROR]) throw e;
+        fail(e);
+      },
+    );
+    
+    this.process = proc;
+    if (!this.closeTaskRegistered) {
+      this.closeTaskRegistered = true;
+      this.janitor.addTask(() => {
+        this.closeTaskRegistered = false;
+        return this.close();
+      });
+    }
+    return proc;
+  }
+}
+
+const ERROR_MESSAGES_BY_CODE = {
+  InvalidObjectName: "Object name cannot be sent to 'git cat-file'",
+  ReaderFailed: "Persistent 'git cat-file' process failed",
+};
+
+export class GitObjectReaderError extends CodedError(ERROR_MESSAGES_BY_CODE) {}
@@ -0,0 +1,124 @@
+import GitObjectReader, { GitObjectReaderError } from './gitObjectReader.js';
+import Janitor from './janitor.js';
+import chai, { expect } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import { PassThrough } from 'stream';
+
+chai.use(chaiAsPromised);
+
+describe('GitObjectReader', () => {
+  const objects = {
+    'HEAD:README.md': { hash: '05ceffd002e09e8cdc8db79bd37c52d66eb4e612', type: 'blob', content: '# Title\n' },
+    'HEAD': { hash: '2fb8b967b5b10d97b3af6a7b41f06e8c74ff31ff', type: 'commit', content: 'tree ...\n' },
+  };
+  
+  /**
+   * Simulates `git cat-file --batch` over the objects above, answering each
+   * request line as it is written; the process "exits" when STDIN ends or
+   * when a request line is `CRASH`.
+   */
+  function fakeCatFile(invocations) {
+    return async (command, { opts, timeout, feedStdin, stdout, exit }) => {
+      const invocation = { command, opts, timeout, running: true };
+      invocations.push(invocation);
+      const stdin = new PassThrough().setEncoding('utf8');
+      let buffered = '';
+      const exitCode = await new Promise((resolve) => {
+        stdin.on('data', (data) => {
+          buffered += data;
+          let newline;
+          while ((newline = buffered.indexOf('\n')) >= 0) {
+            const name = buffered.slice(0, newline);
+            buffered = buffered.slice(newline + 1);
+            if (name === 'CRASH') {
+              return resolve(128);
+            }
+            const object = objects[name];
+            if (!object) {
+              stdout.write(`${name} missing\n`);
+            } else if (opts.batch) {
+              stdout.write(`${object.hash} ${object.type} ${object.content.length}\n${object.content}\n`);
+            } else {
+              stdout.write(`${object.hash} ${object.type} ${object.content.length}\n`);
+            }
+          }
+        });
+        stdin.on('end', () => resolve(0));
+        Promise.resolve(feedStdin(stdin)).then(() => stdin.end());
+      });
+      invocation.running = false;
+      return exit(exitCode);
+    };
+  }
+  
+  beforeEach(function() {
+    this.invocations = [];
+    this.janitor = new Janitor();
+    this.subject = new GitObjectReader({
+      runGitCommand: fakeCatFile(this.invocations),
+      janitor: this.janitor,
+    });
+  });
+  
+  afterEach(async function() {
+    await this.janitor.cleanUpAsync();
+  });
+  
+  it(`answers many requests with one process without a timeout`, async function() {
+    const [ readme, head, missing ] = await Promise.all([
+      this.subject.read('HEAD:README.md'),
+      this.subject.read('HEAD'),
+      this.subject.read('HEAD:nothing-here'),
+    ]);
+    expect(readme).to.deep.include({ hash: objects['HEAD:README.md'].hash, type: 'blob', size: 8 });
+    expect(readme.content.toString()).to.equal('# Title\n');
+    expect(head).to.have.property('type', 'commit');
+    expect(missing).to.be.null;
+    expect(await this.subject.read('HEAD:README.md')).to.have.property('type', 'blob');
+    expect(this.invocations).to.have.lengthOf(1);
+    expect(this.invocations[0]).to.deep.include({ command: 'cat-file', opts: { batch: true }, timeout: null });
+  });
+  
+  it(`can check objects without reading content`, async function() {
+    const subject = new GitObjectReader({
+      runGitCommand: fakeCatFile(this.invocations),
+      janitor: this.janitor,
+      withContent: false,
+    });
+    expect(await subject.read('HEAD')).to.deep.equal({
+      hash: objects['HEAD'].hash, type: 'commit', size: 9,
+    });
+    expect(this.invocations[0].opts).to.deep.equal({ 'batch-check': true });
+  });
+  
+  it(`shuts the process down when the janitor cleans up`, async function() {
+    await this.subject.read('HEAD');
+    expect(this.invocations[0].running).to.be.true;
+    await this.janitor.cleanUpAsync();
+    expect(this.invocations[0].running).to.be.false;
+  });
+  
+  it(`rejects outstanding requests and restarts after the process fails`, async function() {
+    const outstanding = this.subject.read('CRASH');
+    await expect(outstanding).to.be.rejectedWith(GitObjectReaderError)
+      .and.eventually.have.property('code', 'ReaderFailed');
+    expect(await this.subject.read('HEAD')).to.have.property('type', 'commit');
+    expect(this.invocations).to.have.lengthOf(2);
+    expect(this.janitor.tasks).to.have.lengthOf(1);
+  });
+  
+  it(`registers its shutdown with the janitor again after a clean up`, async function() {
+    await this.subject.read('HEAD');
+    await this.janitor.cleanUpAsync();
+    await this.subject.read('HEAD');
+    expect(this.janitor.tasks).to.have.lengthOf(1);
+    await this.janitor.cleanUpAsync();
+    expect(this.invocations[1].running).to.be.false;
+  });
+  
+  it(`refuses object names that would split into several requests`, async function() {
+    await expect(this.subject.read('HEAD\nHEAD')).to.be.rejectedWith(GitObjectReaderError)
+      .and.eventually.have.property('code', 'InvalidObjectName');
+    expect(this.invocations).to.have.lengthOf(0);
+  });
+});
@@ -1,3 +1,4 @@
+import { casefileMetadata } from './casefileSchema.js';
 
 /**
  * @summary Interact with Git remote
@@ -72,16 +73,114 @@ class GitRemote {
   /**
    * @summary Share a {@link Casefile} to this remote
    * @param {Casefile} casefile
+   * @param {object} [opts]
+   * @param {Casefile} [opts.base]
+   *    The version of *casefile* as last loaded from the shared casefiles;
+   *    if given, concurrent changes made by others to the same casefile
+   *    instance are merged with *casefile* instead of being overwritten
+   * @param {string} [opts.message]
+   *    Commit message; defaults to one naming the casefile's path
+   * @param {CommitIdentity} [opts.author]
+   *    Author of the commit, instead of the configured Git identity
+   * @param {CommitIdentity} [opts.committer]
+   *    Committer of the commit, instead of the configured Git identity
    * @returns {Promise.<{message: string, commit: ?string}>}
+   *
+   * @description
+   * The casefile's descriptive properties (`title`, `notes`, `tags`,
+   * `createdAt` and `createdBy`) are shared along with its bookmarks.
+   *
+   * When *opts.base* is given and the shared instance changed since it was
+   * loaded, the resolved object carries the merged `bookmarks` and the merged
+   * descriptive properties as `metadata`.  If the merge found conflicts,
+   * nothing is shared: `commit` is `null` and `conflicts` lists the
+   * {@link BookmarkMergeConflict}s to resolve before sharing the merged
+   * casefile again.
    */
-  share(casefile) {
+  share(casefile, { base, ...opts } = {}) {
+    const shareOpts = { metadata: casefileMetadata(casefile), ...commitOptions(opts) };
+    if (base) {
+      shareOpts.baseBookmarks = base.bookmarks;
+      shareOpts.baseMetadata = casefileMetadata(base);
+    }
     return this.gitOps.shareCasefile(
       this.name,
       casefile.path,
       casefile.bookmarks,
+      shareOpts,
     );
   }
   
+  /**
+   * @summary Share a deleted casefile to this remote again
+   * @param {DeletedCasefileRef} deletedCasefile
+   * @param {object} [opts]
+   * @param {string} [opts.path]
+   *    Group-slash-instance at which to restore the casefile; defaults to
+   *    the path from which it was deleted
+   * @param {string} [opts.message] - Commit message
+   * @param {CommitIdentity} [opts.author] - Author of the commit
+   * @param {CommitIdentity} [opts.committer] - Committer of the commit
+   * @returns {Promise.<{message: string, commit: string, path: string}>}
+   *
+   * @description
+   * The casefile is restored exactly as it was last shared before its
+   * deletion.  Restoring to a path at which a casefile is currently shared
+   * is refused (see {@link GitInteraction#restoreCasefile}).
+   */
+  restore(deletedCasefile, { path, ...opts } = {}) {
+    return this.gitOps.restoreCasefile(
+      this.name,
+      deletedCasefile.path,
+      deletedCasefile.deletionCommit,
+      { ...(path ? { newPath: path } : {}), ...commitOptions(opts) },
+    );
+  }
+  
+  /**
+   * @summary Move a shared casefile to a new path on this remote
+   * @param {(string | Casefile)} casefile
+   *    Casefile — or full path to the casefile — to move
+   * @param {string} toPath - Group-slash-instance to move the casefile to
+   * @param {object} [opts]
+   * @param {string} [opts.message] - Commit message
+   * @param {CommitIdentity} [opts.author] - Author of the commit
+   * @param {CommitIdentity} [opts.committer] - Committer of the commit
+   * @returns {Promise.<{message: string, commit: ?string}>}
+   *
+   * @description
+   * The casefile is moved in a single commit without changing its content,
+   * so its history (including its authors) carries over to *toPath*.  See
+   * {@link GitInteraction#moveCasefilePaths} for the errors possible.
+   */
+  rename(casefile, toPath, opts = {}) {
+    return this.gitOps.moveCasefilePaths(this.name, [{
+      from: casefilePath(casefile),
+      to: toPath,
+    }], commitOptions(opts));
+  }
+  
+  /**
+   * @summary Start staging changes to make to this remote's casefiles at once
+   * @returns {CasefileTransaction}
+   *
+   * @description
+   * Changes staged on the returned transaction are only made — in a single
+   * commit, pushed once — when its {@link CasefileTransaction#commit} is
+   * called:
+   *
+   * ```
+   * await remote.transaction()
+   *   .share(casefile)
+   *   .rename('old group/instance', 'new group/instance')
+   *   .delete(obsoleteCasefile)
+   *   .commit();
+   * ```
+   */
+  transaction() {
+    return new CasefileTransaction(this);
+  }
+  
   /**
    * @summary Push some commits to unique names in this remote
    * @param {...string} commits
@@ -112,17 +211,128 @@ class GitRemote {
    * @returns {Promise.<null>}
    */ 
   delete(...casefiles) {
+    return this.deleteWith(casefiles);
+  }
+  
+  /**
+   * @summary Delete casefiles from this remote, with options for the commit
+   * @param {Array.<(string | Casefile)>} casefiles
+   *    Casefiles — or full paths to casefiles — to delete from this remote
+   * @param {object} [opts]
+   * @param {string} [opts.message]
+   *    Commit message; defaults to one naming the paths deleted
+   * @param {CommitIdentity} [opts.author] - Author of the commit
+   * @param {CommitIdentity} [opts.committer] - Committer of the commit
+   * @returns {Promise.<null>}
+   */
+  deleteWith(casefiles, opts = {}) {
     return this.gitOps.deleteCasefilePaths(
       this.name,
-      casefiles.map(casefile => (
-        typeof casefile === 'string'
-        ? casefile
-        : casefile.path
-      )),
+      casefiles.map(casefilePath),
+      commitOptions(opts),
+    );
+  }
+}
+
+/**
+ * @summary Changes staged to make to a remote's casefiles at once
+ *
+ * @description
+ * Obtain instances from {@link GitRemote#transaction}.  The staging methods
+ * return the transaction, so calls can be chained.
+ */
+export class CasefileTransaction {
+  constructor(remote) {
+    this.remote = remote;
+    this.changes = [];
+  }
+  
+  /**
+   * @summary Stage sharing a {@link Casefile}
+   * @param {Casefile} casefile
+   * @returns {CasefileTransaction} This transaction
+   *
+   * @description
+   * As with {@link GitRemote#share}, the casefile's descriptive properties
+   * are shared along with its bookmarks; merging with a base version is not
+   * supported within a transaction.
+   */
+  share(casefile) {
+    this.changes.push({
+      type: 'share',
+      path: casefile.path,
+      bookmarks: casefile.bookmarks,
+      metadata: casefileMetadata(casefile),
+    });
+    return this;
+  }
+  
+  /**
+   * @summary Stage deleting casefiles
+   * @param {...(string | Casefile)} casefiles
+   *    Casefiles — or full paths to casefiles — to delete
+   * @returns {CasefileTransaction} This transaction
+   */
+  delete(...casefiles) {
+    for (const casefile of casefiles) {
+      this.changes.push({ type: 'delete', path: casefilePath(casefile) });
+    }
+    return this;
+  }
+  
+  /**
+   * @summary Stage moving a casefile to a new path
+   * @param {(string | Casefile)} casefile
+   *    Casefile — or full path to the casefile — to move
+   * @param {string} toPath - Group-slash-instance to move the casefile to
+   * @returns {CasefileTransaction} This transaction
+   */
+  rename(casefile, toPath) {
+    this.changes.push({ type: 'move', from: casefilePath(casefile), to: toPath });
+    return this;
+  }
+  
+  /**
+   * @summary Make the staged changes on the remote
+   * @param {object} [opts]
+   * @param {string} [opts.message]
+   *    Commit message; defaults to one listing the changes
+   * @param {CommitIdentity} [opts.author] - Author of the commit
+   * @param {CommitIdentity} [opts.committer] - Committer of the commit
+   * @returns {Promise.<{message: string, commit: ?string}>}
+   *
+   * @description
+   * The changes are made in the order staged, each seeing the casefiles as
+   * left by those before it.  See {@link GitInteraction#applyCasefileChanges}
+   * for the errors possible; if any is thrown, none of the changes is made.
+   */
+  commit(opts = {}) {
+    return this.remote.gitOps.applyCasefileChanges(
+      this.remote.name,
+      this.changes,
+      commitOptions(opts),
     );
   }
 }
 
+function commitOptions({ message, author, committer }) {
+  const opts = {};
+  if (message) {
+    opts.message = message;
+  }
+  if (author) {
+    opts.author = author;
+  }
+  if (committer) {
+    opts.committer = committer;
+  }
+  return opts;
+}
+
+function casefilePath(casefile) {
+  return typeof casefile === 'string' ? casefile : casefile.path;
+}
+
 function reduceBookmarkForestToCommits(bookmarks) {
   bookmarks = [...bookmarks];
   const commits = new Set(), bookmarksSeen = new Set();
@@ -71,11 +71,80 @@ describe('GitRemote', () => {
         bookmarks: [],
       };
       const expectedResult = Symbol('result');
-      double.when(this.gitOps.shareCasefile(name, casefile.path, casefile.bookmarks))
+      double.when(this.gitOps.shareCasefile(name, casefile.path, casefile.bookmarks, { metadata: {} }))
         .thenResolve(expectedResult);
       const result = await this.subject.share(casefile);
       expect(result).to.equal(expectedResult);
     });
+    
+    it(`passes the descriptive properties of the casefile as metadata`, async function() {
+      const casefile = {
+        path: 'aSharedCasefile/bbcfc42f-941f-5f7d-8409-de59d888b090',
+        title: "Startup sequence",
+        tags: ['onboarding'],
+        bookmarks: [],
+      };
+      const expectedResult = Symbol('result');
+      double.when(this.gitOps.shareCasefile(
+        name,
+        casefile.path,
+        casefile.bookmarks,
+        { metadata: { title: "Startup sequence", tags: ['onboarding'] } }
+      )).thenResolve(expectedResult);
+      const result = await this.subject.share(casefile);
+      expect(result).to.equal(expectedResult);
+    });
+    
+    it(`passes the bookmarks of a base version for merging`, async function() {
+      const casefile = {
+        path: 'aSharedCasefile/bbcfc42f-941f-5f7d-8409-de59d888b090',
+        bookmarks: [{ file: 'README.md', line: 3, markText: 'Installation' }],
+      };
+      const base = { path: casefile.path, bookmarks: [] };
+      const expectedResult = Symbol('result');
+      double.when(this.gitOps.shareCasefile(
+        name,
+        casefile.path,
+        casefile.bookmarks,
+        { metadata: {}, baseBookmarks: base.bookmarks, baseMetadata: {} }
+      )).thenResolve(expectedResult);
+      const result = await this.subject.share(casefile, { base });
+      expect(result).to.equal(expectedResult);
+    });
+  });
+  
+  describe('commit options', () => {
+    const casefile = {
+      path: 'aSharedCasefile/bbcfc42f-941f-5f7d-8409-de59d888b090',
+      bookmarks: [],
+    };
+    const author = { name: 'Ruth Schneider', email: 'ruth@example.com' };
+    const committer = { name: 'Casefile Bot', email: 'bot@example.com' };
+    
+    it(`are passed through by 'share'`, async function() {
+      await this.subject.share(casefile, { message: "Share tour", author, committer });
+      double.verify(this.gitOps.shareCasefile(name, casefile.path, casefile.bookmarks, {
+        metadata: {},
+        message: "Share tour",
+        author,
+        committer,
+      }));
+    });
+    
+    it(`are passed through by 'rename'`, async function() {
+      const toPath = 'anotherCasefile/bbcfc42f-941f-5f7d-8409-de59d888b090';
+      await this.subject.rename(casefile, toPath, { author });
+      double.verify(this.gitOps.moveCasefilePaths(name, [{ from: casefile.path, to: toPath }], {
+        author,
+      }));
+    });
+    
+    it(`are passed through by a transaction's 'commit'`, async function() {
+      await this.subject.transaction().delete(casefile).commit({ message: "Clean up" });
+      double.verify(this.gitOps.applyCasefileChanges(name, [
+        { type: 'delete', path: casefile.path },
+      ], { message: "Clean up" }));
+    });
   });
   
   describe('.prototype.pushCommitRefs', () => {
@@ -98,7 +167,7 @@ describe('GitRemote', () => {
     
     it(`calls 'deleteCasefilePaths' on its 'gitOps', passing its own name`, async function() {
       await this.subject.delete(casefilePath);
-      double.verify(this.gitOps.deleteCasefilePaths(name, [casefilePath]));
+      double.verify(this.gitOps.deleteCasefilePaths(name, [casefilePath], {}));
     });
     
     it(`works with a Casefile-like object as argument`, async function() {
@@ -106,7 +175,98 @@ describe('GitRemote', () => {
         path: casefilePath,
       };
       await this.subject.delete(casefile);
-      double.verify(this.gitOps.deleteCasefilePaths(name, [casefilePath]));
+      double.verify(this.gitOps.deleteCasefilePaths(name, [casefilePath], {}));
+    });
+  });
+  
+  describe('.prototype.deleteWith', () => {
+    const casefilePath = 'aCasefile/31675173-7ee1-5f3e-afbd-f8940358ba9d';
+    
+    it(`calls 'deleteCasefilePaths' on its 'gitOps', passing its own name`, async function() {
+      const returnMarker = Symbol('RESULT');
+      double.when(this.gitOps.deleteCasefilePaths(name, [casefilePath], {}))
+        .thenResolve(returnMarker);
+      expect(await this.subject.deleteWith([ { path: casefilePath } ])).to.equal(returnMarker);
+    });
+    
+    it(`passes commit options`, async function() {
+      const author = { name: 'Ruth Schneider', email: 'ruth@example.com' };
+      await this.subject.deleteWith([ casefilePath ], { message: "Retire tour", author });
+      double.verify(this.gitOps.deleteCasefilePaths(name, [casefilePath], {
+        message: "Retire tour",
+        author,
+      }));
+    });
+  });
+  
+  describe('.prototype.restore', () => {
+    const deleted = {
+      path: 'aCasefile/31675173-7ee1-5f3e-afbd-f8940358ba9d',
+      deletionCommit: '146f8b866e8eca4d30068858324cec71c757a57f',
+    };
+    
+    it(`calls 'restoreCasefile' on its 'gitOps', passing its own name`, async function() {
+      const returnMarker = Symbol('RESULT');
+      double.when(this.gitOps.restoreCasefile(name, deleted.path, deleted.deletionCommit, {}))
+        .thenResolve(returnMarker);
+      expect(await this.subject.restore(deleted)).to.equal(returnMarker);
+    });
+    
+    it(`can restore to a new path`, async function() {
+      const newPath = 'aCasefile/2c6f3a8e-0d5b-5e7a-9c41-6b8d2f0e1a37';
+      await this.subject.restore(deleted, { path: newPath });
+      double.verify(this.gitOps.restoreCasefile(name, deleted.path, deleted.deletionCommit, { newPath }));
+    });
+  });
+  
+  describe('.prototype.transaction', () => {
+    const casefile = {
+      path: 'aSharedCasefile/bbcfc42f-941f-5f7d-8409-de59d888b090',
+      title: "Startup sequence",
+      bookmarks: [],
+    };
+    
+    it(`stages changes until committed`, async function() {
+      const transaction = this.subject.transaction()
+        .share(casefile)
+        .delete('aCasefile/31675173-7ee1-5f3e-afbd-f8940358ba9d', { path: 'aCasefile/2c6f3a8e-0d5b-5e7a-9c41-6b8d2f0e1a37' })
+        .rename(casefile, 'anotherCasefile/bbcfc42f-941f-5f7d-8409-de59d888b090')
+        ;
+      expect(double.explain(this.gitOps.applyCasefileChanges).callCount).to.equal(0);
+      const returnMarker = Symbol('RESULT');
+      double.when(this.gitOps.applyCasefileChanges(name, [
+        {
+          type: 'share',
+          path: casefile.path,
+          bookmarks: casefile.bookmarks,
+          metadata: { title: "Startup sequence" },
+        },
+        { type: 'delete', path: 'aCasefile/31675173-7ee1-5f3e-afbd-f8940358ba9d' },
+        { type: 'delete', path: 'aCasefile/2c6f3a8e-0d5b-5e7a-9c41-6b8d2f0e1a37' },
+        {
+          type: 'move',
+          from: casefile.path,
+          to: 'anotherCasefile/bbcfc42f-941f-5f7d-8409-de59d888b090',
+        },
+      ], {})).thenResolve(returnMarker);
+      expect(await transaction.commit()).to.equal(returnMarker);
+    });
+  });
+  
+  describe('.prototype.rename', () => {
+    const fromPath = 'aCasefile/31675173-7ee1-5f3e-afbd-f8940358ba9d';
+    const toPath = 'anotherCasefile/31675173-7ee1-5f3e-afbd-f8940358ba9d';
+    
+    it(`calls 'moveCasefilePaths' on its 'gitOps', passing its own name`, async function() {
+      const returnMarker = Symbol('RESULT');
+      double.when(this.gitOps.moveCasefilePaths(name, [{ from: fromPath, to: toPath }], {}))
+        .thenResolve(returnMarker);
+      expect(await this.subject.rename(fromPath, toPath)).to.equal(returnMarker);
+    });
+    
+    it(`works with a Casefile-like object as argument`, async function() {
+      await this.subject.rename({ path: fromPath }, toPath);
+      double.verify(this.gitOps.moveCasefilePaths(name, [{ from: fromPath, to: toPath }], {}));
     });
   });
 });
@@ -0,0 +1,130 @@
+import { splitLines } from './lineDiff.js';
+import { isWord, tokenize, tokenSimilarity } from './textMatching.js';
+
+/**
+ * @private
+ * @summary Default thresholds for {@link alignHunkLines}
+ */
+export const DEFAULT_LINE_ALIGNMENT = {
+  minSimilarity: 0.5,
+  maxCells: 250000,
+};
+
+/**
+ * @private
+ * @summary Pair up similar lines between the two sides of a changed hunk
+ * @param {Array.<string>} baseLines - Lines removed by the hunk
+ * @param {Array.<string>} currentLines - Lines added by the hunk
+ * @param {object} [opts]
+ * @param {number} [opts.minSimilarity=0.5]
+ *    Minimum similarity (Dice coefficient) of the word tokens of two lines
+ *    for them to be paired; lines without words are compared by all of
+ *    their tokens
+ * @param {number} [opts.maxCells=250000]
+ *    Largest product of the side lengths to align; larger hunks are not
+ *    aligned
+ * @returns {Array.<Array.<number>>}
+ *    `[baseIndex, currentIndex]` pairs of 0-based indexes into the given
+ *    arrays, increasing on both sides
+ *
+ * @description
+ * The pairing maximizes the total similarity of the paired lines while
+ * keeping them in the same order on both sides, so a line edited in place
+ * pairs with its edited version even when lines around it were added or
+ * removed.
+ */
+export function alignHunkLines(baseLines, currentLines, opts = {}) {
+  const { minSimilarity, maxCells } = { ...DEFAULT_LINE_ALIGNMENT, ...opts };
+  const n = baseLines.length, m = currentLines.length;
+  if (n === 0 || m === 0 || n * m > maxCells) {
+    return [];
+  }
+  const lineTokens = (line) => {
+    const tokens = tokenize(line);
+    return { all: tokens, words: tokens.filter(isWord) };
+  };
+  const baseTokens = baseLines.map(lineTokens);
+  const currentTokens = currentLines.map(lineTokens);
+  const similarity = (i, j) => {
+    const a = baseTokens[i], b = currentTokens[j];
+    const value = (a.words.length + b.words.length === 0)
+      ? tokenSimilarity(a.all, b.all)
+      : tokenSimilarity(a.words, b.words);
+    return value >= minSimilarity ? value : 0;
+  };
+  
+  // score[i * (m + 1) + j] is the best total for baseLines[0..i) and currentLines[0..j)
+  const score = new Float64Array((n + 1) * (m + 1));
+  const paired = new Float64Array(n * m);
+  for (let i = 1; i <= n; ++i) {
+    for (let j = 1; j <= m; ++j) {
+      const pairing = paired[(i - 1) * m + (j - 1)] = similarity(i - 1, j - 1);
+      score[i * (m + 1) + j] = Math.max(
+        score[(i - 1) * (m + 1) + j],
+        score[i * (m + 1) + j - 1],
+        pairing ? score[(i - 1) * (m + 1) + j - 1] + pairing : 0
+      );
+    }
+  }
+  
+  const pairs = [];
+  for (let i = n, j = m; i > 0 && j > 0;) {
+    const here = score[i * (m + 1) + j];
+    if (here === score[(i - 1) * (m + 1) + j]) {
+      --i;
+    } else if (here === score[i * (m + 1) + j - 1]) {
+      --j;
+    } else {
+      pairs.push([--i, --j]);
+    }
+  }
+  return pairs.reverse();
+}
+
+/**
+ * @private
+ * @summary Map a line inside a changed hunk to the other side of the hunk
+ * @param {Change} hunk
+ * @param {number} line
+ *    1-based line number, within *hunk*, on the side being mapped from
+ * @param {object} [kwargs]
+ * @param {string} [kwargs.baseText] - Full base text the hunk applies to
+ * @param {string} [kwargs.currentText] - Full current text the hunk produces
+ * @param {boolean} [kwargs.fromCurrent=false]
+ *    Whether *line* is in the current text (rather than the base text)
+ * @returns {number} 1-based line number on the other side
+ *
+ * @description
+ * When both texts are given, the lines of the hunk are aligned with
+ * {@link alignHunkLines}: a line paired with a counterpart maps to it, and
+ * any other line is placed proportionally between the nearest paired lines
+ * on either side.  Without the texts, or when no lines pair up, the line is
+ * placed proportionally within the whole hunk.
+ */
+export function counterpartLine(hunk, line, { baseText, currentText, fromCurrent = false } = {}) {
+  const [ fromStart, fromEnd, toStart, toEnd ] = fromCurrent
+    ? [ hunk.currentStart, hunk.currentEnd, hunk.baseStart, hunk.baseEnd ]
+    : [ hunk.baseStart, hunk.baseEnd, hunk.currentStart, hunk.currentEnd ];
+  
+  // Anchors are [fromIndex, toIndex] pairs within the hunk, bracketed by
+  // virtual anchors just outside it
+  const anchors = [[-1, -1]];
+  if (typeof baseText === 'string' && typeof currentText === 'string') {
+    const pairs = alignHunkLines(
+      splitLines(baseText).slice(hunk.baseStart - 1, hunk.baseEnd - 1),
+      splitLines(currentText).slice(hunk.currentStart - 1, hunk.currentEnd - 1)
+    );
+    anchors.push(...(fromCurrent ? pairs.map(([ b, c ]) => [c, b]) : pairs));
+  }
+  anchors.push([fromEnd - fromStart, toEnd - toStart]);
+  
+  const index = line - fromStart;
+  const after = anchors.findIndex(([ fromIndex ]) => fromIndex >= index);
+  const [ nextFrom, nextTo ] = anchors[after];
+  if (nextFrom === index) {
+    return toStart + nextTo;
+  }
+  const [ prevFrom, prevTo ] = anchors[after - 1];
+  const gapFrom = nextFrom - prevFrom - 1, gapTo = nextTo - prevTo - 1;
+  return toStart + prevTo + 1 + Math.floor((index - prevFrom - 1) / gapFrom * gapTo);
+}
@@ -0,0 +1,49 @@
+import { alignHunkLines, counterpartLine } from './lineAlignment.js';
+import { expect } from 'chai';
+
+describe('alignHunkLines()', () => {
+  it(`pairs edited lines with their edited versions`, () => {
+    expect(alignHunkLines(
+      ['const alpha = 1;', 'const beta = 2;'],
+      ['// setup', 'let x;', 'const alpha = 10;', 'const beta = 20;'],
+    )).to.eql([[0, 2], [1, 3]]);
+  });
+  
+  it(`leaves dissimilar lines unpaired`, () => {
+    expect(alignHunkLines(['return total;'], ['while (busy) wait();'])).to.eql([]);
+  });
+  
+  it(`keeps pairs in order on both sides`, () => {
+    expect(alignHunkLines(
+      ['first(a);', 'second(b);'],
+      ['second(b);', 'first(a);'],
+    )).to.have.lengthOf(1);
+  });
+  
+  it(`does not align hunks larger than the limit`, () => {
+    expect(alignHunkLines(['same'], ['same'], { maxCells: 0 })).to.eql([]);
+  });
+});
+
+describe('counterpartLine()', () => {
+  const baseText = 'head\nconst alpha = 1;\nconst beta = 2;\ntail\n';
+  const currentText = 'head\n// setup\nlet x;\nconst alpha = 10;\nconst beta = 20;\ntail\n';
+  const hunk = { baseStart: 2, baseEnd: 4, currentStart: 2, currentEnd: 6 };
+  
+  it(`maps a base line to its aligned counterpart`, () => {
+    expect(counterpartLine(hunk, 3, { baseText, currentText })).to.equal(5);
+  });
+  
+  it(`maps a current line to its aligned counterpart`, () => {
+    expect(counterpartLine(hunk, 4, { baseText, currentText, fromCurrent: true })).to.equal(2);
+  });
+  
+  it(`interpolates an unpaired line between its paired neighbors`, () => {
+    expect(counterpartLine(hunk, 3, { baseText, currentText, fromCurrent: true })).to.equal(2);
+  });
+  
+  it(`interpolates across the hunk without the texts`, () => {
+    expect(counterpartLine(hunk, 3)).to.equal(4);
+    expect(counterpartLine(hunk, 5, { fromCurrent: true })).to.equal(3);
+  });
+});
@@ -0,0 +1,325 @@
+/**
+ * @summary Names of the algorithms supported by {@link diffLines}
+ */
+export const LINE_DIFF_ALGORITHMS = Object.freeze(['myers', 'patience', 'histogram']);
+
+/**
+ * @summary Compute the hunks that change one text into another, in-process
+ * @param {string} baseText
+ * @param {string} currentText
+ * @param {object} [opts]
+ * @param {string} [opts.algorithm='myers']
+ *    `'myers'` for a minimal diff, `'patience'` to anchor the diff on lines
+ *    that occur exactly once in each text (falling back to a minimal diff
+ *    between anchors) or `'histogram'` to anchor it on the longest common
+ *    run of lines containing the rarest line (as `git diff
+ *    --diff-algorithm=histogram` does)
+ * @returns {Array.<Change>}
+ *
+ * @description
+ * Lines are compared including their line terminators, as `diff` does, so a
+ * last line lacking a newline differs from the same line with one.  The
+ * hunks have the same form as those {@link DiffInteraction#getHunks} reads
+ * from `diff -U0`.
+ */
+export function diffLines(baseText, currentText, { algorithm = 'myers' } = {}) {
+  const findMatches = MATCHERS_BY_ALGORITHM[algorithm];
+  if (!findMatches) {
+    throw new Error(`Unknown diff algorithm '${algorithm}'`);
+  }
+  const [ base, current ] = internLines(splitLines(baseText), splitLines(currentText));
+  const matches = [];
+  findMatches(base, current, 0, base.length, 0, current.length, matches);
+  return hunksFromMatches(matches, base.length, current.length);
+}
+
+/**
+ * @private
+ * @summary Split text into lines, keeping line terminators
+ * @param {string} text
+ * @returns {Array.<string>}
+ */
+export function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+const MATCHERS_BY_ALGORITHM = {
+  myers: myersMatches,
+  patience: patienceMatches,
+  histogram: histogramMatches,
+};
+
+// Lines occurring more often than this in the base range are not used as
+// histogram anchors (git uses the same limit)
+const HISTOGRAM_MAX_OCCURRENCES = 64;
+
+function internLines(...texts) {
+  const ids = new Map();
+  return texts.map(lines => lines.map(line => {
+    let id = ids.get(line);
+    if (id === undefined) {
+      id = ids.size;
+      ids.set(line, id);
+    }
+    return id;
+  }));
+}
+
+/**
+ * Pushes the [baseIndex, currentIndex] pairs of matching lines (in
+ * increasing order) onto *matches* for a minimal edit script between the
+ * given ranges of *a* and *b*.
+ *
+ * Uses the linear-space refinement of Myers' algorithm: the ranges are split
+ * where the forward and reverse searches for the shortest edit script meet,
+ * and each side is diffed in turn, so memory use stays proportional to the
+ * lengths of the ranges.
+ */
+function myersMatches(a, b, aStart, aEnd, bStart, bEnd, matches) {
+  const suffix = trimCommon(a, b, aStart, aEnd, bStart, bEnd, matches);
+  ({ aStart, aEnd, bStart, bEnd } = suffix.ranges);
+  if (aStart < aEnd && bStart < bEnd) {
+    const split = middleSnakeEnd(a, b, aStart, aEnd, bStart, bEnd);
+    if (split) {
+      myersMatches(a, b, aStart, split.i, bStart, split.j, matches);
+      myersMatches(a, b, split.i, aEnd, split.j, bEnd, matches);
+    }
+  }
+  matches.push(...suffix.matches);
+}
+
+/**
+ * Finds the point [i, j] at which a forward search from the start of the
+ * ranges and a reverse search from their ends first overlap; the shortest
+ * edit script passes through this point.
+ */
+function middleSnakeEnd(a, b, aStart, aEnd, bStart, bEnd) {
+  const n = aEnd - aStart, m = bEnd - bStart;
+  const maxD = Math.ceil((n + m) / 2);
+  const offset = maxD + 1;
+  const forward = new Int32Array(2 * offset + 1).fill(-1);
+  const reverse = new Int32Array(2 * offset + 1).fill(-1);
+  forward[offset + 1] = 0;
+  reverse[offset + 1] = 0;
+  const delta = n - m, checkInForward = (delta & 1) !== 0;
+  
+  // Diagonals whose paths have run off the edge of the edit graph are pruned
+  let kForwardStart = 0, kForwardEnd = 0, kReverseStart = 0, kReverseEnd = 0;
+  for (let d = 0; d < maxD; ++d) {
+    for (let k = -d + kForwardStart; k <= d - kForwardEnd; k += 2) {
+      let x = (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]))
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+        ++x;
+        ++y;
+      }
+      forward[offset + k] = x;
+      if (x > n) {
+        kForwardEnd += 2;
+      } else if (y > m) {
+        kForwardStart += 2;
+      } else if (checkInForward) {
+        const reverseX = reverse[offset + delta - k];
+        if (reverseX !== undefined && reverseX !== -1 && x >= n - reverseX) {
+          return { i: aStart + x, j: bStart + y };
+        }
+      }
+    }
+    for (let k = -d + kReverseStart; k <= d - kReverseEnd; k += 2) {
+      let x = (k === -d || (k !== d && reverse[offset + k - 1] < reverse[offset + k + 1]))
+        ? reverse[offset + k + 1]
+        : reverse[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aEnd - x - 1] === b[bEnd - y - 1]) {
+        ++x;
+        ++y;
+      }
+      reverse[offset + k] = x;
+      if (x > n) {
+        kReverseEnd += 2;
+      } else if (y > m) {
+        kReverseStart += 2;
+      } else if (!checkInForward) {
+        const forwardK = delta - k, forwardX = forward[offset + forwardK];
+        if (forwardX !== undefined && forwardX !== -1 && forwardX >= n - x) {
+          return { i: aStart + forwardX, j: bStart + forwardX - forwardK };
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Like myersMatches, but first anchors on lines occurring exactly once in
+ * each range, taking the longest sequence of such lines appearing in the
+ * same order on both sides.
+ */
+function patienceMatches(a, b, aStart, aEnd, bStart, bEnd, matches) {
+  const suffix = trimCommon(a, b, aStart, aEnd, bStart, bEnd, matches);
+  ({ aStart, aEnd, bStart, bEnd } = suffix.ranges);
+  if (aStart < aEnd && bStart < bEnd) {
+    const anchors = uniqueCommonSequence(a, b, aStart, aEnd, bStart, bEnd);
+    if (anchors.length === 0) {
+      myersMatches(a, b, aStart, aEnd, bStart, bEnd, matches);
+    } else {
+      let i = aStart, j = bStart;
+      for (const [anchorI, anchorJ] of anchors) {
+        patienceMatches(a, b, i, anchorI, j, anchorJ, matches);
+        matches.push([anchorI, anchorJ]);
+        i = anchorI + 1;
+        j = anchorJ + 1;
+      }
+      patienceMatches(a, b, i, aEnd, j, bEnd, matches);
+    }
+  }
+  matches.push(...suffix.matches);
+}
+
+/**
+ * Like myersMatches, but first anchors on the longest common run of lines
+ * among those containing the line least frequent in the base range, then
+ * recurses on either side of the anchor.
+ */
+function histogramMatches(a, b, aStart, aEnd, bStart, bEnd, matches) {
+  const suffix = trimCommon(a, b, aStart, aEnd, bStart, bEnd, matches);
+  ({ aStart, aEnd, bStart, bEnd } = suffix.ranges);
+  if (aStart < aEnd && bStart < bEnd) {
+    const anchor = rarestCommonRun(a, b, aStart, aEnd, bStart, bEnd);
+    if (!anchor) {
+      myersMatches(a, b, aStart, aEnd, bStart, bEnd, matches);
+    } else {
+      histogramMatches(a, b, aStart, anchor.aStart, bStart, anchor.bStart, matches);
+      for (let offset = 0; offset < anchor.length; ++offset) {
+        matches.push([anchor.aStart + offset, anchor.bStart + offset]);
+      }
+      histogramMatches(
+        a, b,
+        anchor.aStart + anchor.length, aEnd,
+        anchor.bStart + anchor.length, bEnd,
+        matches
+      );
+    }
+  }
+  matches.push(...suffix.matches);
+}
+
+function trimCommon(a, b, aStart, aEnd, bStart, bEnd, matches) {
+  while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+    matches.push([aStart++, bStart++]);
+  }
+  const suffixMatches = [];
+  while (aEnd > aStart && bEnd > bStart && a[aEnd - 1] === b[bEnd - 1]) {
+    suffixMatches.unshift([--aEnd, --bEnd]);
+  }
+  return { ranges: { aStart, aEnd, bStart, bEnd }, matches: suffixMatches };
+}
+
+function uniqueCommonSequence(a, b, aStart, aEnd, bStart, bEnd) {
+  const counts = new Map();
+  const count = (lines, start, end, side) => {
+    for (let i = start; i < end; ++i) {
+      const entry = counts.get(lines[i]) || { a: 0, b: 0, aIndex: -1, bIndex: -1 };
+      ++entry[side];
+      entry[`${side}Index`] = i;
+      counts.set(lines[i], entry);
+    }
+  };
+  count(a, aStart, aEnd, 'a');
+  count(b, bStart, bEnd, 'b');
+  const candidates = [];
+  for (let i = aStart; i < aEnd; ++i) {
+    const entry = counts.get(a[i]);
+    if (entry.a === 1 && entry.b === 1) {
+      candidates.push([i, entry.bIndex]);
+    }
+  }
+  
+  // Longest increasing subsequence (by current index) via patience sorting
+  const pileTops = [], predecessors = [];
+  candidates.forEach(([, j], c) => {
+    let low = 0, high = pileTops.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (candidates[pileTops[mid]][1] < j) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    predecessors[c] = low > 0 ? pileTops[low - 1] : -1;
+    pileTops[low] = c;
+  });
+  const sequence = [];
+  for (let c = pileTops.length ? pileTops[pileTops.length - 1] : -1; c >= 0; c = predecessors[c]) {
+    sequence.unshift(candidates[c]);
+  }
+  return sequence;
+}
+
+function rarestCommonRun(a, b, aStart, aEnd, bStart, bEnd) {
+  const positions = new Map();
+  for (let i = aStart; i < aEnd; ++i) {
+    const linePositions = positions.get(a[i]);
+    if (linePositions) {
+      linePositions.push(i);
+    } else {
+      positions.set(a[i], [i]);
+    }
+  }
+  const occurrences = (i) => positions.get(a[i]).length;
+  
+  // As in Git's histogram diff, positions inside a run already found are
+  // not tried again, which keeps long unchanged runs from costing quadratic
+  // time
+  let best = null;
+  for (let j = bStart, jNext; j < bEnd; j = jNext) {
+    jNext = j + 1;
+    const candidates = positions.get(b[j]);
+    if (!candidates || candidates.length > HISTOGRAM_MAX_OCCURRENCES) {
+      continue;
+    }
+    let iNext = aStart;
+    for (const i of candidates) {
+      if (i < iNext) {
+        continue;
+      }
+      let start = 0, end = 1, rarity = occurrences(i);
+      while (i - start > aStart && j - start > bStart && a[i - start - 1] === b[j - start - 1]) {
+        ++start;
+        rarity = Math.min(rarity, occurrences(i - start));
+      }
+      while (i + end < aEnd && j + end < bEnd && a[i + end] === b[j + end]) {
+        rarity = Math.min(rarity, occurrences(i + end));
+        ++end;
+      }
+      const length = start + end;
+      iNext = i + end;
+      jNext = Math.max(jNext, j + end);
+      if (!best || rarity < best.rarity || (rarity === best.rarity && length > best.length)) {
+        best = { aStart: i - start, bStart: j - start, length, rarity };
+      }
+    }
+  }
+  return best;
+}
+
+function hunksFromMatches(matches, baseLength, currentLength) {
+  const hunks = [];
+  let i = 0, j = 0;
+  for (const [matchI, matchJ] of matches.concat([[baseLength, currentLength]])) {
+    if (matchI > i || matchJ > j) {
+      hunks.push({
+        baseStart: i + 1,
+        baseEnd: matchI + 1,
+        currentStart: j + 1,
+        currentEnd: matchJ + 1,
+      });
+    }
+    i = matchI + 1;
+    j = matchJ + 1;
+  }
+  return hunks;
+}
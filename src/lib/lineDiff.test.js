@@ -0,0 +1,116 @@
+import { diffLines, splitLines } from './lineDiff.js';
+import chai, { expect } from 'chai';
+
+describe('diffLines()', () => {
+  const text = (...lines) => lines.map(l => l + '\n').join('');
+  
+  function applyHunks(baseText, currentText, hunks) {
+    const base = splitLines(baseText), current = splitLines(currentText);
+    const result = [];
+    let i = 1;
+    for (const { baseStart, baseEnd, currentStart, currentEnd } of hunks) {
+      result.push(...base.slice(i - 1, baseStart - 1));
+      result.push(...current.slice(currentStart - 1, currentEnd - 1));
+      i = baseEnd;
+    }
+    result.push(...base.slice(i - 1));
+    return result.join('');
+  }
+  
+  it(`finds no hunks between identical texts`, () => {
+    expect(diffLines(text('foo', 'bar'), text('foo', 'bar'))).to.deep.equal([]);
+  });
+  
+  it(`describes insertion of a line as 'diff -U0' would`, () => {
+    expect(diffLines(text('foo', 'baz'), text('foo', 'bar', 'baz'))).to.deep.equal([
+      { baseStart: 2, baseEnd: 2, currentStart: 2, currentEnd: 3 },
+    ]);
+  });
+  
+  it(`describes deletion of a line as 'diff -U0' would`, () => {
+    expect(diffLines(text('foo', 'bar', 'baz'), text('foo', 'baz'))).to.deep.equal([
+      { baseStart: 2, baseEnd: 3, currentStart: 2, currentEnd: 2 },
+    ]);
+  });
+  
+  it(`describes change of a line as 'diff -U0' would`, () => {
+    expect(diffLines(text('foo', 'bar', 'baz'), text('foo', 'BAR', 'baz'))).to.deep.equal([
+      { baseStart: 2, baseEnd: 3, currentStart: 2, currentEnd: 3 },
+    ]);
+  });
+  
+  it(`handles empty texts`, () => {
+    expect(diffLines('', text('foo'))).to.deep.equal([
+      { baseStart: 1, baseEnd: 1, currentStart: 1, currentEnd: 2 },
+    ]);
+    expect(diffLines(text('foo'), '')).to.deep.equal([
+      { baseStart: 1, baseEnd: 2, currentStart: 1, currentEnd: 1 },
+    ]);
+  });
+  
+  it(`treats a missing final newline as a change`, () => {
+    expect(diffLines('foo\nbar', text('foo', 'bar'))).to.deep.equal([
+      { baseStart: 2, baseEnd: 3, currentStart: 2, currentEnd: 3 },
+    ]);
+  });
+  
+  it(`finds a minimal set of changes`, () => {
+    const base = text('a', 'b', 'c', 'a', 'b', 'b', 'a');
+    const current = text('c', 'b', 'a', 'b', 'a', 'c');
+    const hunks = diffLines(base, current);
+    const changedLines = hunks.reduce((total, h) => (
+      total + (h.baseEnd - h.baseStart) + (h.currentEnd - h.currentStart)
+    ), 0);
+    expect(changedLines).to.equal(5);
+    expect(applyHunks(base, current, hunks)).to.equal(current);
+  });
+  
+  it(`diffs long, completely changed texts`, () => {
+    const lineCount = 3000;
+    const base = text(...Array.from({ length: lineCount }, (_, i) => `old ${i}`));
+    const current = text(...Array.from({ length: lineCount }, (_, i) => `new ${i}`));
+    expect(diffLines(base, current)).to.eql([
+      { baseStart: 1, baseEnd: lineCount + 1, currentStart: 1, currentEnd: lineCount + 1 },
+    ]);
+  });
+  
+  it(`anchors on unique lines with the 'patience' algorithm`, () => {
+    const base = text('}', 'function a() {', '  return 1;', '}');
+    const current = text('}', 'function b() {', '  return 2;', '}', 'function a() {', '  return 1;', '}');
+    expect(diffLines(base, current, { algorithm: 'patience' })).to.deep.equal([
+      { baseStart: 2, baseEnd: 2, currentStart: 2, currentEnd: 5 },
+    ]);
+  });
+  
+  it(`anchors on the rarest line with the 'histogram' algorithm`, () => {
+    const base = text('x', 'x', 'U', 'y');
+    const current = text('U', 'x', 'x', 'y');
+    expect(diffLines(base, current)).to.deep.equal([
+      { baseStart: 1, baseEnd: 1, currentStart: 1, currentEnd: 2 },
+      { baseStart: 3, baseEnd: 4, currentStart: 4, currentEnd: 4 },
+    ]);
+    expect(diffLines(base, current, { algorithm: 'histogram' })).to.deep.equal([
+      { baseStart: 1, baseEnd: 3, currentStart: 1, currentEnd: 1 },
+      { baseStart: 4, baseEnd: 4, currentStart: 2, currentEnd: 4 },
+    ]);
+  });
+  
+  ['myers', 'patience', 'histogram'].forEach(algorithm => {
+    it(`produces hunks transforming base into current ('${algorithm}')`, () => {
+      let seed = 7;
+      const random = (n) => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed % n;
+      };
+      for (let trial = 0; trial < 50; ++trial) {
+        const base = Array.from({ length: random(30) }, () => `line ${random(8)}\n`).join('');
+        const current = Array.from({ length: random(30) }, () => `line ${random(8)}\n`).join('');
+        expect(applyHunks(base, current, diffLines(base, current, { algorithm }))).to.equal(current);
+      }
+    });
+  });
+  
+  it(`rejects an unknown algorithm`, () => {
+    expect(() => diffLines('', '', { algorithm: 'guesswork' })).to.throw(/guesswork/);
+  });
+});
@@ -0,0 +1,183 @@
+const TOKEN_PATTERN = /[\w$]+|[^\s\w$]/g;
+const WORD_PATTERN = /^[\w$]/;
+
+export const DEFAULT_FUZZY_MATCHING = {
+  minTokenSimilarity: 0.7,
+  minEditSimilarity: 0.8,
+};
+
+/**
+ * @typedef {Object} FuzzyMatchingOptions
+ *
+ * @property {number} [minTokenSimilarity=0.7]
+ *    Minimum fraction (Dice coefficient) of word tokens shared between the
+ *    mark text and a span of a line for the span to match
+ * @property {number} [minEditSimilarity=0.8]
+ *    Minimum similarity based on edit (Levenshtein) distance between the
+ *    whitespace-normalized mark text and a span of a line for the span to
+ *    match
+ */
+
+/**
+ * @typedef {Object} TextMatch
+ *
+ * @property {number} col
+ *    Column number (1-based) at which the match starts
+ * @property {number} similarity
+ *    Similarity (between 0 and 1) of the matched text to the sought text;
+ *    1 for an exact match
+ */
+
+/**
+ * @private
+ * @summary Find mark text within a line
+ * @param {string} lineText - Text of the line to search
+ * @param {string} text - Mark text sought
+ * @param {FuzzyMatchingOptions} [fuzzy]
+ *    When given, accept text differing in whitespace or similar enough by
+ *    these thresholds if no exact match is present
+ * @returns {?TextMatch}
+ */
+export function findMarkText(lineText, text, fuzzy) {
+  if (!lineText) {
+    return null;
+  }
+  const exactIndex = lineText.indexOf(text);
+  if (exactIndex >= 0) {
+    return { col: exactIndex + 1, similarity: 1 };
+  }
+  if (!fuzzy) {
+    return null;
+  }
+  
+  const wsMatch = whitespaceInsensitivePattern(text).exec(lineText);
+  if (wsMatch) {
+    return { col: wsMatch.index + 1, similarity: 1 };
+  }
+  
+  const { minTokenSimilarity, minEditSimilarity } = { ...DEFAULT_FUZZY_MATCHING, ...fuzzy };
+  const textTokens = tokenize(text);
+  const lineTokens = tokenize(lineText);
+  if (textTokens.length === 0) {
+    return null;
+  }
+  const textWords = textTokens.filter(isWord);
+  const normalizedText = normalizeWhitespace(text);
+  let best = null;
+  for (let width = Math.max(1, textTokens.length - 1); width <= textTokens.length + 1; ++width) {
+    for (let start = 0; start + width <= lineTokens.length; ++start) {
+      const spanTokens = lineTokens.slice(start, start + width);
+      const spanText = lineText.slice(
+        spanTokens[0].index,
+        spanTokens[width - 1].index + spanTokens[width - 1].token.length
+      );
+      const tokenScore = textWords.length === 0 ? 0 : tokenSimilarity(
+        textWords,
+        spanTokens.filter(isWord)
+      );
+      const editScore = editSimilarity(normalizedText, normalizeWhitespace(spanText));
+      if (tokenScore < minTokenSimilarity && editScore < minEditSimilarity) {
+        continue;
+      }
+      const similarity = Math.max(tokenScore, editScore);
+      if (!best || similarity > best.similarity) {
+        best = { col: spanTokens[0].index + 1, similarity };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * @private
+ * @summary Collapse runs of whitespace to a single space and trim the ends
+ * @param {string} s
+ * @returns {string}
+ */
+export function normalizeWhitespace(s) {
+  return s.trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * @private
+ * @summary Similarity of two token sequences as a Dice coefficient
+ * @param {Array.<{token: string}>} a
+ * @param {Array.<{token: string}>} b
+ * @returns {number} Between 0 (no tokens shared) and 1 (same tokens)
+ */
+export function tokenSimilarity(a, b) {
+  if (a.length + b.length === 0) {
+    return 1;
+  }
+  const counts = new Map();
+  for (const { token } of a) {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+  let shared = 0;
+  for (const { token } of b) {
+    const count = counts.get(token);
+    if (count) {
+      counts.set(token, count - 1);
+      ++shared;
+    }
+  }
+  return 2 * shared / (a.length + b.length);
+}
+
+/**
+ * @private
+ * @summary Similarity of two strings based on their Levenshtein distance
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Between 0 (nothing in common) and 1 (equal)
+ */
+export function editSimilarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) {
+    return 1;
+  }
+  return 1 - editDistance(a, b) / longest;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; ++i) {
+    const current = [i];
+    for (let j = 1; j <= b.length; ++j) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * @private
+ * @summary Split text into word and punctuation tokens
+ * @param {string} s
+ * @returns {Array.<{token: string, index: number}>}
+ */
+export function tokenize(s) {
+  return Array.from(s.matchAll(TOKEN_PATTERN), (m) => ({ token: m[0], index: m.index }));
+}
+
+/**
+ * @private
+ * @summary Whether a token from {@link tokenize} is a word (rather than punctuation)
+ * @param {{token: string}} token
+ * @returns {boolean}
+ */
+export function isWord({ token }) {
+  return WORD_PATTERN.test(token);
+}
+
+function whitespaceInsensitivePattern(text) {
+  const chunks = text.trim().split(/\s+/).map(
+    chunk => chunk.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  );
+  return new RegExp(chunks.join('\\s*'));
+}
@@ -0,0 +1,89 @@
+import {
+  editSimilarity,
+  findMarkText,
+  normalizeWhitespace,
+  tokenSimilarity,
+} from './textMatching.js';
+import chai, { expect } from 'chai';
+
+describe('findMarkText()', () => {
+  it(`finds exact text`, () => {
+    expect(findMarkText('  const retryPolicy = 3;', 'retryPolicy'))
+      .to.eql({ col: 9, similarity: 1 });
+  });
+  
+  it(`does not match inexact text unless fuzzy matching is requested`, () => {
+    expect(findMarkText('  retryPolicy(a,  b)', 'retryPolicy(a, b)')).to.equal(null);
+  });
+  
+  it(`tolerates differences in whitespace`, () => {
+    expect(findMarkText('  retryPolicy(a,  b)', 'retryPolicy(a, b)', {}))
+      .to.eql({ col: 3, similarity: 1 });
+  });
+  
+  it(`accepts a renamed identifier by token similarity`, () => {
+    const result = findMarkText(
+      'if (shouldRetry(request, attempts)) {',
+      'shouldRetry(req, attempts)',
+      {}
+    );
+    expect(result).to.include({ col: 5 });
+    expect(result.similarity).to.be.within(0.7, 1).and.not.equal(1);
+  });
+  
+  it(`accepts a small edit by edit distance`, () => {
+    const result = findMarkText('return computeTotals();', 'computeTotal()', {});
+    expect(result).to.include({ col: 8 });
+    expect(result.similarity).to.be.closeTo(14 / 15, 1e-9);
+  });
+  
+  it(`rejects text below the thresholds`, () => {
+    expect(findMarkText('return computeTotals();', 'renderHeader()', {})).to.equal(null);
+  });
+  
+  it(`does not match on punctuation alone`, () => {
+    expect(findMarkText('return computeTotals();', '( ) ]', { minEditSimilarity: 1 }))
+      .to.equal(null);
+  });
+  
+  it(`respects custom thresholds`, () => {
+    expect(findMarkText('return computeTotals();', 'computeTotal()', {
+      minTokenSimilarity: 1,
+      minEditSimilarity: 0.95,
+    })).to.equal(null);
+  });
+  
+  it(`returns null for a missing line`, () => {
+    expect(findMarkText(undefined, 'anything', {})).to.equal(null);
+  });
+});
+
+describe('normalizeWhitespace()', () => {
+  it(`collapses and trims whitespace`, () => {
+    expect(normalizeWhitespace('  a \t b\n c ')).to.equal('a b c');
+  });
+});
+
+describe('tokenSimilarity()', () => {
+  const tokens = (...words) => words.map(token => ({ token }));
+  
+  it(`counts shared tokens`, () => {
+    expect(tokenSimilarity(tokens('a', 'b', 'c'), tokens('a', 'b', 'd')))
+      .to.be.closeTo(2 / 3, 1e-9);
+  });
+  
+  it(`treats two empty sequences as equal`, () => {
+    expect(tokenSimilarity([], [])).to.equal(1);
+  });
+});
+
+describe('editSimilarity()', () => {
+  it(`is 1 for equal strings`, () => {
+    expect(editSimilarity('abc', 'abc')).to.equal(1);
+    expect(editSimilarity('', '')).to.equal(1);
+  });
+  
+  it(`scales the edit distance by the longer string`, () => {
+    expect(editSimilarity('kitten', 'sitting')).to.be.closeTo(1 - 3 / 7, 1e-9);
+  });
+});
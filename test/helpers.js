@@ -8,3 +8,13 @@ const DEBUG_FLAGS = new Set(
 export const debugFlagSet = (name) => DEBUG_FLAGS.has(name);
 
 export const FAIL_ON_LOG = debugFlagSet('failOnLog');
+
+export const TEST_COMMIT = '9abc1c50f9f304a627c2d5d9a4f7bf5b354983de';
+
+export const bookmarkFixture = (markText, props = {}) => ({
+  file: 'index.js',
+  line: 17,
+  markText,
+  peg: { commit: TEST_COMMIT, line: 23 },
+  ...props,
+});